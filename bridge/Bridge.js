@@ -0,0 +1,245 @@
+const { getMetadata } = require('../shared/MessageEnvelope');
+
+/**
+ * Puente entre transportes: consume una cola en un transporte y reenvía
+ * cada mensaje a la cola del mismo nombre en otro. Permite migrar los
+ * servicios de uno en uno (por ejemplo de RabbitMQ a TCP) o mantener un
+ * servicio heredado en otro transporte sin que los demás lo sepan.
+ *
+ * - Los mensajes se reenvían tal cual, con su sobre y sus metadatos, y con
+ *   la prioridad y la caducidad que indica el sobre.
+ * - Un mensaje se confirma en el origen solo después de publicarse en el
+ *   destino; si el destino no está disponible se reintenta tras una espera
+ *   y, agotados los intentos, va a la cola de mensajes muertos del origen.
+ * - Las peticiones request/reply se reenvían como peticiones y la respuesta
+ *   vuelve al solicitante por el transporte de origen.
+ */
+
+/**
+ * Lee las rutas del puente de BRIDGE_ROUTES, por ejemplo
+ * `payment_service_queue=tcp->rabbitmq,orchestrator_queue=rabbitmq->tcp`
+ * @returns {Array<Object>} - Rutas { queue, from, to }
+ */
+function routesFromEnv() {
+  const routes = [];
+
+  for (const rule of (process.env.BRIDGE_ROUTES || '').split(',')) {
+    if (!rule.trim()) continue;
+
+    const [queue, direction = ''] = rule.split('=').map(part => part.trim());
+    const [from, to] = direction.split('->').map(part => part.trim().toLowerCase());
+    if (!queue || !from || !to) {
+      throw new Error(`Ruta del puente inválida: "${rule}" (use cola=origen->destino)`);
+    }
+    routes.push({ queue, from, to });
+  }
+
+  return routes;
+}
+
+/**
+ * Propiedades de entrega de un mensaje según su sobre, para que el
+ * transporte de destino respete su prioridad y su caducidad
+ * @param {Object} content - Contenido del mensaje recibido
+ * @returns {Object} - { priority, expiresAt } con los valores que tenga el sobre
+ */
+function deliveryProperties(content) {
+  const { priority, expiresAt } = getMetadata(content);
+  const properties = {};
+
+  if (priority !== undefined) properties.priority = priority;
+  if (expiresAt) properties.expiresAt = Date.parse(expiresAt);
+
+  return properties;
+}
+
+/**
+ * Indica si un mensaje es una petición que espera respuesta. RabbitMQ y
+ * memoria indican la cola de respuesta en replyTo; en TCP la respuesta
+ * vuelve por la misma conexión y basta con el correlationId.
+ * @param {Object} message - Mensaje original del transporte
+ * @returns {boolean} - true si hay que responder al mensaje
+ */
+function isRequest(message) {
+  const { replyTo, correlationId } = message.properties;
+  return Boolean(replyTo || (correlationId && typeof message.reply === 'function'));
+}
+
+class Bridge {
+  /**
+   * @param {Object} options - Opciones del puente
+   * @param {Array<Object>} options.routes - Rutas { queue, from, to }
+   * @param {Function} options.createTransport - (tipo) => instancia del transporte de ese tipo
+   * @param {string} options.serviceName - Nombre con el que se anuncia el puente (bridge)
+   * @param {number} options.prefetch - Mensajes reenviándose a la vez por ruta
+   * @param {number} options.retryDelay - Milisegundos antes de reintentar un reenvío fallido
+   * @param {number} options.maxAttempts - Intentos de reenvío antes de enviar el mensaje a la cola de mensajes muertos
+   * @param {number} options.requestTimeout - Milisegundos de espera de la respuesta a una petición
+   */
+  constructor(options) {
+    this.routes = options.routes;
+    this.createTransport = options.createTransport;
+    this.serviceName = options.serviceName || 'bridge';
+    this.prefetch = options.prefetch || 10;
+    this.retryDelay = options.retryDelay || 5000;
+    this.maxAttempts = options.maxAttempts || 10;
+    this.requestTimeout = options.requestTimeout || 5000;
+    this.transports = {}; // Map de tipo de transporte a su instancia
+    this.inFlight = new Set(); // Reenvíos en curso
+    this.draining = false; // true tras drain(): no se reenvían mensajes nuevos
+  }
+
+  /**
+   * Comprueba las rutas, inicializa los transportes y empieza a reenviar
+   */
+  async start() {
+    this.validateRoutes();
+
+    const types = new Set(this.routes.flatMap(({ from, to }) => [from, to]));
+    for (const type of types) {
+      this.transports[type] = this.createTransport(type);
+      await this.transports[type].initialize(this.serviceName);
+    }
+
+    for (const route of this.routes) {
+      const source = this.transports[route.from];
+      const target = this.transports[route.to];
+
+      await target.createQueue(route.queue);
+      await source.createQueue(route.queue);
+      await source.subscribe(
+        route.queue,
+        (content, message) => this.track(this.forward(route, content, message)),
+        { prefetch: this.prefetch }
+      );
+
+      console.log(`Puente ${route.queue}: ${route.from} -> ${route.to}`);
+    }
+  }
+
+  /**
+   * Rechaza las rutas que formarían un bucle o no tienen sentido
+   */
+  validateRoutes() {
+    if (this.routes.length === 0) {
+      throw new Error('El puente no tiene rutas: defina BRIDGE_ROUTES');
+    }
+
+    const queues = new Set();
+    for (const { queue, from, to } of this.routes) {
+      if (from === to) {
+        throw new Error(`La ruta de ${queue} tiene el mismo transporte de origen y destino (${from})`);
+      }
+      // Reenviar una cola en ambos sentidos devolvería cada mensaje a su origen
+      if (queues.has(queue)) {
+        throw new Error(`La cola ${queue} aparece en más de una ruta del puente`);
+      }
+      queues.add(queue);
+    }
+  }
+
+  /**
+   * Reenvía un mensaje recibido al transporte de destino de su ruta
+   * @param {Object} route - Ruta { queue, from, to }
+   * @param {Object} content - Contenido del mensaje
+   * @param {Object} message - Mensaje original del transporte de origen
+   */
+  async forward({ queue, from, to }, content, message) {
+    // Sin confirmar, el mensaje vuelve a la cola de origen al cerrar el puente
+    if (this.draining) return;
+
+    const source = this.transports[from];
+    const target = this.transports[to];
+    const request = isRequest(message);
+
+    try {
+      if (request) {
+        const response = await target.request(queue, content, { timeout: this.requestTimeout });
+        await source.reply(message, response);
+      } else {
+        await target.publish(queue, content, deliveryProperties(content));
+      }
+      await source.acknowledge(message);
+    } catch (error) {
+      console.error(`Error reenviando mensaje de ${queue} (${from} -> ${to}):`, error.message);
+
+      if (request) {
+        // El solicitante ya dejó de esperar: reintentar solo duplicaría la petición
+        await source.acknowledge(message);
+        return;
+      }
+
+      const attempt = (parseInt(message.properties.headers['x-retry-count']) || 0) + 1;
+      const reason = `Reenvío a ${to} fallido: ${error.message}`;
+      if (attempt >= this.maxAttempts) {
+        console.error(`Mensaje de ${queue} enviado a la cola de mensajes muertos de ${from} tras ${attempt} intentos`);
+        await source.deadLetter(queue, content, message, { attempts: attempt, reason });
+        return;
+      }
+
+      await source.retry(queue, content, message, { delay: this.retryDelay, attempt, reason });
+    }
+  }
+
+  /**
+   * Registra un reenvío en curso hasta que termine
+   * @param {Promise} forwarding - Promesa del reenvío
+   * @returns {Promise<void>} - Se resuelve al terminar el reenvío, aunque falle
+   */
+  track(forwarding) {
+    const tracked = forwarding
+      // Si falla hasta el reintento, el mensaje sigue sin confirmar y el transporte lo reentregará
+      .catch(error => console.error('Error en el puente de transportes:', error))
+      .finally(() => this.inFlight.delete(tracked));
+
+    this.inFlight.add(tracked);
+    return tracked;
+  }
+
+  /**
+   * Deja de consumir mensajes nuevos y espera a que terminen los reenvíos en curso
+   * @param {number} timeout - Milisegundos máximos de espera
+   * @returns {Promise<boolean>} - true si todos los reenvíos terminaron a tiempo
+   */
+  async drain(timeout) {
+    this.draining = true;
+    for (const transport of Object.values(this.transports)) {
+      await transport.stopConsuming();
+    }
+
+    let timer;
+    const deadline = new Promise(resolve => {
+      timer = setTimeout(() => resolve(false), timeout);
+    });
+    const idle = Promise.all([...this.inFlight]).then(() => true);
+
+    const drained = await Promise.race([idle, deadline]);
+    clearTimeout(timer);
+    return drained;
+  }
+
+  /**
+   * Espera a que los transportes entreguen los mensajes reenviados
+   * @param {number} timeout - Milisegundos máximos de espera
+   * @returns {Promise<boolean>} - true si no queda ningún mensaje pendiente
+   */
+  async flush(timeout) {
+    const results = await Promise.all(
+      Object.values(this.transports).map(transport => transport.flush(timeout))
+    );
+    return results.every(Boolean);
+  }
+
+  /**
+   * Cierra todos los transportes del puente
+   */
+  async close() {
+    for (const transport of Object.values(this.transports)) {
+      await transport.close();
+    }
+  }
+}
+
+Bridge.routesFromEnv = routesFromEnv;
+
+module.exports = Bridge;
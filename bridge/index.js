@@ -0,0 +1,28 @@
+require('dotenv').config();
+const TransportFactory = require('../shared/transport/TransportFactory');
+const ServiceLifecycle = require('../shared/ServiceLifecycle');
+const Bridge = require('./Bridge');
+
+// Puente de mensajes entre transportes (ver BRIDGE_ROUTES en el README)
+const bridge = new Bridge({
+  routes: Bridge.routesFromEnv(),
+  createTransport: type => TransportFactory.createTransportOfType(type),
+  prefetch: parseInt(process.env.BRIDGE_PREFETCH || '10'),
+  retryDelay: parseInt(process.env.BRIDGE_RETRY_DELAY || '5000'),
+  maxAttempts: parseInt(process.env.BRIDGE_MAX_ATTEMPTS || '10'),
+  requestTimeout: parseInt(process.env.MESSAGE_REQUEST_TIMEOUT || '5000')
+});
+
+// Cierre ordenado ante SIGINT/SIGTERM: terminar los reenvíos en curso antes de salir
+const lifecycle = new ServiceLifecycle({ serviceName: 'bridge', messageService: bridge });
+lifecycle.handleShutdown();
+
+bridge.start()
+  .then(() => {
+    lifecycle.markReady();
+    console.log('Puente de transportes listo');
+  })
+  .catch(err => {
+    console.error('Error al iniciar el puente de transportes:', err);
+    process.exit(1);
+  });
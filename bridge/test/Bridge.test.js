@@ -0,0 +1,214 @@
+const assert = require('assert');
+const MemoryBroker = require('../../shared/transport/MemoryBroker');
+const MemoryTransport = require('../../shared/transport/MemoryTransport');
+const { createEnvelope } = require('../../shared/MessageEnvelope');
+const Bridge = require('../Bridge');
+
+/**
+ * Pruebas del puente entre transportes con dos transportes en memoria, cada
+ * uno con su propio broker: `rabbitmq` hace de origen y `tcp` de destino.
+ */
+
+const QUEUE = 'payment_service_queue';
+
+/**
+ * Crea un transporte en memoria conectado a un broker
+ * @param {MemoryBroker} broker - Broker del transporte
+ * @returns {MemoryTransport}
+ */
+function memoryTransport(broker) {
+  const transport = new MemoryTransport();
+  transport.setConfig({ broker });
+  return transport;
+}
+
+/**
+ * Ejecuta el cuerpo con un puente `rabbitmq -> tcp` para QUEUE, un cliente
+ * que publica en el origen y otro que consume del destino
+ * @param {Object} options - Opciones del puente que sustituyen a las de la prueba
+ * @param {Function} body - Recibe { bridge, source, target, publisher, consumer }
+ */
+async function withBridge(options, body) {
+  const source = new MemoryBroker();
+  const target = new MemoryBroker();
+  const bridge = new Bridge({
+    routes: [{ queue: QUEUE, from: 'rabbitmq', to: 'tcp' }],
+    createTransport: type => memoryTransport(type === 'rabbitmq' ? source : target),
+    retryDelay: 10,
+    ...options
+  });
+  const publisher = memoryTransport(source);
+  const consumer = memoryTransport(target);
+
+  await bridge.start();
+  await publisher.initialize();
+  await consumer.initialize();
+  try {
+    await body({ bridge, source, target, publisher, consumer });
+  } finally {
+    await bridge.close();
+    await publisher.close();
+    await consumer.close();
+    source.reset();
+    target.reset();
+  }
+}
+
+/**
+ * Mensajes pendientes de una cola de un broker
+ * @param {MemoryBroker} broker - Broker
+ * @param {string} queue - Cola
+ * @returns {Array<Object>}
+ */
+function queued(broker, queue) {
+  const state = broker.queues.get(queue);
+  return state ? state.messages : [];
+}
+
+/**
+ * Mensajes entregados y sin confirmar de un broker
+ * @param {MemoryBroker} broker - Broker
+ * @returns {number}
+ */
+function unacknowledged(broker) {
+  return [...broker.consumers.values()].reduce((total, consumer) => total + consumer.unacked.size, 0);
+}
+
+const message = orderId => createEnvelope(
+  { type: 'PAYMENT_REQUESTED', data: { orderId, customerId: 'c-1', amount: 10 } },
+  { source: 'orchestrator', correlationId: `saga-${orderId}`, priority: 7, expiresAt: Date.now() + 60000 }
+);
+
+module.exports = [
+  {
+    name: 'el mensaje llega al destino con su sobre intacto y la prioridad y caducidad del sobre',
+    async run(t) {
+      await withBridge({}, async ({ source, publisher, consumer }) => {
+        const received = [];
+        await consumer.subscribe(QUEUE, (content, delivery) => {
+          received.push({ content, properties: delivery.properties });
+          consumer.acknowledge(delivery);
+        });
+
+        const sent = message('o-1');
+        await publisher.publish(QUEUE, sent);
+        await t.waitFor(() => received.length === 1, 'el mensaje reenviado');
+
+        assert.deepStrictEqual(received[0].content, sent);
+        assert.strictEqual(received[0].properties.priority, 7);
+        assert.strictEqual(received[0].properties.expiresAt, Date.parse(sent.metadata.expiresAt));
+        // Confirmado en el origen
+        await t.waitFor(() => unacknowledged(source) === 0 && queued(source, QUEUE).length === 0, 'la confirmación en el origen');
+        assert.deepStrictEqual(queued(source, `${QUEUE}.dlq`), []);
+      });
+    }
+  },
+
+  {
+    name: 'un reenvío fallido se reintenta y se entrega cuando el destino vuelve',
+    async run(t) {
+      await withBridge({ maxAttempts: 5 }, async ({ bridge, publisher, consumer }) => {
+        const received = [];
+        await consumer.subscribe(QUEUE, (content, delivery) => {
+          received.push(content);
+          consumer.acknowledge(delivery);
+        });
+
+        const target = bridge.transports.tcp;
+        const publish = target.publish.bind(target);
+        let attempts = 0;
+        target.publish = async (...args) => {
+          if (++attempts < 3) throw new Error('destino no disponible');
+          return publish(...args);
+        };
+
+        await publisher.publish(QUEUE, message('o-2'));
+        await t.waitFor(() => received.length === 1, 'el mensaje reenviado');
+
+        assert.strictEqual(attempts, 3);
+        assert.strictEqual(received[0].data.orderId, 'o-2');
+      });
+    }
+  },
+
+  {
+    name: 'agotados los intentos de reenvío el mensaje va a la cola de mensajes muertos del origen',
+    async run(t) {
+      await withBridge({ maxAttempts: 3 }, async ({ bridge, source, target, publisher }) => {
+        let attempts = 0;
+        bridge.transports.tcp.publish = async () => {
+          attempts++;
+          throw new Error('destino no disponible');
+        };
+
+        const sent = message('o-3');
+        await publisher.publish(QUEUE, sent);
+        await t.waitFor(() => queued(source, `${QUEUE}.dlq`).length === 1, 'el mensaje en la cola de mensajes muertos');
+
+        const [deadLetter] = queued(source, `${QUEUE}.dlq`);
+        assert.strictEqual(attempts, 3);
+        assert.deepStrictEqual(JSON.parse(deadLetter.content), sent);
+        assert.strictEqual(deadLetter.properties.headers['x-attempts'], 3);
+        assert.strictEqual(deadLetter.properties.headers['x-original-queue'], QUEUE);
+        assert.strictEqual(deadLetter.properties.headers['x-death-reason'], 'Reenvío a tcp fallido: destino no disponible');
+
+        // Sin más reintentos
+        await t.sleep(50);
+        assert.strictEqual(attempts, 3);
+        assert.deepStrictEqual(queued(source, QUEUE), []);
+        assert.deepStrictEqual(queued(target, QUEUE), []);
+      });
+    }
+  },
+
+  {
+    name: 'drain espera a que terminen los reenvíos en curso y no reenvía mensajes nuevos',
+    async run(t) {
+      await withBridge({}, async ({ bridge, source, target, publisher }) => {
+        const tcp = bridge.transports.tcp;
+        const publish = tcp.publish.bind(tcp);
+        let release;
+        const gate = new Promise(resolve => { release = resolve; });
+        tcp.publish = async (...args) => {
+          await gate;
+          return publish(...args);
+        };
+
+        await publisher.publish(QUEUE, message('o-4'));
+        await t.waitFor(() => bridge.inFlight.size === 1, 'el reenvío en curso');
+
+        let drained;
+        const draining = bridge.drain(5000).then((result) => { drained = result; });
+        // Un mensaje publicado durante el cierre se queda en el origen
+        await publisher.publish(QUEUE, message('o-5'));
+        await t.sleep(30);
+        assert.strictEqual(drained, undefined);
+
+        release();
+        await draining;
+
+        assert.strictEqual(drained, true);
+        assert.strictEqual(bridge.inFlight.size, 0);
+        assert.deepStrictEqual(queued(target, QUEUE).map(entry => JSON.parse(entry.content).data.orderId), ['o-4']);
+        assert.deepStrictEqual(queued(source, QUEUE).map(entry => JSON.parse(entry.content).data.orderId), ['o-5']);
+      });
+    }
+  },
+
+  {
+    name: 'drain devuelve false si un reenvío no termina en el plazo',
+    async run(t) {
+      await withBridge({}, async ({ bridge, publisher }) => {
+        let release;
+        const gate = new Promise(resolve => { release = resolve; });
+        bridge.transports.tcp.publish = () => gate;
+
+        await publisher.publish(QUEUE, message('o-6'));
+        await t.waitFor(() => bridge.inFlight.size === 1, 'el reenvío en curso');
+
+        assert.strictEqual(await bridge.drain(30), false);
+        release();
+      });
+    }
+  }
+];
@@ -1,12 +1,13 @@
 const express = require('express');
 require('dotenv').config();
 const MessageService = require('../shared/MessageService');
+const ServiceLifecycle = require('../shared/ServiceLifecycle');
 const { QUEUES, EVENTS } = require('../shared/constants');
 
 // Initialize express app
 const app = express();
 app.use(express.json());
-const PORT = 3001;
+const PORT = process.env.PORT || 3001;
 
 // In-memory inventory database (in a real app, this would be a real database)
 const inventoryItems = {
@@ -21,6 +22,12 @@ const reservations = {};
 // Servicio de mensajería
 const messageService = new MessageService('inventory-service');
 
+// Cierre ordenado ante SIGINT/SIGTERM y estado de disponibilidad
+const lifecycle = new ServiceLifecycle({ serviceName: 'inventory-service', messageService });
+
+// Disponibilidad: 503 mientras el servicio arranca o se está cerrando
+app.get('/ready', lifecycle.readinessHandler());
+
 async function setupMessageService() {
   try {
     // Inicializar el servicio de mensajería
@@ -31,7 +38,10 @@ async function setupMessageService() {
     await messageService.createQueue(QUEUES.ORCHESTRATOR);
     
     // Suscribirse al canal de inventario
-    await messageService.subscribe(QUEUES.INVENTORY_SERVICE, handleMessage);
+    await messageService.subscribe(QUEUES.INVENTORY_SERVICE, handleMessage, {
+      // Los mensajes de una misma orden se procesan de uno en uno y en orden
+      orderingKey: 'data.orderId'
+    });
     
     console.log('Servicio de inventario listo para procesar mensajes');
   } catch (error) {
@@ -57,12 +67,16 @@ async function handleMessage(content, message) {
       await handleInventoryRelease(content);
       break;
       
+    case EVENTS.INVENTORY_STOCK_REQUESTED:
+      await handleStockRequest(content, message);
+      break;
+      
     default:
       console.log(`Tipo de evento desconocido: ${content.type}`);
   }
   
-  // Confirmar el procesamiento del mensaje
-  messageService.acknowledge(message);
+  // MessageService confirma el mensaje al terminar; si un handler lanza un
+  // error, el mensaje se reintenta y acaba en la cola de mensajes muertos
 }
 
 // Handle inventory check request
@@ -98,6 +112,7 @@ async function handleInventoryCheckRequest(content) {
     await messageService.publish(QUEUES.ORCHESTRATOR, {
       type: EVENTS.INVENTORY_CHECK_SUCCEEDED,
       data: {
+        success: true,
         orderId,
         reservationId
       }
@@ -106,6 +121,7 @@ async function handleInventoryCheckRequest(content) {
     await messageService.publish(QUEUES.ORCHESTRATOR, {
       type: EVENTS.INVENTORY_CHECK_FAILED,
       data: {
+        success: false,
         orderId,
         reason: 'Insufficient inventory',
         insufficientItems
@@ -151,6 +167,19 @@ async function handleInventoryRelease(content) {
   console.log(`Inventory reservation released for order ${orderId}`);
 }
 
+// Handle stock query (request/reply)
+async function handleStockRequest(content, message) {
+  const { itemId } = content.data;
+  const item = inventoryItems[itemId];
+  
+  if (!item) {
+    await messageService.reply(message, { success: false, itemId, reason: 'Item not found' });
+    return;
+  }
+  
+  await messageService.reply(message, { success: true, itemId, stock: item.stock });
+}
+
 // API endpoints for inventory management (for demonstration purposes)
 app.get('/inventory', (req, res) => {
   res.json(Object.values(inventoryItems));
@@ -170,11 +199,13 @@ app.get('/reservations', (req, res) => {
 
 // Start server and setup messaging
 async function startServer() {
-  app.listen(PORT, () => {
+  const server = app.listen(PORT, () => {
     console.log(`Inventory service listening on port ${PORT}`);
   });
+  lifecycle.handleShutdown(server);
   
   await setupMessageService();
+  lifecycle.markReady();
 }
 
 startServer().catch(err => {
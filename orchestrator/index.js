@@ -4,15 +4,17 @@ const fs = require('fs');
 const path = require('path');
 require('dotenv').config();
 const MessageService = require('../shared/MessageService');
+const ServiceLifecycle = require('../shared/ServiceLifecycle');
 const { EVENTS } = require('../shared/constants');
+const SagaEngine = require('./saga/SagaEngine');
+const SagaRepositoryFactory = require('./saga/SagaRepositoryFactory');
+const orderSaga = require('./saga/orderSaga');
+const { loadSagaFiles } = require('./saga/sagaFiles');
 
 // Initialize express app
 const app = express();
 app.use(express.json());
-const PORT = 3000;
-
-// Store for tracking saga state
-const sagaStore = {};
+const PORT = process.env.PORT || 3000;
 
 // Store for registered services
 const serviceRegistry = {};
@@ -20,6 +22,18 @@ const serviceRegistry = {};
 // Servicio de mensajería
 const messageService = new MessageService('orchestrator');
 
+// Repositorio donde se guarda el estado de las sagas (SAGA_STORE)
+const sagaRepository = SagaRepositoryFactory.createRepository();
+
+// Motor que ejecuta las sagas declarativas
+const sagaEngine = new SagaEngine({ messageService, serviceRegistry, repository: sagaRepository });
+
+// Cierre ordenado ante SIGINT/SIGTERM y estado de disponibilidad
+const lifecycle = new ServiceLifecycle({ serviceName: 'orchestrator', messageService });
+
+// Disponibilidad: 503 mientras el servicio arranca o se está cerrando
+app.get('/ready', lifecycle.readinessHandler());
+
 /**
  * Registra un servicio en el orquestador
  * @param {Object} serviceContract - Contrato del servicio según definido en shared/contracts.js
@@ -38,6 +52,9 @@ function registerService(serviceContract) {
     registeredAt: new Date()
   };
   
+  // Validar los mensajes de y hacia el servicio contra su contrato
+  messageService.contracts.addContract(serviceContract);
+  
   return serviceContract.name;
 }
 
@@ -105,264 +122,111 @@ async function setupMessageService() {
       const service = serviceRegistry[serviceName];
       await messageService.createQueue(service.queueName);
     }
-    
-    // Suscribirse al canal del orquestador
-    await messageService.subscribe('orchestrator_queue', handleMessage);
-    
-    console.log('Orquestador listo para procesar mensajes');
   } catch (error) {
     console.error('Error configurando servicio de mensajería:', error);
     process.exit(1);
   }
 }
 
+/**
+ * Empieza a procesar la cola del orquestador. Se llama después de recover:
+ * así ninguna respuesta hace avanzar una saga mientras se retoma
+ */
+async function consumeOrchestratorQueue() {
+  await messageService.subscribe('orchestrator_queue', handleMessage, {
+    // Los mensajes de una misma orden se procesan de uno en uno y en orden
+    orderingKey: 'data.orderId'
+  });
+  
+  console.log('Orquestador listo para procesar mensajes');
+}
+
 // Message handler for orchestrator
 async function handleMessage(content, message) {
   console.log(`Orquestador procesando mensaje: ${content.type}`);
   
-  // Buscar el manejador específico para este tipo de evento
-  const handler = findEventHandler(content.type);
-  
-  if (handler) {
-    try {
-      await handler(content);
-    } catch (error) {
-      console.error(`Error procesando evento ${content.type}:`, error);
+  try {
+    const handled = await sagaEngine.handle(content);
+    if (!handled) {
+      console.log(`No hay manejador para el evento: ${content.type}`);
     }
-  } else {
-    console.log(`No hay manejador para el evento: ${content.type}`);
+  } catch (error) {
+    console.error(`Error procesando evento ${content.type}:`, error);
+    // Propagar el error para que MessageService reintente el mensaje
+    throw error;
   }
-  
-  // Confirmar el procesamiento del mensaje
-  messageService.acknowledge(message);
 }
 
 /**
- * Encuentra el manejador adecuado para un tipo de evento
+ * Registra las sagas que coordina el orquestador
  */
-function findEventHandler(eventType) {
-  const handlers = {
-    [EVENTS.ORDER_CREATED]: handleOrderCreated,
-    [EVENTS.INVENTORY_CHECK_SUCCEEDED]: handleInventoryCheckSuccess,
-    [EVENTS.INVENTORY_CHECK_FAILED]: handleInventoryCheckFailure,
-    [EVENTS.PAYMENT_SUCCEEDED]: handlePaymentSuccess,
-    [EVENTS.PAYMENT_FAILED]: handlePaymentFailure
-  };
-  
-  return handlers[eventType];
-}
-
-// Handle ORDER_CREATED event
-async function handleOrderCreated(content) {
-  const { orderId, customerId, items, totalAmount } = content.data;
-  
-  // Create new saga state
-  sagaStore[orderId] = {
-    id: orderId,
-    customerId,
-    items,
-    totalAmount,
-    status: 'INVENTORY_CHECK_PENDING',
-    startedAt: new Date(),
-    steps: [
-      { type: EVENTS.ORDER_CREATED, timestamp: new Date(), data: content.data }
-    ]
-  };
-  
-  console.log(`Iniciando saga para la orden: ${orderId}`);
-  
-  // Request inventory check usando el servicio registrado
-  const inventoryService = serviceRegistry['inventory-service'];
-  if (!inventoryService) {
-    console.error('Servicio de inventario no registrado');
-    return;
-  }
-  
-  await messageService.publish(inventoryService.queueName, {
-    type: EVENTS.INVENTORY_CHECK_REQUESTED,
-    data: {
-      orderId,
-      items
-    }
-  });
+function registerSagas() {
+  sagaEngine.register(orderSaga);
 }
 
-// Handle INVENTORY_CHECK_SUCCEEDED event
-async function handleInventoryCheckSuccess(content) {
-  const { orderId, reservationId } = content.data;
-  const saga = sagaStore[orderId];
+/**
+ * Carga las sagas definidas en ficheros JSON o YAML de la carpeta sagas.
+ * A diferencia de los servicios, una definición inválida detiene el arranque:
+ * se informa de los errores de todos los ficheros a la vez.
+ */
+function loadSagas() {
+  const sagasDir = path.join(__dirname, 'sagas');
   
-  if (!saga) {
-    console.error(`Saga no encontrada para la orden: ${orderId}`);
+  if (!fs.existsSync(sagasDir)) {
+    console.log('Carpeta sagas no encontrada. Solo se usan las sagas definidas en código.');
     return;
   }
   
-  // Update saga state
-  saga.status = 'PAYMENT_PENDING';
-  saga.reservationId = reservationId;
-  saga.steps.push({ type: EVENTS.INVENTORY_CHECK_SUCCEEDED, timestamp: new Date(), data: content.data });
-  
-  console.log(`Verificación de inventario exitosa para la orden: ${orderId}. Procediendo al pago.`);
-  
-  // Request payment usando el servicio registrado
-  const paymentService = serviceRegistry['payment-service'];
-  if (!paymentService) {
-    console.error('Servicio de pagos no registrado');
-    return;
+  const loaded = loadSagaFiles(sagasDir, definition => sagaEngine.register(definition));
+  for (const { fileName, definition } of loaded) {
+    console.log(`Saga cargada: ${definition.name} (${fileName})`);
   }
   
-  await messageService.publish(paymentService.queueName, {
-    type: EVENTS.PAYMENT_REQUESTED,
-    data: {
-      orderId,
-      customerId: saga.customerId,
-      amount: saga.totalAmount
-    }
-  });
+  console.log(`Sagas registradas: ${sagaEngine.definitions.size}`);
 }
 
-// Handle INVENTORY_CHECK_FAILED event
-async function handleInventoryCheckFailure(content) {
-  const { orderId, reason, insufficientItems } = content.data;
-  const saga = sagaStore[orderId];
-  
-  if (!saga) {
-    console.error(`Saga no encontrada para la orden: ${orderId}`);
-    return;
-  }
-  
-  // Update saga state
-  saga.status = 'FAILED';
-  saga.failureReason = reason;
-  saga.insufficientItems = insufficientItems;
-  saga.steps.push({ type: EVENTS.INVENTORY_CHECK_FAILED, timestamp: new Date(), data: content.data });
-  
-  console.log(`Verificación de inventario fallida para la orden: ${orderId}. Razón: ${reason}`);
-  
-  // Notify order service about failure
-  const orderService = serviceRegistry['order-service'];
-  if (!orderService) {
-    console.error('Servicio de órdenes no registrado');
-    return;
+// API endpoints for saga management (for demonstration purposes)
+app.get('/sagas', async (req, res) => {
+  try {
+    res.json(await sagaEngine.list());
+  } catch (error) {
+    res.status(500).json({ error: error.message });
   }
-  
-  await messageService.publish(orderService.queueName, {
-    type: EVENTS.ORDER_CANCELLED,
-    data: {
-      orderId,
-      reason,
-      insufficientItems
-    }
-  });
-}
+});
 
-// Handle PAYMENT_SUCCEEDED event
-async function handlePaymentSuccess(content) {
-  const { orderId, transactionId } = content.data;
-  const saga = sagaStore[orderId];
-  
-  if (!saga) {
-    console.error(`Saga no encontrada para la orden: ${orderId}`);
-    return;
-  }
-  
-  // Update saga state
-  saga.status = 'COMPLETED';
-  saga.transactionId = transactionId;
-  saga.steps.push({ type: EVENTS.PAYMENT_SUCCEEDED, timestamp: new Date(), data: content.data });
-  
-  console.log(`Pago exitoso para la orden: ${orderId}. Transacción: ${transactionId}`);
-  
-  // Confirm inventory reservation
-  const inventoryService = serviceRegistry['inventory-service'];
-  if (!inventoryService) {
-    console.error('Servicio de inventario no registrado');
-    return;
-  }
-  
-  await messageService.publish(inventoryService.queueName, {
-    type: EVENTS.INVENTORY_RESERVED,
-    data: {
-      orderId,
-      reservationId: saga.reservationId
+app.get('/sagas/:id', async (req, res) => {
+  try {
+    const saga = await sagaEngine.get(req.params.id);
+    if (!saga) {
+      return res.status(404).json({ error: 'Saga no encontrada' });
     }
-  });
-  
-  // Notify order service about success
-  const orderService = serviceRegistry['order-service'];
-  if (!orderService) {
-    console.error('Servicio de órdenes no registrado');
-    return;
+    res.json(saga);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
   }
-  
-  await messageService.publish(orderService.queueName, {
-    type: EVENTS.ORDER_COMPLETED,
-    data: {
-      orderId,
-      transactionId
-    }
-  });
-}
+});
 
-// Handle PAYMENT_FAILED event
-async function handlePaymentFailure(content) {
-  const { orderId, reason } = content.data;
-  const saga = sagaStore[orderId];
-  
-  if (!saga) {
-    console.error(`Saga no encontrada para la orden: ${orderId}`);
-    return;
-  }
-  
-  // Update saga state
-  saga.status = 'FAILED';
-  saga.failureReason = reason;
-  saga.steps.push({ type: EVENTS.PAYMENT_FAILED, timestamp: new Date(), data: content.data });
-  
-  console.log(`Pago fallido para la orden: ${orderId}. Razón: ${reason}`);
-  
-  // Release inventory reservation (compensating action)
+// Consulta el stock de un producto al servicio de inventario (request/reply)
+app.get('/inventory/:id/stock', async (req, res) => {
   const inventoryService = serviceRegistry['inventory-service'];
   if (!inventoryService) {
-    console.error('Servicio de inventario no registrado');
-    return;
+    return res.status(503).json({ error: 'Servicio de inventario no registrado' });
   }
   
-  await messageService.publish(inventoryService.queueName, {
-    type: EVENTS.INVENTORY_RELEASED,
-    data: {
-      orderId,
-      reservationId: saga.reservationId
-    }
-  });
-  
-  // Notify order service about failure
-  const orderService = serviceRegistry['order-service'];
-  if (!orderService) {
-    console.error('Servicio de órdenes no registrado');
-    return;
-  }
-  
-  await messageService.publish(orderService.queueName, {
-    type: EVENTS.ORDER_CANCELLED,
-    data: {
-      orderId,
-      reason
+  try {
+    const response = await messageService.request(inventoryService.queueName, {
+      type: EVENTS.INVENTORY_STOCK_REQUESTED,
+      data: { itemId: req.params.id }
+    });
+    
+    if (!response.success) {
+      return res.status(404).json({ error: response.reason });
     }
-  });
-}
-
-// API endpoints for saga management (for demonstration purposes)
-app.get('/sagas', (req, res) => {
-  res.json(Object.values(sagaStore));
-});
-
-app.get('/sagas/:id', (req, res) => {
-  const saga = sagaStore[req.params.id];
-  if (!saga) {
-    return res.status(404).json({ error: 'Saga no encontrada' });
+    res.json(response);
+  } catch (error) {
+    const status = error.code === 'REQUEST_TIMEOUT' ? 504 : 500;
+    res.status(status).json({ error: error.message });
   }
-  res.json(saga);
 });
 
 // Endpoint para ver servicios registrados
@@ -372,9 +236,10 @@ app.get('/services', (req, res) => {
 
 // Start server and connect to RabbitMQ
 async function startServer() {
-  app.listen(PORT, () => {
+  const server = app.listen(PORT, () => {
     console.log(`Orquestador escuchando en el puerto ${PORT}`);
   });
+  lifecycle.handleShutdown(server);
   
   // Registrar los servicios core
   registerCoreServices();
@@ -382,8 +247,25 @@ async function startServer() {
   // Cargar servicios adicionales desde la carpeta services
   await loadServices();
   
+  // Registrar las sagas (sus servicios deben estar ya registrados)
+  registerSagas();
+  loadSagas();
+  
+  // Preparar el repositorio de sagas
+  await sagaRepository.initialize();
+  
   // Configurar servicio de mensajería
   await setupMessageService();
+  
+  // Retomar las sagas que quedaron en curso antes del reinicio
+  const { resumed, timedOut, compensating } = await sagaEngine.recover();
+  if (resumed + timedOut + compensating > 0) {
+    console.log(`Sagas retomadas: ${resumed}; sagas con tiempo agotado: ${timedOut}; sagas compensando: ${compensating}`);
+  }
+  
+  // Procesar las respuestas de los servicios
+  await consumeOrchestratorQueue();
+  lifecycle.markReady();
 }
 
 startServer().catch(err => {
@@ -0,0 +1,80 @@
+const fs = require('fs');
+const path = require('path');
+const SagaRepositoryInterface = require('./SagaRepositoryInterface');
+
+/**
+ * Repositorio de sagas en disco: un archivo JSON por saga en un directorio
+ * (`<directorio>/<id>.json`). Las sagas sobreviven a un reinicio del
+ * orquestador, que las retoma al arrancar.
+ *
+ * Cada archivo se escribe en uno temporal y se renombra, así que nunca se lee
+ * a medias. La comprobación de versión protege frente a escrituras que se
+ * cruzan dentro del proceso y entre reinicios; con varios orquestadores sobre
+ * el mismo directorio, la lectura de la versión y el renombrado no son una
+ * operación atómica.
+ */
+class FileSagaRepository extends SagaRepositoryInterface {
+  /**
+   * @param {Object} options
+   * @param {string} options.directory - Directorio donde se guardan las sagas
+   */
+  constructor({ directory }) {
+    super();
+    this.directory = directory;
+  }
+
+  async initialize() {
+    fs.mkdirSync(this.directory, { recursive: true });
+  }
+
+  async get(id) {
+    return this.read(this.getPath(id));
+  }
+
+  async list() {
+    return fs.readdirSync(this.directory)
+      .filter(fileName => fileName.endsWith('.json'))
+      .map(fileName => this.read(path.join(this.directory, fileName)))
+      .filter(Boolean)
+      // Mismo orden que el repositorio en memoria: por fecha de inicio
+      .sort((a, b) => new Date(a.startedAt) - new Date(b.startedAt));
+  }
+
+  async save(saga) {
+    const sagaPath = this.getPath(saga.id);
+    this.assertVersion(saga, this.read(sagaPath));
+
+    const stored = { ...saga, version: (saga.version || 0) + 1 };
+    // Escribir en un archivo temporal y renombrar para no dejar la saga a medias
+    const tempPath = `${sagaPath}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(stored, null, 2));
+    fs.renameSync(tempPath, sagaPath);
+
+    return JSON.parse(JSON.stringify(stored));
+  }
+
+  /**
+   * Lee una saga de disco
+   * @param {string} sagaPath - Ruta del archivo
+   * @returns {Object|undefined} - Saga, o undefined si el archivo no existe
+   */
+  read(sagaPath) {
+    try {
+      return JSON.parse(fs.readFileSync(sagaPath, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return undefined;
+      throw error;
+    }
+  }
+
+  /**
+   * Ruta del archivo de una saga
+   * @param {string} id - Id de la saga
+   * @returns {string} - Ruta del archivo
+   */
+  getPath(id) {
+    return path.join(this.directory, `${encodeURIComponent(id)}.json`);
+  }
+}
+
+module.exports = FileSagaRepository;
@@ -0,0 +1,43 @@
+const SagaRepositoryInterface = require('./SagaRepositoryInterface');
+
+/**
+ * Copia una saga como se guardaría en JSON (las fechas pasan a cadenas ISO),
+ * igual que FileSagaRepository
+ * @param {Object} saga - Saga a copiar
+ * @returns {Object} - Copia independiente
+ */
+function copy(saga) {
+  return JSON.parse(JSON.stringify(saga));
+}
+
+/**
+ * Repositorio de sagas en memoria. El estado se pierde al reiniciar el
+ * orquestador: útil para desarrollo y pruebas.
+ */
+class MemorySagaRepository extends SagaRepositoryInterface {
+  constructor() {
+    super();
+    this.sagas = new Map();
+  }
+
+  async initialize() {}
+
+  async get(id) {
+    const saga = this.sagas.get(id);
+    return saga && copy(saga);
+  }
+
+  async list() {
+    return [...this.sagas.values()].map(copy);
+  }
+
+  async save(saga) {
+    this.assertVersion(saga, this.sagas.get(saga.id));
+
+    const stored = copy({ ...saga, version: (saga.version || 0) + 1 });
+    this.sagas.set(saga.id, stored);
+    return copy(stored);
+  }
+}
+
+module.exports = MemorySagaRepository;
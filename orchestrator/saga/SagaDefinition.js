@@ -0,0 +1,252 @@
+/**
+ * Definiciones declarativas de sagas.
+ *
+ * Una saga es una lista ordenada de pasos. Cada paso envía un comando a un
+ * servicio del registro y espera su evento de éxito o de fallo, como mucho
+ * `timeout` ms. Si un paso falla o agota su plazo, se envían las
+ * compensaciones de los pasos ya completados en orden inverso. Al terminar se
+ * notifica el resultado con `onCompleted` u `onFailed`.
+ *
+ * La compensación de un paso es, salvo que el paso indique `compensation`, la
+ * que declara el contrato de su servicio para el evento de éxito
+ * (`compensations` en shared/contracts.js). Las compensaciones se publican con
+ * prioridad COMPENSATION_PRIORITY si no indican otra.
+ *
+ * Los mensajes (comandos, compensaciones y notificaciones) se describen con
+ * `{ event, service, data, priority, ttl }`. `data` indica qué campos del
+ * contexto de la saga se envían:
+ *
+ * - Sin `data`: todo el contexto.
+ * - Lista de campos: `['orderId', 'items']`.
+ * - Objeto `{ destino: 'ruta.en.el.contexto' }`: `{ amount: 'totalAmount' }`.
+ * - Función `(context) => data` (solo en definiciones escritas en código).
+ *
+ * El contexto empieza con los datos del evento que inicia la saga y acumula
+ * los datos de cada evento de respuesta (`reservationId`, `reason`, ...).
+ */
+
+// Las compensaciones se adelantan a los mensajes en espera para que los
+// recursos retenidos (por ejemplo, el stock reservado) se liberen cuanto antes
+const COMPENSATION_PRIORITY = 9;
+
+/**
+ * Crea el error de una definición de saga mal formada
+ * @param {string} sagaName - Nombre de la saga (o undefined si aún no se conoce)
+ * @param {string} message - Descripción del problema
+ * @returns {Error} - Error con código INVALID_SAGA_DEFINITION (no reintentable)
+ */
+function invalidDefinition(sagaName, message) {
+  const error = new Error(sagaName ? `Saga "${sagaName}": ${message}` : `Saga inválida: ${message}`);
+  error.code = 'INVALID_SAGA_DEFINITION';
+  error.retryable = false;
+  return error;
+}
+
+/**
+ * Indica si un valor es una cadena no vacía
+ * @param {*} value - Valor a comprobar
+ * @returns {boolean}
+ */
+function isName(value) {
+  return typeof value === 'string' && value.trim() !== '';
+}
+
+/**
+ * Normaliza la descripción de un mensaje de la saga
+ * @param {string} sagaName - Nombre de la saga, para los errores
+ * @param {string} where - Ubicación del mensaje en la definición, para los errores
+ * @param {string|Object} spec - Nombre del evento o `{ event, service, data, priority, ttl }`
+ * @param {string} [defaultService] - Servicio si la descripción no indica uno
+ * @returns {Object} - `{ event, service, data, priority, ttl }`
+ */
+function normalizeMessage(sagaName, where, spec, defaultService) {
+  const message = typeof spec === 'string' ? { event: spec } : spec;
+
+  if (!message || typeof message !== 'object' || Array.isArray(message)) {
+    throw invalidDefinition(sagaName, `${where} debe ser un nombre de evento o un objeto { event, ... }`);
+  }
+  if (!isName(message.event)) {
+    throw invalidDefinition(sagaName, `${where} no indica el evento (event)`);
+  }
+
+  const service = message.service || defaultService;
+  if (!isName(service)) {
+    throw invalidDefinition(sagaName, `${where} (${message.event}) no indica el servicio de destino (service)`);
+  }
+
+  const { data } = message;
+  const validData = data === undefined
+    || typeof data === 'function'
+    || (Array.isArray(data) && data.every(isName))
+    || (data && typeof data === 'object' && !Array.isArray(data) && Object.values(data).every(isName));
+  if (!validData) {
+    throw invalidDefinition(sagaName, `${where} (${message.event}): data debe ser una lista de campos, un objeto { destino: 'ruta' } o una función`);
+  }
+  // Mismos límites que comprueba MessageService.publish
+  if (message.priority !== undefined && !(Number.isInteger(message.priority) && message.priority >= 0 && message.priority <= 9)) {
+    throw invalidDefinition(sagaName, `${where} (${message.event}): priority debe ser un entero entre 0 y 9`);
+  }
+  if (message.ttl !== undefined && !(Number.isFinite(message.ttl) && message.ttl > 0)) {
+    throw invalidDefinition(sagaName, `${where} (${message.event}): ttl debe ser un número de milisegundos mayor que 0`);
+  }
+
+  return {
+    event: message.event,
+    service,
+    data,
+    priority: message.priority,
+    ttl: message.ttl
+  };
+}
+
+/**
+ * Normaliza una lista de notificaciones (`onCompleted`, `onFailed`)
+ * @param {string} sagaName - Nombre de la saga, para los errores
+ * @param {string} field - Nombre del campo en la definición
+ * @param {Object|Object[]} [specs] - Una o varias descripciones de mensaje
+ * @returns {Object[]} - Mensajes normalizados
+ */
+function normalizeNotifications(sagaName, field, specs) {
+  if (specs === undefined) return [];
+  const list = Array.isArray(specs) ? specs : [specs];
+  return list.map((spec, index) => normalizeMessage(sagaName, `${field}[${index}]`, spec));
+}
+
+/**
+ * Aplica la prioridad por defecto de las compensaciones
+ * @param {Object} message - Mensaje normalizado
+ * @returns {Object} - Mensaje con `priority`
+ */
+function withCompensationPriority(message) {
+  return { ...message, priority: message.priority === undefined ? COMPENSATION_PRIORITY : message.priority };
+}
+
+/**
+ * Valida y normaliza una definición de saga
+ * @param {Object} definition - Definición de la saga
+ * @param {string} definition.name - Nombre único de la saga
+ * @param {string} definition.trigger - Evento que inicia una nueva saga
+ * @param {string} definition.key - Campo de los datos de los eventos que identifica la saga (por ejemplo `orderId`)
+ * @param {Object[]} definition.steps - Pasos en orden: `{ name, service, command, success, failure, compensation, timeout }`
+ *   (sin `compensation`, el motor usa la del contrato del servicio)
+ * @param {Object|Object[]} [definition.onCompleted] - Mensajes a enviar cuando todos los pasos terminan bien
+ * @param {Object|Object[]} [definition.onFailed] - Mensajes a enviar cuando un paso falla, tras las compensaciones
+ * @returns {Object} - Definición normalizada e inmutable
+ * @throws {Error} - Con código INVALID_SAGA_DEFINITION si la definición no es válida
+ */
+function defineSaga(definition) {
+  if (!definition || typeof definition !== 'object') {
+    throw invalidDefinition(undefined, 'la definición debe ser un objeto');
+  }
+
+  const { name, trigger, key, steps } = definition;
+  if (!isName(name)) {
+    throw invalidDefinition(undefined, 'falta el nombre (name)');
+  }
+  if (!isName(trigger)) {
+    throw invalidDefinition(name, 'falta el evento que la inicia (trigger)');
+  }
+  if (!isName(key)) {
+    throw invalidDefinition(name, 'falta el campo que identifica la saga en los eventos (key)');
+  }
+  if (!Array.isArray(steps) || steps.length === 0) {
+    throw invalidDefinition(name, 'debe tener al menos un paso (steps)');
+  }
+
+  const stepNames = new Set();
+  // Cada evento de respuesta debe llevar a un único paso
+  const replyEvents = new Map();
+
+  const normalizedSteps = steps.map((step, index) => {
+    const where = `el paso ${index + 1}`;
+    if (!step || typeof step !== 'object') {
+      throw invalidDefinition(name, `${where} debe ser un objeto`);
+    }
+    if (!isName(step.name)) {
+      throw invalidDefinition(name, `${where} no tiene nombre (name)`);
+    }
+    if (stepNames.has(step.name)) {
+      throw invalidDefinition(name, `el nombre de paso ${step.name} está repetido`);
+    }
+    stepNames.add(step.name);
+
+    const stepLabel = `paso ${index + 1} (${step.name})`;
+    const stepWhere = `el ${stepLabel}`;
+    if (!isName(step.service)) {
+      throw invalidDefinition(name, `${stepWhere} no indica el servicio (service)`);
+    }
+    if (step.timeout !== undefined && !(Number.isFinite(step.timeout) && step.timeout > 0)) {
+      throw invalidDefinition(name, `${stepWhere}: timeout debe ser un número de milisegundos mayor que 0`);
+    }
+    if (step.command === undefined) {
+      throw invalidDefinition(name, `${stepWhere} no indica el comando (command)`);
+    }
+    for (const field of ['success', 'failure']) {
+      if (!isName(step[field])) {
+        throw invalidDefinition(name, `${stepWhere} no indica el evento de ${field === 'success' ? 'éxito' : 'fallo'} (${field})`);
+      }
+      if (step[field] === trigger) {
+        throw invalidDefinition(name, `${stepWhere} usa como ${field} el evento que inicia la saga (${trigger})`);
+      }
+      if (replyEvents.has(step[field])) {
+        throw invalidDefinition(name, `el evento ${step[field]} del ${stepLabel} ya es la respuesta del ${replyEvents.get(step[field])}`);
+      }
+      replyEvents.set(step[field], stepLabel);
+    }
+
+    return Object.freeze({
+      name: step.name,
+      service: step.service,
+      command: normalizeMessage(name, `el comando del ${stepLabel}`, step.command, step.service),
+      success: step.success,
+      failure: step.failure,
+      timeout: step.timeout,
+      compensation: step.compensation === undefined
+        ? null
+        : withCompensationPriority(normalizeMessage(name, `la compensación del ${stepLabel}`, step.compensation, step.service))
+    });
+  });
+
+  return Object.freeze({
+    name,
+    trigger,
+    key,
+    steps: Object.freeze(normalizedSteps),
+    onCompleted: Object.freeze(normalizeNotifications(name, 'onCompleted', definition.onCompleted)),
+    onFailed: Object.freeze(normalizeNotifications(name, 'onFailed', definition.onFailed))
+  });
+}
+
+/**
+ * Lee un valor del contexto siguiendo una ruta con puntos (`customer.id`)
+ * @param {Object} context - Contexto de la saga
+ * @param {string} path - Ruta del campo
+ * @returns {*} - Valor encontrado o undefined
+ */
+function readPath(context, path) {
+  return path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), context);
+}
+
+/**
+ * Construye el `data` de un mensaje a partir del contexto de la saga
+ * @param {Array|Object|Function} [spec] - Campo `data` de la descripción del mensaje
+ * @param {Object} context - Contexto de la saga
+ * @returns {Object} - Datos del mensaje (sin los campos que no tienen valor)
+ */
+function buildMessageData(spec, context) {
+  if (spec === undefined) return { ...context };
+  if (typeof spec === 'function') return spec(context);
+
+  const entries = Array.isArray(spec)
+    ? spec.map(field => [field, readPath(context, field)])
+    : Object.entries(spec).map(([target, source]) => [target, readPath(context, source)]);
+
+  return Object.fromEntries(entries.filter(([, value]) => value !== undefined));
+}
+
+module.exports = {
+  COMPENSATION_PRIORITY,
+  invalidDefinition,
+  defineSaga,
+  buildMessageData
+};
@@ -0,0 +1,754 @@
+const { EVENTS } = require('../../shared/constants');
+const { COMPENSATION_PRIORITY, invalidDefinition, defineSaga, buildMessageData } = require('./SagaDefinition');
+const MemorySagaRepository = require('./MemorySagaRepository');
+
+// Estados en los que una saga ya no espera ningún evento
+const TERMINAL_STATUSES = ['COMPLETED', 'FAILED', 'TIMED_OUT', 'COMPENSATION_FAILED'];
+
+// Plazo por defecto para la respuesta de un paso (los pasos pueden indicar su `timeout`)
+const DEFAULT_STEP_TIMEOUT = parseInt(process.env.SAGA_STEP_TIMEOUT || '60000');
+
+// Intentos de una compensación antes de escalarla y espera entre intentos
+const DEFAULT_COMPENSATION_MAX_ATTEMPTS = parseInt(process.env.SAGA_COMPENSATION_MAX_ATTEMPTS || '10');
+const DEFAULT_COMPENSATION_RETRY_DELAY = parseInt(process.env.SAGA_COMPENSATION_RETRY_DELAY || '5000');
+
+// Espera máxima de setTimeout (2^31-1 ms, unos 24,8 días); con más se dispara
+// de inmediato. Un plazo más lejano se alcanza en varias esperas (checkSaga
+// vuelve a programar el temporizador mientras el plazo no haya vencido)
+const MAX_TIMER_DELAY = 2 ** 31 - 1;
+
+// Tópico donde se publican las compensaciones que agotan sus intentos
+const COMPENSATION_FAILED_TOPIC = 'saga.compensation.failed';
+
+/**
+ * Indica si una saga tiene compensaciones o notificaciones de fallo pendientes
+ * @param {Object} saga - Estado de la saga
+ * @returns {boolean}
+ */
+function hasPendingCompensations(saga) {
+  return saga.status === 'COMPENSATING' || saga.steps.some(step => step.status === 'COMPENSATING');
+}
+
+/**
+ * Indica si alguna compensación de la saga se ha escalado
+ * @param {Object} saga - Estado de la saga
+ * @returns {boolean}
+ */
+function escalated(saga) {
+  return saga.steps.some(step => step.status === 'COMPENSATION_FAILED');
+}
+
+/**
+ * Motor genérico que ejecuta sagas declarativas (ver SagaDefinition.js).
+ *
+ * Recibe los eventos de la cola del orquestador: el evento `trigger` de una
+ * definición crea una saga nueva y los eventos `success`/`failure` del paso
+ * en curso la hacen avanzar. Los mensajes se publican antes de guardar el
+ * nuevo estado: si la publicación falla, el evento se reintenta desde el
+ * estado anterior (los servicios pueden recibir un mensaje repetido, pero
+ * nunca se pierde uno). El estado se guarda en un repositorio
+ * (SagaRepositoryInterface.js) con control de versión optimista: si dos
+ * eventos modifican la misma saga a la vez, el segundo falla con
+ * SAGA_VERSION_CONFLICT y se reintenta sobre el estado nuevo.
+ *
+ * Cada paso tiene un plazo (`timeout` del paso o SAGA_STEP_TIMEOUT). Si un
+ * paso falla o no responde a tiempo, la saga pasa a COMPENSATING: los pasos
+ * completados se deshacen del último al primero con la compensación del
+ * contrato de su servicio (o la del paso), después se envían los mensajes de
+ * `onFailed` y la saga termina como FAILED o TIMED_OUT. Una compensación que
+ * falla se reintenta cada SAGA_COMPENSATION_RETRY_DELAY ms; tras
+ * SAGA_COMPENSATION_MAX_ATTEMPTS intentos se escala (tópico
+ * `saga.compensation.failed`) y la saga termina como COMPENSATION_FAILED. Si
+ * el éxito de un paso agotado llega tarde, también se compensa. Dentro del
+ * proceso, los eventos y los temporizadores de una misma saga se procesan de
+ * uno en uno.
+ *
+ * Estado de una saga:
+ * - `status`: `<PASO>_PENDING` mientras espera la respuesta de un paso,
+ *   `COMPENSATING`, `COMPLETED`, `FAILED`, `TIMED_OUT` o `COMPENSATION_FAILED`.
+ * - `steps`: estado de cada paso (`PENDING`, `IN_PROGRESS`, `SUCCEEDED`,
+ *   `FAILED`, `TIMED_OUT`, `COMPENSATING`, `COMPENSATED`,
+ *   `COMPENSATION_FAILED`) y, en los completados, su `result`. `COMPENSATED`
+ *   indica que la compensación se publicó: los servicios no la confirman.
+ * - `context`: datos acumulados de los eventos recibidos.
+ * - `history`: eventos recibidos, en orden.
+ */
+class SagaEngine {
+  /**
+   * @param {Object} options
+   * @param {Object} options.messageService - MessageService del orquestador
+   * @param {Object} options.serviceRegistry - Servicios registrados, por nombre (con su `queueName`)
+   * @param {Object} [options.repository] - Repositorio de sagas (en memoria por defecto)
+   * @param {number} [options.stepTimeout] - Plazo en ms de los pasos sin `timeout` propio
+   * @param {number} [options.compensationMaxAttempts] - Intentos de una compensación antes de escalarla
+   * @param {number} [options.compensationRetryDelay] - Espera en ms entre intentos de una compensación
+   */
+  constructor({
+    messageService,
+    serviceRegistry,
+    repository = new MemorySagaRepository(),
+    stepTimeout = DEFAULT_STEP_TIMEOUT,
+    compensationMaxAttempts = DEFAULT_COMPENSATION_MAX_ATTEMPTS,
+    compensationRetryDelay = DEFAULT_COMPENSATION_RETRY_DELAY
+  }) {
+    this.messageService = messageService;
+    this.serviceRegistry = serviceRegistry;
+    // Definiciones por nombre y por evento que las inicia
+    this.definitions = new Map();
+    this.triggers = new Map();
+    // Evento de respuesta -> [{ definition, stepIndex, outcome }]
+    this.replies = new Map();
+    // Sagas en curso y terminadas
+    this.repository = repository;
+    this.stepTimeout = stepTimeout;
+    this.compensationMaxAttempts = compensationMaxAttempts;
+    this.compensationRetryDelay = compensationRetryDelay;
+    // Temporizador por id de saga: plazo del paso en curso o reintento de compensación
+    this.timers = new Map();
+    // Cola de tareas pendientes por id de saga (eventos y temporizadores)
+    this.locks = new Map();
+  }
+
+  /**
+   * Registra una definición de saga. Los pasos sin `compensation` toman la del
+   * contrato de su servicio
+   * @param {Object} definition - Definición (se valida con defineSaga)
+   * @returns {Object} - Definición normalizada
+   * @throws {Error} - Con código INVALID_SAGA_DEFINITION si no es válida, no cumple
+   *   los contratos registrados o sus eventos ya inician otra saga
+   */
+  register(definition) {
+    const saga = this.resolveCompensations(defineSaga(definition));
+    const fail = message => invalidDefinition(saga.name, message);
+
+    if (this.definitions.has(saga.name)) {
+      throw fail('ya hay una saga registrada con ese nombre');
+    }
+    if (this.triggers.has(saga.trigger)) {
+      throw fail(`el evento ${saga.trigger} ya inicia la saga "${this.triggers.get(saga.trigger).name}"`);
+    }
+    if (this.replies.has(saga.trigger)) {
+      throw fail(`el evento ${saga.trigger} ya es la respuesta de un paso de la saga "${this.replies.get(saga.trigger)[0].definition.name}"`);
+    }
+    for (const step of saga.steps) {
+      for (const event of [step.success, step.failure]) {
+        if (this.triggers.has(event)) {
+          throw fail(`el evento ${event} del paso ${step.name} ya inicia la saga "${this.triggers.get(event).name}"`);
+        }
+      }
+    }
+
+    const problems = this.checkContracts(saga);
+    if (problems.length > 0) {
+      throw fail(`no cumple los contratos registrados:\n${problems.map(problem => `  - ${problem}`).join('\n')}`);
+    }
+
+    this.definitions.set(saga.name, saga);
+    this.triggers.set(saga.trigger, saga);
+    saga.steps.forEach((step, stepIndex) => {
+      for (const outcome of ['success', 'failure']) {
+        const handlers = this.replies.get(step[outcome]) || [];
+        handlers.push({ definition: saga, stepIndex, outcome });
+        this.replies.set(step[outcome], handlers);
+      }
+    });
+
+    console.log(`Saga registrada: ${saga.name} (${saga.steps.map(step => step.name).join(' -> ')})`);
+    return saga;
+  }
+
+  /**
+   * Completa las compensaciones de los pasos con el mapa `compensations` del
+   * contrato de su servicio: el evento de éxito del paso indica el evento que
+   * lo deshace, que se envía al mismo servicio con los campos que describe el
+   * esquema `input` de ese evento en el contrato
+   * @param {Object} saga - Definición normalizada
+   * @returns {Object} - Definición normalizada con las compensaciones del contrato
+   */
+  resolveCompensations(saga) {
+    const steps = saga.steps.map(step => {
+      const contract = this.serviceRegistry[step.service];
+      const event = contract && (contract.compensations || {})[step.success];
+      if (step.compensation || !event) return step;
+
+      // Sin esquema en el contrato no se sabe qué campos espera: se envía el contexto completo
+      const input = ((contract.schema || {})[event] || {}).input;
+      const data = input && input.properties ? Object.keys(input.properties) : undefined;
+
+      return Object.freeze({
+        ...step,
+        compensation: { event, service: step.service, data, priority: COMPENSATION_PRIORITY, ttl: undefined }
+      });
+    });
+
+    return Object.freeze({ ...saga, steps: Object.freeze(steps) });
+  }
+
+  /**
+   * Comprueba una definición contra los contratos de los servicios registrados:
+   * cada mensaje que envía la saga debe estar en `handles` del servicio de
+   * destino, las respuestas de un paso en `produces` de su servicio y el
+   * evento que la inicia en `produces` de algún servicio
+   * @param {Object} saga - Definición normalizada
+   * @returns {string[]} - Problemas encontrados (vacío si la definición es correcta)
+   */
+  checkContracts(saga) {
+    const problems = [];
+    const contracts = Object.values(this.serviceRegistry);
+
+    if (!contracts.some(contract => (contract.produces || []).includes(saga.trigger))) {
+      problems.push(`trigger: ningún servicio registrado produce ${saga.trigger}`);
+    }
+
+    const checkSent = (where, message) => {
+      const contract = this.serviceRegistry[message.service];
+      if (!contract) {
+        problems.push(`${where}: el servicio ${message.service} no está registrado`);
+      } else if (!(contract.handles || []).includes(message.event)) {
+        problems.push(`${where}: ${message.service} no maneja ${message.event} (handles: ${(contract.handles || []).join(', ')})`);
+      }
+    };
+
+    for (const step of saga.steps) {
+      checkSent(`paso ${step.name}, command`, step.command);
+      if (step.compensation) {
+        checkSent(`paso ${step.name}, compensation`, step.compensation);
+      }
+
+      const contract = this.serviceRegistry[step.service];
+      if (!contract) {
+        if (step.command.service !== step.service) {
+          problems.push(`paso ${step.name}: el servicio ${step.service} no está registrado`);
+        }
+        continue;
+      }
+      for (const field of ['success', 'failure']) {
+        if (!(contract.produces || []).includes(step[field])) {
+          problems.push(`paso ${step.name}, ${field}: ${step.service} no produce ${step[field]} (produces: ${(contract.produces || []).join(', ')})`);
+        }
+      }
+    }
+
+    saga.onCompleted.forEach((message, index) => checkSent(`onCompleted[${index}]`, message));
+    saga.onFailed.forEach((message, index) => checkSent(`onFailed[${index}]`, message));
+
+    return problems;
+  }
+
+  /**
+   * Procesa un evento recibido por el orquestador
+   * @param {Object} content - Mensaje `{ type, data }`
+   * @returns {Promise<boolean>} - false si ninguna saga usa ese tipo de evento
+   */
+  async handle(content) {
+    const definition = this.triggers.get(content.type);
+    if (definition) {
+      const id = content.data && content.data[definition.key];
+      await this.withSagaLock(id, () => this.start(definition, content));
+      return true;
+    }
+
+    const handlers = this.replies.get(content.type);
+    if (!handlers) return false;
+
+    for (const { definition: candidate, stepIndex, outcome } of handlers) {
+      const id = content.data && content.data[candidate.key];
+      if (id === undefined) continue;
+
+      const handled = await this.withSagaLock(id, async () => {
+        const saga = await this.repository.get(id);
+        if (!saga || saga.definition !== candidate.name) return false;
+
+        await this.advance(candidate, saga, stepIndex, outcome, content);
+        return true;
+      });
+      if (handled) return true;
+    }
+
+    console.error(`Saga no encontrada para el evento ${content.type}`);
+    return true;
+  }
+
+  /**
+   * Crea una saga y envía el comando de su primer paso
+   * @param {Object} definition - Definición normalizada
+   * @param {Object} content - Evento que inicia la saga
+   */
+  async start(definition, content) {
+    const id = content.data && content.data[definition.key];
+    if (id === undefined) {
+      console.error(`El evento ${content.type} no incluye ${definition.key}; no se puede iniciar la saga ${definition.name}`);
+      return;
+    }
+    if (await this.repository.get(id)) {
+      console.log(`La saga ${id} ya existe; se ignora el ${content.type} repetido`);
+      return;
+    }
+
+    const now = new Date();
+    const saga = {
+      id,
+      definition: definition.name,
+      status: `${definition.steps[0].name}_PENDING`,
+      currentStep: 0,
+      context: { ...content.data },
+      steps: definition.steps.map(step => ({ name: step.name, status: 'PENDING' })),
+      history: [{ type: content.type, timestamp: now, data: content.data }],
+      startedAt: now,
+      version: 0
+    };
+    this.startStep(definition, saga, 0, now);
+
+    console.log(`Iniciando saga ${definition.name} para ${definition.key} ${id}`);
+
+    await this.send(saga, definition.steps[0].command);
+    this.scheduleDeadline(await this.repository.save(saga));
+  }
+
+  /**
+   * Marca un paso como en curso y calcula su plazo
+   * @param {Object} definition - Definición normalizada
+   * @param {Object} saga - Estado de la saga (se modifica)
+   * @param {number} stepIndex - Paso que empieza
+   * @param {Date} now - Momento de inicio
+   */
+  startStep(definition, saga, stepIndex, now) {
+    const step = definition.steps[stepIndex];
+    saga.currentStep = stepIndex;
+    saga.status = `${step.name}_PENDING`;
+    Object.assign(saga.steps[stepIndex], {
+      status: 'IN_PROGRESS',
+      startedAt: now,
+      deadline: new Date(now.getTime() + (step.timeout || this.stepTimeout))
+    });
+  }
+
+  /**
+   * Aplica la respuesta de un paso: pasa al siguiente, completa la saga o la
+   * compensa si el paso ha fallado
+   * @param {Object} definition - Definición normalizada
+   * @param {Object} saga - Copia del estado de la saga leída del repositorio
+   * @param {number} stepIndex - Paso al que corresponde el evento
+   * @param {string} outcome - 'success' o 'failure'
+   * @param {Object} content - Evento recibido
+   */
+  async advance(definition, saga, stepIndex, outcome, content) {
+    if (saga.steps[stepIndex].status === 'TIMED_OUT' && outcome === 'success') {
+      await this.compensateLateSuccess(definition, saga, stepIndex, content);
+      return;
+    }
+    if (saga.currentStep !== stepIndex || saga.steps[stepIndex].status !== 'IN_PROGRESS') {
+      console.log(`Saga ${saga.id}: se ignora ${content.type}, el paso ${definition.steps[stepIndex].name} no está en curso`);
+      return;
+    }
+
+    const now = new Date();
+    const step = definition.steps[stepIndex];
+
+    Object.assign(saga.context, content.data);
+    saga.history.push({ type: content.type, timestamp: now, data: content.data });
+    saga.steps[stepIndex].finishedAt = now;
+
+    if (outcome === 'failure') {
+      saga.steps[stepIndex].status = 'FAILED';
+      console.log(`Saga ${saga.id}: el paso ${step.name} ha fallado. Razón: ${content.data.reason}`);
+      await this.fail(definition, saga, 'FAILED', content.data.reason);
+      return;
+    }
+
+    // El resultado del paso es lo que recibe su compensación si hay que deshacerlo
+    Object.assign(saga.steps[stepIndex], { status: 'SUCCEEDED', result: content.data });
+
+    if (stepIndex + 1 < definition.steps.length) {
+      const next = definition.steps[stepIndex + 1];
+      console.log(`Saga ${saga.id}: paso ${step.name} completado. Siguiente paso: ${next.name}`);
+      this.startStep(definition, saga, stepIndex + 1, now);
+      await this.send(saga, next.command);
+    } else {
+      console.log(`Saga ${saga.id}: paso ${step.name} completado. Saga completada`);
+      for (const notification of definition.onCompleted) {
+        await this.send(saga, notification);
+      }
+      saga.status = 'COMPLETED';
+      saga.finishedAt = now;
+    }
+
+    this.scheduleDeadline(await this.repository.save(saga));
+  }
+
+  /**
+   * Compensa un paso cuyo éxito llega después de que la saga agotara su plazo:
+   * el servicio hizo el trabajo (por ejemplo, reservar el inventario) pero la
+   * saga ya no sigue adelante
+   * @param {Object} definition - Definición normalizada
+   * @param {Object} saga - Copia del estado de la saga leída del repositorio
+   * @param {number} stepIndex - Paso agotado al que corresponde el evento
+   * @param {Object} content - Evento recibido
+   */
+  async compensateLateSuccess(definition, saga, stepIndex, content) {
+    const step = definition.steps[stepIndex];
+    console.log(`Saga ${saga.id}: ${content.type} llega tras agotarse el plazo del paso ${step.name}`);
+
+    Object.assign(saga.context, content.data);
+    saga.history.push({ type: content.type, timestamp: new Date(), data: content.data, late: true });
+    Object.assign(saga.steps[stepIndex], { status: 'SUCCEEDED', result: content.data });
+
+    if (!step.compensation) {
+      console.warn(`Saga ${saga.id}: el paso ${step.name} no tiene compensación; revise manualmente el efecto de ${content.type}`);
+      await this.repository.save(saga);
+      return;
+    }
+
+    Object.assign(saga.steps[stepIndex], { status: 'COMPENSATING', compensationAttempts: 0 });
+    await this.continueCompensation(definition, await this.repository.save(saga));
+  }
+
+  /**
+   * Da por agotado el plazo del paso en curso y deshace la saga
+   * @param {Object} definition - Definición normalizada
+   * @param {Object} saga - Copia del estado de la saga leída del repositorio
+   */
+  async timeOut(definition, saga) {
+    const step = saga.steps[saga.currentStep];
+    console.log(`Saga ${saga.id}: tiempo agotado en el paso ${step.name}`);
+
+    step.status = 'TIMED_OUT';
+    step.finishedAt = new Date();
+    await this.fail(definition, saga, 'TIMED_OUT', `Tiempo de espera agotado en el paso ${step.name}`);
+  }
+
+  /**
+   * Empieza a deshacer una saga: marca como COMPENSATING los pasos completados
+   * que tienen compensación y guarda el estado antes de publicar nada, para
+   * que un reinicio (recover) o un reintento continúen donde se quedó
+   * @param {Object} definition - Definición normalizada
+   * @param {Object} saga - Estado de la saga (se modifica)
+   * @param {string} outcome - Estado final: 'FAILED' o 'TIMED_OUT'
+   * @param {string} reason - Motivo, que reciben los mensajes de `onFailed` en `reason`
+   */
+  async fail(definition, saga, outcome, reason) {
+    saga.status = 'COMPENSATING';
+    saga.outcome = outcome;
+    saga.failureReason = reason;
+    saga.context.reason = reason;
+
+    saga.steps.forEach((stepState, index) => {
+      if (stepState.status === 'SUCCEEDED' && definition.steps[index].compensation) {
+        Object.assign(stepState, { status: 'COMPENSATING', compensationAttempts: 0 });
+      }
+    });
+
+    await this.continueCompensation(definition, await this.repository.save(saga));
+  }
+
+  /**
+   * Ejecuta runCompensations y, si algo falla (por ejemplo, el repositorio),
+   * programa un nuevo intento en lugar de propagar el error: el estado con
+   * las compensaciones pendientes ya está guardado
+   * @param {Object} definition - Definición normalizada
+   * @param {Object} saga - Estado guardado de la saga
+   */
+  async continueCompensation(definition, saga) {
+    try {
+      await this.runCompensations(definition, saga);
+    } catch (error) {
+      console.error(`Saga ${saga.id}: error compensando:`, error.message);
+      this.wakeUp(saga.id, this.compensationRetryDelay);
+    }
+  }
+
+  /**
+   * Envía las compensaciones pendientes (pasos en COMPENSATING) del último
+   * paso al primero. Si una falla, guarda el intento y vuelve a intentarlo a
+   * los `compensationRetryDelay` ms sin pasar a los pasos anteriores; tras
+   * `compensationMaxAttempts` intentos la escala y sigue. Cuando no quedan
+   * compensaciones pendientes envía los mensajes de `onFailed` y cierra la saga.
+   *
+   * Las compensaciones no tienen respuesta en los contratos: un paso pasa a
+   * COMPENSATED cuando su compensación se publica, y a partir de ahí su
+   * entrega depende de los reintentos y la cola de mensajes muertos del
+   * servicio que la recibe.
+   * @param {Object} definition - Definición normalizada
+   * @param {Object} saga - Estado guardado de la saga (se modifica y se guarda)
+   */
+  async runCompensations(definition, saga) {
+    for (let index = saga.steps.length - 1; index >= 0; index--) {
+      const stepState = saga.steps[index];
+      if (stepState.status !== 'COMPENSATING') continue;
+
+      const step = definition.steps[index];
+      console.log(`Saga ${saga.id}: compensando el paso ${step.name} con ${step.compensation.event}`);
+
+      try {
+        await this.send(saga, step.compensation, this.compensationContext(definition, saga, index));
+        Object.assign(stepState, { status: 'COMPENSATED', compensatedAt: new Date() });
+        delete stepState.lastError;
+      } catch (error) {
+        stepState.compensationAttempts = (stepState.compensationAttempts || 0) + 1;
+        stepState.lastError = error.message;
+
+        if (stepState.compensationAttempts < this.compensationMaxAttempts) {
+          console.error(`Saga ${saga.id}: error compensando el paso ${step.name} (intento ${stepState.compensationAttempts} de ${this.compensationMaxAttempts}):`, error.message);
+          await this.repository.save(saga);
+          this.wakeUp(saga.id, this.compensationRetryDelay);
+          return;
+        }
+        await this.escalate(saga, step, stepState);
+      }
+    }
+
+    if (saga.status === 'COMPENSATING') {
+      try {
+        for (const notification of definition.onFailed) {
+          await this.send(saga, notification);
+        }
+      } catch (error) {
+        console.error(`Saga ${saga.id}: error notificando el fallo:`, error.message);
+        await this.repository.save(saga);
+        this.wakeUp(saga.id, this.compensationRetryDelay);
+        return;
+      }
+
+      saga.status = escalated(saga) ? 'COMPENSATION_FAILED' : saga.outcome;
+      saga.finishedAt = new Date();
+    } else if (escalated(saga)) {
+      // La compensación de un éxito tardío también puede agotar sus intentos
+      saga.status = 'COMPENSATION_FAILED';
+    }
+
+    this.scheduleDeadline(await this.repository.save(saga));
+  }
+
+  /**
+   * Datos de los que se construye la compensación de un paso: el contexto de
+   * la saga con el resultado del paso encima, porque un paso posterior pudo
+   * sobrescribir algún campo (por ejemplo `reservationId`) en el contexto
+   * @param {Object} definition - Definición normalizada
+   * @param {Object} saga - Estado de la saga
+   * @param {number} index - Paso que se compensa
+   * @returns {Object} - Contexto para buildMessageData
+   */
+  compensationContext(definition, saga, index) {
+    return { ...saga.context, ...saga.steps[index].result, [definition.key]: saga.id };
+  }
+
+  /**
+   * Da por fallida la compensación de un paso tras agotar los intentos: lo
+   * marca como COMPENSATION_FAILED y publica el evento
+   * `saga.compensation.failed` para que se revise a mano
+   * @param {Object} saga - Estado de la saga (se modifica)
+   * @param {Object} step - Paso de la definición
+   * @param {Object} stepState - Estado del paso (se modifica)
+   */
+  async escalate(saga, step, stepState) {
+    stepState.status = 'COMPENSATION_FAILED';
+    console.error(`Saga ${saga.id}: la compensación ${step.compensation.event} del paso ${step.name} ha fallado ${stepState.compensationAttempts} veces; requiere intervención manual`);
+
+    try {
+      await this.messageService.publishEvent(COMPENSATION_FAILED_TOPIC, {
+        type: EVENTS.SAGA_COMPENSATION_FAILED,
+        data: {
+          sagaId: saga.id,
+          saga: saga.definition,
+          step: step.name,
+          compensation: step.compensation.event,
+          attempts: stepState.compensationAttempts,
+          error: stepState.lastError
+        }
+      }, { correlationId: saga.id });
+    } catch (error) {
+      console.error(`Saga ${saga.id}: no se pudo publicar ${COMPENSATION_FAILED_TOPIC}:`, error.message);
+    }
+  }
+
+  /**
+   * Programa el temporizador del plazo del paso en curso (o lo cancela si la
+   * saga ya no espera ninguna respuesta)
+   * @param {Object} saga - Estado guardado de la saga
+   */
+  scheduleDeadline(saga) {
+    clearTimeout(this.timers.get(saga.id));
+    this.timers.delete(saga.id);
+    if (TERMINAL_STATUSES.includes(saga.status) || saga.status === 'COMPENSATING') return;
+
+    const { deadline } = saga.steps[saga.currentStep];
+    this.wakeUp(saga.id, new Date(deadline).getTime() - Date.now());
+  }
+
+  /**
+   * Programa una revisión de la saga (checkSaga) dentro de `delay` ms, o de
+   * MAX_TIMER_DELAY ms si es mayor
+   * @param {string} id - Id de la saga
+   * @param {number} delay - Milisegundos de espera
+   */
+  wakeUp(id, delay) {
+    clearTimeout(this.timers.get(id));
+    const timer = setTimeout(() => this.checkSaga(id), Math.min(Math.max(0, delay), MAX_TIMER_DELAY));
+    // El temporizador no impide que el proceso termine
+    timer.unref();
+    this.timers.set(id, timer);
+  }
+
+  /**
+   * Revisa una saga al vencer su temporizador: continúa las compensaciones
+   * pendientes o, si el plazo del paso en curso ha vencido, la da por agotada
+   * @param {string} id - Id de la saga
+   */
+  async checkSaga(id) {
+    this.timers.delete(id);
+
+    try {
+      await this.withSagaLock(id, async () => {
+        const saga = await this.repository.get(id);
+        if (!saga) return;
+
+        const definition = this.definitions.get(saga.definition);
+        if (hasPendingCompensations(saga)) {
+          await this.runCompensations(definition, saga);
+        } else if (!TERMINAL_STATUSES.includes(saga.status)) {
+          const stepState = saga.steps[saga.currentStep];
+          if (Date.now() >= new Date(stepState.deadline).getTime()) {
+            await this.timeOut(definition, saga);
+          } else {
+            this.scheduleDeadline(saga);
+          }
+        }
+      });
+    } catch (error) {
+      // Se vuelve a revisar más tarde: las compensaciones no pueden quedarse sin enviar
+      console.error(`Error revisando la saga ${id}:`, error.message);
+      if (!this.timers.has(id)) {
+        this.wakeUp(id, this.compensationRetryDelay);
+      }
+    }
+  }
+
+  /**
+   * Ejecuta una tarea sobre una saga cuando terminan las anteriores de la misma
+   * saga, para que un plazo y una respuesta no la modifiquen a la vez
+   * @param {string} id - Id de la saga
+   * @param {Function} task - Tarea asíncrona
+   * @returns {Promise<*>} - Resultado de la tarea
+   */
+  async withSagaLock(id, task) {
+    const previous = this.locks.get(id) || Promise.resolve();
+    const run = previous.then(task);
+    const tail = run.catch(() => {});
+    this.locks.set(id, tail);
+
+    try {
+      return await run;
+    } finally {
+      if (this.locks.get(id) === tail) {
+        this.locks.delete(id);
+      }
+    }
+  }
+
+  /**
+   * Retoma las sagas que quedaron a medias antes de un reinicio:
+   * - Con compensaciones pendientes, las continúa.
+   * - Si el plazo del paso en curso no ha vencido, reenvía su comando (la
+   *   respuesta pudo perderse) y vuelve a programar el plazo. Los servicios
+   *   procesan los comandos de forma idempotente por orden (la reserva de
+   *   inventario y el cobro de una orden se hacen una sola vez), así que el
+   *   reenvío no repite su efecto, y el orquestador ignora la respuesta repetida.
+   * - Si ha vencido, la da por agotada con timeOut.
+   *
+   * Cada saga se vuelve a leer dentro de su turno: si un evento la ha hecho
+   * avanzar mientras tanto, se decide sobre su estado actual. Debe llamarse
+   * antes de suscribirse a la cola del orquestador.
+   * @returns {Promise<Object>} - `{ resumed, timedOut, compensating }` con el número de sagas de cada caso
+   */
+  async recover() {
+    const result = { resumed: 0, timedOut: 0, compensating: 0 };
+    const pending = (await this.repository.list())
+      .filter(saga => !TERMINAL_STATUSES.includes(saga.status) || hasPendingCompensations(saga));
+
+    for (const { id } of pending) {
+      try {
+        await this.withSagaLock(id, async () => {
+          const saga = await this.repository.get(id);
+          if (!saga || (TERMINAL_STATUSES.includes(saga.status) && !hasPendingCompensations(saga))) return;
+
+          const definition = this.definitions.get(saga.definition);
+          if (!definition) {
+            console.warn(`Saga ${saga.id}: la definición ${saga.definition} ya no está registrada; no se retoma`);
+            return;
+          }
+
+          if (hasPendingCompensations(saga)) {
+            console.log(`Saga ${saga.id}: retomando las compensaciones`);
+            result.compensating++;
+            await this.continueCompensation(definition, saga);
+            return;
+          }
+
+          const step = definition.steps[saga.currentStep];
+          const stepState = saga.steps[saga.currentStep];
+          // Las sagas guardadas sin plazo lo calculan desde el inicio del paso
+          stepState.deadline = stepState.deadline
+            || new Date(new Date(stepState.startedAt).getTime() + (step.timeout || this.stepTimeout));
+
+          if (Date.now() >= new Date(stepState.deadline).getTime()) {
+            result.timedOut++;
+            await this.timeOut(definition, saga);
+          } else {
+            console.log(`Saga ${saga.id}: retomando el paso ${step.name}`);
+            await this.send(saga, step.command);
+            this.scheduleDeadline(saga);
+            result.resumed++;
+          }
+        });
+      } catch (error) {
+        // Se reintenta con el temporizador, que vuelve a comprobar el estado
+        // (un conflicto de versión indica que un evento ya la ha hecho avanzar)
+        console.error(`Error retomando la saga ${id}:`, error.message);
+        if (!this.timers.has(id)) {
+          this.wakeUp(id, this.compensationRetryDelay);
+        }
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Publica un mensaje de la saga en la cola de su servicio. La correlación es
+   * siempre el id de la saga, también fuera de un handler (plazos, reintentos
+   * y recover)
+   * @param {Object} saga - Estado de la saga
+   * @param {Object} message - Mensaje normalizado `{ event, service, data, priority, ttl }`
+   * @param {Object} [context] - Datos de los que se construye el mensaje (el contexto de la saga por defecto)
+   */
+  async send(saga, message, context = saga.context) {
+    const service = this.serviceRegistry[message.service];
+    if (!service) {
+      throw new Error(`Servicio ${message.service} no registrado`);
+    }
+
+    await this.messageService.publish(service.queueName, {
+      type: message.event,
+      data: buildMessageData(message.data, context)
+    }, { correlationId: saga.id, priority: message.priority, ttl: message.ttl });
+  }
+
+  /**
+   * Obtiene una saga por su id
+   * @param {string} id - Id de la saga
+   * @returns {Promise<Object|undefined>}
+   */
+  async get(id) {
+    return this.repository.get(id);
+  }
+
+  /**
+   * Lista todas las sagas
+   * @returns {Promise<Object[]>}
+   */
+  async list() {
+    return this.repository.list();
+  }
+}
+
+module.exports = SagaEngine;
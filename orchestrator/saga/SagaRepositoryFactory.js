@@ -0,0 +1,33 @@
+const path = require('path');
+const MemorySagaRepository = require('./MemorySagaRepository');
+const FileSagaRepository = require('./FileSagaRepository');
+
+// Directorio por defecto del repositorio file: orchestrator/.sagas, sea cual
+// sea el directorio desde el que se arranca el orquestador
+const DEFAULT_STORE_DIR = path.join(__dirname, '..', '.sagas');
+
+/**
+ * Fábrica para crear el repositorio de sagas configurado
+ */
+class SagaRepositoryFactory {
+  /**
+   * Crea el repositorio indicado en SAGA_STORE (memory o file)
+   * @returns {Object} - Instancia del repositorio
+   */
+  static createRepository() {
+    const storeType = (process.env.SAGA_STORE || 'memory').toLowerCase();
+    console.log(`Creando repositorio de sagas de tipo: ${storeType}`);
+
+    switch (storeType) {
+      case 'memory':
+        return new MemorySagaRepository();
+      case 'file':
+        return new FileSagaRepository({ directory: process.env.SAGA_STORE_DIR || DEFAULT_STORE_DIR });
+      default:
+        console.warn(`Tipo de repositorio de sagas desconocido: ${storeType}, usando memoria`);
+        return new MemorySagaRepository();
+    }
+  }
+}
+
+module.exports = SagaRepositoryFactory;
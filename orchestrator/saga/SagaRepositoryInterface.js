@@ -0,0 +1,75 @@
+/**
+ * Interfaz abstracta de los repositorios donde el motor de sagas guarda el
+ * estado de cada saga.
+ *
+ * Semántica común:
+ * - get y list devuelven copias: modificarlas no cambia lo guardado
+ * - cada saga tiene un campo `version`, 0 si aún no se ha guardado
+ * - save(saga) solo guarda si `saga.version` coincide con la versión
+ *   guardada (control de concurrencia optimista) y devuelve la copia
+ *   guardada con la versión incrementada. Si no coincide, otro proceso la
+ *   ha modificado antes y falla con el código SAGA_VERSION_CONFLICT
+ *   (reintentable: se repite la operación a partir del estado nuevo)
+ */
+class SagaRepositoryInterface {
+  /**
+   * Prepara el repositorio (por ejemplo, crea el directorio de datos)
+   * @returns {Promise<void>}
+   */
+  async initialize() {
+    throw new Error('El método initialize debe ser implementado por la clase concreta');
+  }
+
+  /**
+   * Obtiene una saga por su id
+   * @param {string} id - Id de la saga
+   * @returns {Promise<Object|undefined>} - Copia de la saga, o undefined si no existe
+   */
+  async get(id) {
+    throw new Error('El método get debe ser implementado por la clase concreta');
+  }
+
+  /**
+   * Lista todas las sagas guardadas
+   * @returns {Promise<Object[]>} - Copias de las sagas
+   */
+  async list() {
+    throw new Error('El método list debe ser implementado por la clase concreta');
+  }
+
+  /**
+   * Guarda una saga nueva o modificada
+   * @param {Object} saga - Saga con la versión que se leyó (0 si es nueva)
+   * @returns {Promise<Object>} - Copia guardada, con la versión incrementada
+   * @throws {Error} - Con código SAGA_VERSION_CONFLICT si la versión no coincide
+   */
+  async save(saga) {
+    throw new Error('El método save debe ser implementado por la clase concreta');
+  }
+
+  /**
+   * Libera los recursos del repositorio
+   * @returns {Promise<void>}
+   */
+  async close() {}
+
+  /**
+   * Comprueba la versión de una saga antes de guardarla
+   * @param {Object} saga - Saga que se quiere guardar
+   * @param {Object|undefined} stored - Saga guardada actualmente
+   * @throws {Error} - Con código SAGA_VERSION_CONFLICT si las versiones no coinciden
+   */
+  assertVersion(saga, stored) {
+    const expected = saga.version || 0;
+    const actual = stored ? stored.version : 0;
+
+    if (expected !== actual) {
+      const error = new Error(`Conflicto de versión en la saga ${saga.id}: se leyó la versión ${expected} y la guardada es la ${actual}`);
+      error.code = 'SAGA_VERSION_CONFLICT';
+      error.retryable = true;
+      throw error;
+    }
+  }
+}
+
+module.exports = SagaRepositoryInterface;
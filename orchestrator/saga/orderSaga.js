@@ -0,0 +1,40 @@
+const { EVENTS } = require('../../shared/constants');
+
+/**
+ * Saga de una orden: reserva el inventario y cobra el pago. Si el pago falla
+ * se libera la reserva; en cualquier caso se informa al servicio de órdenes.
+ */
+module.exports = {
+  name: 'order',
+  trigger: EVENTS.ORDER_CREATED,
+  key: 'orderId',
+  steps: [
+    {
+      name: 'INVENTORY_CHECK',
+      service: 'inventory-service',
+      command: { event: EVENTS.INVENTORY_CHECK_REQUESTED, data: ['orderId', 'items'] },
+      success: EVENTS.INVENTORY_CHECK_SUCCEEDED,
+      failure: EVENTS.INVENTORY_CHECK_FAILED
+      // Sin `compensation`: se usa la del contrato de inventory-service,
+      // INVENTORY_RELEASED con { orderId, reservationId }
+    },
+    {
+      name: 'PAYMENT',
+      service: 'payment-service',
+      command: {
+        event: EVENTS.PAYMENT_REQUESTED,
+        data: { orderId: 'orderId', customerId: 'customerId', amount: 'totalAmount' }
+      },
+      success: EVENTS.PAYMENT_SUCCEEDED,
+      failure: EVENTS.PAYMENT_FAILED
+    }
+  ],
+  onCompleted: [
+    // Confirmar la reserva de inventario
+    { service: 'inventory-service', event: EVENTS.INVENTORY_RESERVED, data: ['orderId', 'reservationId'] },
+    { service: 'order-service', event: EVENTS.ORDER_COMPLETED, data: ['orderId', 'transactionId'] }
+  ],
+  onFailed: [
+    { service: 'order-service', event: EVENTS.ORDER_CANCELLED, data: ['orderId', 'reason', 'insufficientItems'] }
+  ]
+};
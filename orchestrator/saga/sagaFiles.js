@@ -0,0 +1,81 @@
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+
+/**
+ * Lectura de definiciones de saga desde ficheros JSON o YAML, para que los
+ * flujos se puedan revisar y cambiar sin tocar código. El contenido de un
+ * fichero es una definición como las de SagaDefinition.js (sin funciones en
+ * `data`).
+ */
+
+// Extensiones reconocidas en la carpeta de sagas
+const SAGA_FILE_EXTENSIONS = ['.json', '.yaml', '.yml'];
+
+/**
+ * Indica si un fichero es una definición de saga por su extensión
+ * @param {string} fileName - Nombre del fichero
+ * @returns {boolean}
+ */
+function isSagaFile(fileName) {
+  return SAGA_FILE_EXTENSIONS.includes(path.extname(fileName).toLowerCase());
+}
+
+/**
+ * Lee y analiza un fichero de definición de saga
+ * @param {string} filePath - Ruta del fichero .json, .yaml o .yml
+ * @returns {Object} - Definición sin validar
+ * @throws {Error} - Con código INVALID_SAGA_DEFINITION si el fichero no se puede analizar
+ */
+function readSagaFile(filePath) {
+  const text = fs.readFileSync(filePath, 'utf8');
+
+  try {
+    return path.extname(filePath).toLowerCase() === '.json'
+      ? JSON.parse(text)
+      : yaml.load(text, { filename: filePath, schema: yaml.JSON_SCHEMA });
+  } catch (error) {
+    const invalid = new Error(`No se puede leer la definición: ${error.message}`);
+    invalid.code = 'INVALID_SAGA_DEFINITION';
+    invalid.retryable = false;
+    throw invalid;
+  }
+}
+
+/**
+ * Registra las definiciones de los ficheros de saga de una carpeta, en orden
+ * alfabético. Se intentan todos los ficheros aunque alguno falle, para
+ * informar de los errores de todos a la vez
+ * @param {string} directory - Carpeta con los ficheros
+ * @param {Function} register - Registra una definición y devuelve la normalizada (por ejemplo, SagaEngine.register)
+ * @returns {Object[]} - `{ fileName, definition }` de cada fichero registrado
+ * @throws {Error} - Con código INVALID_SAGA_DEFINITION y una línea por fichero inválido
+ */
+function loadSagaFiles(directory, register) {
+  const loaded = [];
+  const errors = [];
+
+  for (const fileName of fs.readdirSync(directory).filter(isSagaFile).sort()) {
+    try {
+      loaded.push({ fileName, definition: register(readSagaFile(path.join(directory, fileName))) });
+    } catch (error) {
+      errors.push(`${fileName}: ${error.message}`);
+    }
+  }
+
+  if (errors.length > 0) {
+    const error = new Error(`Definiciones de saga inválidas en ${directory}:\n${errors.join('\n')}`);
+    error.code = 'INVALID_SAGA_DEFINITION';
+    error.retryable = false;
+    throw error;
+  }
+
+  return loaded;
+}
+
+module.exports = {
+  SAGA_FILE_EXTENSIONS,
+  isSagaFile,
+  readSagaFile,
+  loadSagaFiles
+};
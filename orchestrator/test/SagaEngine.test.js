@@ -0,0 +1,389 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Los MessageService de las pruebas usan el transporte en memoria
+process.env.TRANSPORT_TYPE = 'memory';
+
+const MessageService = require('../../shared/MessageService');
+const MemoryBroker = require('../../shared/transport/MemoryBroker');
+const { getMetadata } = require('../../shared/MessageEnvelope');
+const { QUEUES, EVENTS } = require('../../shared/constants');
+const { inventoryServiceContract, paymentServiceContract, orderServiceContract } = require('../../shared/contracts');
+const SagaEngine = require('../saga/SagaEngine');
+const MemorySagaRepository = require('../saga/MemorySagaRepository');
+const FileSagaRepository = require('../saga/FileSagaRepository');
+const orderSaga = require('../saga/orderSaga');
+
+/**
+ * Pruebas del motor de sagas con la saga de órdenes: el motor publica con un
+ * MessageService sobre un broker en memoria propio de cada caso, y las
+ * respuestas de los servicios se le entregan con `handle`, como hace el
+ * handler de la cola del orquestador.
+ */
+
+const SERVICE_REGISTRY = Object.fromEntries(
+  [inventoryServiceContract, paymentServiceContract, orderServiceContract].map(contract => [contract.name, contract])
+);
+
+const ORDER = {
+  orderId: 'orden-1',
+  customerId: 'cliente-1',
+  items: [{ productId: 'p-1', quantity: 2 }],
+  totalAmount: 50
+};
+
+/**
+ * Crea un MessageService conectado a un broker en memoria
+ * @param {string} serviceName - Nombre del servicio
+ * @param {MemoryBroker} broker - Broker del caso
+ * @returns {Promise<MessageService>}
+ */
+async function connect(serviceName, broker) {
+  const messageService = new MessageService(serviceName);
+  messageService.transport.setConfig({ broker });
+  await messageService.initialize();
+  return messageService;
+}
+
+/**
+ * Prepara un motor con la saga de órdenes y registra lo que publica en las
+ * colas de los servicios y en el tópico de compensaciones escaladas
+ * @param {Object} [options] - Opciones del motor (sustituyen a las de la prueba)
+ * @returns {Promise<Object>} - { engine, orchestrator, sent(type), escalations, close() }
+ */
+async function createHarness(options = {}) {
+  const broker = new MemoryBroker();
+  const orchestrator = await connect('orchestrator', broker);
+  const services = await connect('test-services', broker);
+  const received = [];
+  const escalations = [];
+
+  for (const queue of [QUEUES.INVENTORY_SERVICE, QUEUES.PAYMENT_SERVICE, QUEUES.ORDER_SERVICE]) {
+    await services.subscribe(queue, (content, message) => {
+      received.push({ queue, content, priority: message.properties.priority });
+    });
+  }
+  await services.subscribeTopic('saga.compensation.failed', content => {
+    escalations.push(content);
+  });
+
+  const engine = new SagaEngine({
+    messageService: orchestrator,
+    serviceRegistry: SERVICE_REGISTRY,
+    repository: new MemorySagaRepository(),
+    stepTimeout: 200,
+    compensationMaxAttempts: 3,
+    compensationRetryDelay: 20,
+    ...options
+  });
+  engine.register(orderSaga);
+
+  return {
+    engine,
+    orchestrator,
+    escalations,
+    // Mensajes recibidos por los servicios, de un tipo o todos
+    sent: type => received.filter(({ content }) => !type || content.type === type),
+    async close() {
+      engine.timers.forEach(timer => clearTimeout(timer));
+      engine.timers.clear();
+      await orchestrator.close();
+      await services.close();
+      broker.reset();
+    }
+  };
+}
+
+/**
+ * Ejecuta un caso con un banco de pruebas que se cierra siempre al terminar
+ * @param {Object} options - Opciones del motor
+ * @param {Function} body - Cuerpo del caso, recibe el banco de pruebas
+ */
+async function withHarness(options, body) {
+  const harness = await createHarness(options);
+  try {
+    await body(harness);
+  } finally {
+    await harness.close();
+  }
+}
+
+/**
+ * Espera a que la saga tenga un estado
+ * @param {Object} t - Contexto del caso
+ * @param {SagaEngine} engine - Motor
+ * @param {string} status - Estado esperado
+ * @returns {Promise<Object>} - Saga en ese estado
+ */
+async function waitForStatus(t, engine, status) {
+  await t.waitFor(async () => ((await engine.get(ORDER.orderId)) || {}).status === status, `el estado ${status}`);
+  return engine.get(ORDER.orderId);
+}
+
+// Respuesta correcta del inventario
+const INVENTORY_OK = { type: EVENTS.INVENTORY_CHECK_SUCCEEDED, data: { orderId: ORDER.orderId, reservationId: 'reserva-1' } };
+
+module.exports = [
+  {
+    name: 'una saga cuyos pasos responden con éxito termina COMPLETED y confirma la reserva',
+    async run(t) {
+      await withHarness({}, async ({ engine, sent }) => {
+        await engine.handle({ type: EVENTS.ORDER_CREATED, data: ORDER });
+        await engine.handle(INVENTORY_OK);
+        await engine.handle({ type: EVENTS.PAYMENT_SUCCEEDED, data: { orderId: ORDER.orderId, transactionId: 'tx-1' } });
+
+        const saga = await engine.get(ORDER.orderId);
+        assert.strictEqual(saga.status, 'COMPLETED');
+        assert.deepStrictEqual(saga.steps.map(step => step.status), ['SUCCEEDED', 'SUCCEEDED']);
+
+        await t.waitFor(() => sent().length === 4, 'los cuatro mensajes de la saga');
+        // Cada cola recibe sus mensajes en orden; entre colas no hay orden
+        const types = queue => sent().filter(entry => entry.queue === queue).map(({ content }) => content.type);
+        assert.deepStrictEqual(types(QUEUES.INVENTORY_SERVICE), [EVENTS.INVENTORY_CHECK_REQUESTED, EVENTS.INVENTORY_RESERVED]);
+        assert.deepStrictEqual(types(QUEUES.PAYMENT_SERVICE), [EVENTS.PAYMENT_REQUESTED]);
+        assert.deepStrictEqual(types(QUEUES.ORDER_SERVICE), [EVENTS.ORDER_COMPLETED]);
+        assert.deepStrictEqual(sent(EVENTS.PAYMENT_REQUESTED)[0].content.data, {
+          orderId: ORDER.orderId, customerId: ORDER.customerId, amount: ORDER.totalAmount
+        });
+        // Todos los mensajes de la saga se correlacionan con su id
+        sent().forEach(({ content }) => assert.strictEqual(getMetadata(content).correlationId, ORDER.orderId));
+      });
+    }
+  },
+
+  {
+    name: 'un paso que falla compensa los pasos completados y la saga termina FAILED',
+    async run(t) {
+      await withHarness({}, async ({ engine, sent }) => {
+        await engine.handle({ type: EVENTS.ORDER_CREATED, data: ORDER });
+        await engine.handle(INVENTORY_OK);
+        await engine.handle({ type: EVENTS.PAYMENT_FAILED, data: { orderId: ORDER.orderId, reason: 'Tarjeta rechazada' } });
+
+        const saga = await engine.get(ORDER.orderId);
+        assert.strictEqual(saga.status, 'FAILED');
+        assert.deepStrictEqual(saga.steps.map(step => step.status), ['COMPENSATED', 'FAILED']);
+
+        await t.waitFor(() => sent(EVENTS.INVENTORY_RELEASED).length === 1, 'el INVENTORY_RELEASED');
+        await t.waitFor(() => sent(EVENTS.ORDER_CANCELLED).length === 1, 'el ORDER_CANCELLED');
+        const [release] = sent(EVENTS.INVENTORY_RELEASED);
+        // Solo los campos del contrato, con la prioridad de las compensaciones
+        assert.deepStrictEqual(release.content.data, { orderId: ORDER.orderId, reservationId: 'reserva-1' });
+        assert.strictEqual(release.priority, 9);
+        assert.strictEqual(sent(EVENTS.ORDER_CANCELLED)[0].content.data.reason, 'Tarjeta rechazada');
+      });
+    }
+  },
+
+  {
+    name: 'un paso sin respuesta en su plazo compensa la saga y termina TIMED_OUT',
+    async run(t) {
+      await withHarness({}, async ({ engine, sent }) => {
+        await engine.handle({ type: EVENTS.ORDER_CREATED, data: ORDER });
+        await engine.handle(INVENTORY_OK);
+
+        const saga = await waitForStatus(t, engine, 'TIMED_OUT');
+        assert.deepStrictEqual(saga.steps.map(step => step.status), ['COMPENSATED', 'TIMED_OUT']);
+
+        await t.waitFor(() => sent(EVENTS.INVENTORY_RELEASED).length === 1, 'el INVENTORY_RELEASED');
+        await t.waitFor(() => sent(EVENTS.ORDER_CANCELLED).length === 1, 'el ORDER_CANCELLED');
+        assert.match(sent(EVENTS.ORDER_CANCELLED)[0].content.data.reason, /Tiempo de espera agotado en el paso PAYMENT/);
+      });
+    }
+  },
+
+  {
+    name: 'un éxito que llega tras agotarse el plazo se compensa',
+    async run(t) {
+      await withHarness({}, async ({ engine, sent }) => {
+        await engine.handle({ type: EVENTS.ORDER_CREATED, data: ORDER });
+        await waitForStatus(t, engine, 'TIMED_OUT');
+        // El primer paso no había terminado: no hay nada que liberar todavía
+        assert.strictEqual(sent(EVENTS.INVENTORY_RELEASED).length, 0);
+
+        await engine.handle(INVENTORY_OK);
+
+        const saga = await engine.get(ORDER.orderId);
+        assert.strictEqual(saga.status, 'TIMED_OUT');
+        assert.strictEqual(saga.steps[0].status, 'COMPENSATED');
+        assert.strictEqual(saga.history[saga.history.length - 1].late, true);
+
+        await t.waitFor(() => sent(EVENTS.INVENTORY_RELEASED).length === 1, 'el INVENTORY_RELEASED');
+        assert.deepStrictEqual(sent(EVENTS.INVENTORY_RELEASED)[0].content.data, { orderId: ORDER.orderId, reservationId: 'reserva-1' });
+        // El pago nunca se pidió
+        assert.strictEqual(sent(EVENTS.PAYMENT_REQUESTED).length, 0);
+      });
+    }
+  },
+
+  {
+    name: 'una compensación que agota sus intentos se escala y la saga termina COMPENSATION_FAILED',
+    async run(t) {
+      await withHarness({}, async ({ engine, orchestrator, sent, escalations }) => {
+        let attempts = 0;
+        orchestrator.use({
+          async outbound(context, next) {
+            if (context.message.type === EVENTS.INVENTORY_RELEASED) {
+              attempts++;
+              throw new Error('broker no disponible');
+            }
+            await next();
+          }
+        });
+
+        await engine.handle({ type: EVENTS.ORDER_CREATED, data: ORDER });
+        await engine.handle(INVENTORY_OK);
+        await engine.handle({ type: EVENTS.PAYMENT_FAILED, data: { orderId: ORDER.orderId, reason: 'Tarjeta rechazada' } });
+
+        const saga = await waitForStatus(t, engine, 'COMPENSATION_FAILED');
+        assert.strictEqual(attempts, 3);
+        assert.strictEqual(saga.steps[0].status, 'COMPENSATION_FAILED');
+        assert.strictEqual(saga.steps[0].compensationAttempts, 3);
+        assert.strictEqual(saga.steps[0].lastError, 'broker no disponible');
+
+        await t.waitFor(() => escalations.length === 1, 'el evento saga.compensation.failed');
+        assert.strictEqual(escalations[0].type, EVENTS.SAGA_COMPENSATION_FAILED);
+        assert.deepStrictEqual(escalations[0].data, {
+          sagaId: ORDER.orderId,
+          saga: 'order',
+          step: 'INVENTORY_CHECK',
+          compensation: EVENTS.INVENTORY_RELEASED,
+          attempts: 3,
+          error: 'broker no disponible'
+        });
+        assert.strictEqual(getMetadata(escalations[0]).correlationId, ORDER.orderId);
+        // La orden se cancela igualmente
+        await t.waitFor(() => sent(EVENTS.ORDER_CANCELLED).length === 1, 'el ORDER_CANCELLED');
+      });
+    }
+  },
+
+  {
+    name: 'guardar una saga con una versión antigua falla con SAGA_VERSION_CONFLICT',
+    async run() {
+      for (const createRepository of [
+        () => new MemorySagaRepository(),
+        () => new FileSagaRepository({ directory: fs.mkdtempSync(path.join(os.tmpdir(), 'sagas-')) })
+      ]) {
+        const repository = createRepository();
+        await repository.initialize();
+        try {
+          const stored = await repository.save({ id: 's-1', status: 'A', version: 0 });
+          assert.strictEqual(stored.version, 1);
+
+          await repository.save({ ...stored, status: 'B' });
+          await assert.rejects(repository.save({ ...stored, status: 'C' }), error => {
+            assert.strictEqual(error.code, 'SAGA_VERSION_CONFLICT');
+            assert.strictEqual(error.retryable, true);
+            return true;
+          });
+          assert.strictEqual((await repository.get('s-1')).status, 'B');
+        } finally {
+          if (repository.directory) fs.rmSync(repository.directory, { recursive: true, force: true });
+        }
+      }
+    }
+  },
+
+  {
+    name: 'un evento que llega mientras otro proceso modifica la saga falla con SAGA_VERSION_CONFLICT y se puede reintentar',
+    async run(t) {
+      const repository = new MemorySagaRepository();
+      await withHarness({ repository }, async ({ engine, sent }) => {
+        await engine.handle({ type: EVENTS.ORDER_CREATED, data: ORDER });
+
+        // Otro orquestador guarda la saga entre la lectura y la escritura de este
+        const get = repository.get.bind(repository);
+        repository.get = async (id) => {
+          const saga = await get(id);
+          repository.get = get;
+          await repository.save({ ...saga, history: [...saga.history, { type: 'OTRO_PROCESO' }] });
+          return saga;
+        };
+
+        await assert.rejects(engine.handle(INVENTORY_OK), { code: 'SAGA_VERSION_CONFLICT' });
+        assert.strictEqual((await engine.get(ORDER.orderId)).status, 'INVENTORY_CHECK_PENDING');
+
+        // El reintento parte del estado nuevo
+        await engine.handle(INVENTORY_OK);
+        const saga = await engine.get(ORDER.orderId);
+        assert.strictEqual(saga.status, 'PAYMENT_PENDING');
+        assert.deepStrictEqual(saga.history.map(entry => entry.type), [
+          EVENTS.ORDER_CREATED, 'OTRO_PROCESO', EVENTS.INVENTORY_CHECK_SUCCEEDED
+        ]);
+        // El intento fallido ya había publicado el pago: el servicio lo recibe
+        // dos veces (al menos una vez), nunca ninguna
+        await t.waitFor(() => sent(EVENTS.PAYMENT_REQUESTED).length === 2, 'los dos PAYMENT_REQUESTED');
+      });
+    }
+  },
+
+  {
+    name: 'recover retoma tras un reinicio las sagas en curso y agota las que pasaron su plazo',
+    async run(t) {
+      const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'sagas-'));
+      const openRepository = async () => {
+        const repository = new FileSagaRepository({ directory });
+        await repository.initialize();
+        return repository;
+      };
+
+      try {
+        // Primer proceso: una saga esperando el pago y otra con un plazo corto
+        await withHarness({ repository: await openRepository(), stepTimeout: 60000 }, async ({ engine }) => {
+          await engine.handle({ type: EVENTS.ORDER_CREATED, data: ORDER });
+          await engine.handle(INVENTORY_OK);
+        });
+        await withHarness({ repository: await openRepository(), stepTimeout: 1 }, async ({ engine }) => {
+          await engine.handle({ type: EVENTS.ORDER_CREATED, data: { ...ORDER, orderId: 'orden-2' } });
+        });
+        await t.sleep(10);
+
+        // Segundo proceso sobre el mismo directorio
+        await withHarness({ repository: await openRepository(), stepTimeout: 60000 }, async ({ engine, sent }) => {
+          assert.deepStrictEqual(await engine.recover(), { resumed: 1, timedOut: 1, compensating: 0 });
+
+          // Se reenvía el comando del paso en curso
+          await t.waitFor(() => sent(EVENTS.PAYMENT_REQUESTED).length === 1, 'el PAYMENT_REQUESTED reenviado');
+          assert.strictEqual(getMetadata(sent(EVENTS.PAYMENT_REQUESTED)[0].content).correlationId, ORDER.orderId);
+          assert.strictEqual((await engine.get('orden-2')).status, 'TIMED_OUT');
+
+          await engine.handle({ type: EVENTS.PAYMENT_SUCCEEDED, data: { orderId: ORDER.orderId, transactionId: 'tx-1' } });
+          assert.strictEqual((await engine.get(ORDER.orderId)).status, 'COMPLETED');
+          // Ya no queda nada que retomar
+          assert.deepStrictEqual(await engine.recover(), { resumed: 0, timedOut: 0, compensating: 0 });
+        });
+      } finally {
+        fs.rmSync(directory, { recursive: true, force: true });
+      }
+    }
+  },
+
+  {
+    name: 'recover no reenvía el comando de una saga que un evento completó después de listarla',
+    async run(t) {
+      const repository = new MemorySagaRepository();
+      await withHarness({ repository, stepTimeout: 60000 }, async ({ engine, sent }) => {
+        await engine.handle({ type: EVENTS.ORDER_CREATED, data: ORDER });
+        await engine.handle(INVENTORY_OK);
+        await t.waitFor(() => sent(EVENTS.PAYMENT_REQUESTED).length === 1, 'el PAYMENT_REQUESTED');
+
+        // La respuesta del pago se procesa entre la lista de recover y su turno sobre la saga
+        const list = repository.list.bind(repository);
+        repository.list = async () => {
+          const sagas = await list();
+          await engine.handle({ type: EVENTS.PAYMENT_SUCCEEDED, data: { orderId: ORDER.orderId, transactionId: 'tx-1' } });
+          return sagas;
+        };
+
+        assert.deepStrictEqual(await engine.recover(), { resumed: 0, timedOut: 0, compensating: 0 });
+        assert.strictEqual((await engine.get(ORDER.orderId)).status, 'COMPLETED');
+        assert.strictEqual(engine.timers.has(ORDER.orderId), false);
+
+        await t.waitFor(() => sent(EVENTS.ORDER_COMPLETED).length === 1, 'el ORDER_COMPLETED');
+        assert.strictEqual(sent(EVENTS.PAYMENT_REQUESTED).length, 1);
+      });
+    }
+  }
+];
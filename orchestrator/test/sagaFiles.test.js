@@ -0,0 +1,202 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const yaml = require('js-yaml');
+
+const { inventoryServiceContract, paymentServiceContract, orderServiceContract } = require('../../shared/contracts');
+const SagaEngine = require('../saga/SagaEngine');
+const { readSagaFile, loadSagaFiles } = require('../saga/sagaFiles');
+
+/**
+ * Pruebas de las sagas definidas en ficheros JSON o YAML: lectura, validación
+ * contra los contratos registrados y errores de una carpeta de sagas.
+ */
+
+const EXAMPLE_FILE = path.join(__dirname, '..', 'sagas', 'shipping.yaml.example');
+
+// Servicio de envíos del ejemplo de orchestrator/sagas
+const SHIPPING_CONTRACT = {
+  name: 'shipping-service',
+  queueName: 'shipping_service_queue',
+  handles: ['SHIPMENT_REQUESTED'],
+  produces: ['SHIPMENT_SCHEDULED', 'SHIPMENT_FAILED']
+};
+
+/**
+ * Crea un motor con los contratos del sistema, el de envíos y un servicio de
+ * órdenes que además produce los eventos que inician las sagas de prueba
+ * @returns {SagaEngine}
+ */
+function createEngine() {
+  const contracts = [
+    inventoryServiceContract,
+    paymentServiceContract,
+    { ...orderServiceContract, produces: [...orderServiceContract.produces, 'SHIPPING_REQUESTED', 'RETURN_REQUESTED'] },
+    SHIPPING_CONTRACT
+  ];
+
+  return new SagaEngine({
+    serviceRegistry: Object.fromEntries(contracts.map(contract => [contract.name, contract]))
+  });
+}
+
+/**
+ * Saga de un paso sobre shipping-service
+ * @param {Object} [overrides] - Campos que sustituyen a los de la saga o de su paso (`step`)
+ * @returns {Object} - Definición
+ */
+function shippingSaga({ step, ...overrides } = {}) {
+  return {
+    name: 'shipping',
+    trigger: 'SHIPPING_REQUESTED',
+    key: 'orderId',
+    steps: [{
+      name: 'SHIP',
+      service: 'shipping-service',
+      command: { event: 'SHIPMENT_REQUESTED', data: ['orderId'] },
+      success: 'SHIPMENT_SCHEDULED',
+      failure: 'SHIPMENT_FAILED',
+      ...step
+    }],
+    ...overrides
+  };
+}
+
+/**
+ * Crea una carpeta temporal con ficheros, ejecuta el cuerpo y la elimina
+ * @param {Object} files - Contenido de cada fichero, por nombre
+ * @param {Function} body - Recibe la ruta de la carpeta
+ */
+async function withSagaDirectory(files, body) {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'saga-files-'));
+  try {
+    for (const [fileName, content] of Object.entries(files)) {
+      fs.writeFileSync(path.join(directory, fileName), content);
+    }
+    await body(directory);
+  } finally {
+    fs.rmSync(directory, { recursive: true, force: true });
+  }
+}
+
+module.exports = [
+  {
+    name: 'el ejemplo de orchestrator/sagas es válido con el contrato de shipping-service',
+    async run() {
+      const engine = createEngine();
+      const saga = engine.register(readSagaFile(EXAMPLE_FILE));
+
+      assert.strictEqual(saga.name, 'shipping');
+      assert.deepStrictEqual(saga.steps.map(step => step.name), ['RESERVE', 'SHIP']);
+      assert.deepStrictEqual(saga.steps[1].command.data, { orderId: 'orderId', address: 'shippingAddress' });
+    }
+  },
+
+  {
+    name: 'una carpeta con sagas en JSON y en YAML las registra todas en orden alfabético',
+    async run() {
+      const returns = shippingSaga({ name: 'returns', trigger: 'RETURN_REQUESTED' });
+      await withSagaDirectory({
+        'b-shipping.yml': yaml.dump(shippingSaga()),
+        'a-returns.json': JSON.stringify(returns),
+        'notas.txt': 'no es una saga'
+      }, async (directory) => {
+        const engine = createEngine();
+        const loaded = loadSagaFiles(directory, definition => engine.register(definition));
+
+        assert.deepStrictEqual(loaded.map(({ fileName, definition }) => [fileName, definition.name]), [
+          ['a-returns.json', 'returns'],
+          ['b-shipping.yml', 'shipping']
+        ]);
+        assert.deepStrictEqual([...engine.definitions.keys()], ['returns', 'shipping']);
+        // JSON y YAML dan la misma definición
+        assert.deepStrictEqual(
+          { ...loaded[0].definition, name: undefined, trigger: undefined },
+          { ...loaded[1].definition, name: undefined, trigger: undefined }
+        );
+      });
+    }
+  },
+
+  {
+    name: 'un evento de un paso que no está en los contratos se rechaza indicando el paso, el campo y el servicio',
+    async run() {
+      const definition = shippingSaga({
+        step: { command: { event: 'SHIPMENT_CANCELLED' }, success: 'SHIPMENT_DELIVERED' }
+      });
+
+      assert.throws(() => createEngine().register(definition), (error) => {
+        assert.strictEqual(error.code, 'INVALID_SAGA_DEFINITION');
+        assert.strictEqual(error.message, [
+          'Saga "shipping": no cumple los contratos registrados:',
+          '  - paso SHIP, command: shipping-service no maneja SHIPMENT_CANCELLED (handles: SHIPMENT_REQUESTED)',
+          '  - paso SHIP, success: shipping-service no produce SHIPMENT_DELIVERED (produces: SHIPMENT_SCHEDULED, SHIPMENT_FAILED)'
+        ].join('\n'));
+        return true;
+      });
+    }
+  },
+
+  {
+    name: 'los errores de varios ficheros se informan juntos en un INVALID_SAGA_DEFINITION',
+    async run() {
+      await withSagaDirectory({
+        'a-valida.yaml': yaml.dump(shippingSaga()),
+        'b-contrato.json': JSON.stringify(shippingSaga({ name: 'returns', trigger: 'RETURN_CREATED' })),
+        'c-rota.yaml': 'name: rota\nsteps: [\n',
+        'd-sin-pasos.yml': 'name: vacia\ntrigger: RETURN_REQUESTED\nkey: orderId\nsteps: []\n'
+      }, async (directory) => {
+        const engine = createEngine();
+
+        assert.throws(() => loadSagaFiles(directory, definition => engine.register(definition)), (error) => {
+          assert.strictEqual(error.code, 'INVALID_SAGA_DEFINITION');
+          assert.strictEqual(error.retryable, false);
+
+          const lines = error.message.split('\n');
+          assert.strictEqual(lines[0], `Definiciones de saga inválidas en ${directory}:`);
+          assert.ok(lines.includes('b-contrato.json: Saga "returns": no cumple los contratos registrados:'));
+          assert.ok(lines.includes('  - trigger: ningún servicio registrado produce RETURN_CREATED'));
+          assert.ok(lines.some(line => line.startsWith('c-rota.yaml: No se puede leer la definición:')));
+          assert.ok(lines.some(line => line.startsWith('d-sin-pasos.yml: Saga "vacia":')));
+          assert.ok(!error.message.includes('a-valida.yaml'));
+          return true;
+        });
+        // La saga válida se registró antes de informar de los errores
+        assert.ok(engine.definitions.has('shipping'));
+      });
+    }
+  },
+
+  {
+    name: 'un YAML mal formado se rechaza con la línea del error',
+    async run() {
+      await withSagaDirectory({ 'rota.yaml': 'name: rota\nsteps:\n  - name: A\n   service: x\n' }, async (directory) => {
+        assert.throws(() => readSagaFile(path.join(directory, 'rota.yaml')), (error) => {
+          assert.strictEqual(error.code, 'INVALID_SAGA_DEFINITION');
+          assert.strictEqual(error.retryable, false);
+          assert.match(error.message, /^No se puede leer la definición: /);
+          assert.match(error.message, /rota\.yaml" \(4:4\)/);
+          return true;
+        });
+      });
+    }
+  },
+
+  {
+    name: 'un JSON mal formado y un YAML con tipos fuera de JSON se rechazan',
+    async run() {
+      await withSagaDirectory({
+        'rota.json': '{ "name": "rota", ',
+        'fecha.yaml': 'name: !!timestamp 2024-01-01\n'
+      }, async (directory) => {
+        for (const fileName of ['rota.json', 'fecha.yaml']) {
+          assert.throws(() => readSagaFile(path.join(directory, fileName)), {
+            code: 'INVALID_SAGA_DEFINITION',
+            message: /^No se puede leer la definición: /
+          });
+        }
+      });
+    }
+  }
+];
@@ -2,12 +2,13 @@ const express = require('express');
 const { v4: uuidv4 } = require('uuid');
 require('dotenv').config();
 const MessageService = require('../shared/MessageService');
+const ServiceLifecycle = require('../shared/ServiceLifecycle');
 const { QUEUES, EVENTS } = require('../shared/constants');
 
 // Initialize express app
 const app = express();
 app.use(express.json());
-const PORT = 3002;
+const PORT = process.env.PORT || 3002;
 
 // In-memory orders database (in a real app, this would be a real database)
 const orders = {};
@@ -15,6 +16,12 @@ const orders = {};
 // Servicio de mensajería
 const messageService = new MessageService('order-service');
 
+// Cierre ordenado ante SIGINT/SIGTERM y estado de disponibilidad
+const lifecycle = new ServiceLifecycle({ serviceName: 'order-service', messageService });
+
+// Disponibilidad: 503 mientras el servicio arranca o se está cerrando
+app.get('/ready', lifecycle.readinessHandler());
+
 async function setupMessageService() {
   try {
     // Inicializar el servicio de mensajería
@@ -25,7 +32,10 @@ async function setupMessageService() {
     await messageService.createQueue(QUEUES.ORCHESTRATOR);
     
     // Suscribirse al canal de órdenes
-    await messageService.subscribe(QUEUES.ORDER_SERVICE, handleMessage);
+    await messageService.subscribe(QUEUES.ORDER_SERVICE, handleMessage, {
+      // Los mensajes de una misma orden se procesan de uno en uno y en orden
+      orderingKey: 'data.orderId'
+    });
     
     console.log('Servicio de órdenes listo para procesar mensajes');
   } catch (error) {
@@ -51,8 +61,8 @@ async function handleMessage(content, message) {
       console.log(`Tipo de evento desconocido: ${content.type}`);
   }
   
-  // Confirmar el procesamiento del mensaje
-  messageService.acknowledge(message);
+  // MessageService confirma el mensaje al terminar; si un handler lanza un
+  // error, el mensaje se reintenta y acaba en la cola de mensajes muertos
 }
 
 // Handle order completion
@@ -130,6 +140,9 @@ app.post('/orders', async (req, res) => {
         items,
         totalAmount
       }
+    }, {
+      // El id de la orden es el id de la saga que inicia este evento
+      correlationId: orderId
     });
     
     res.status(201).json(order);
@@ -153,11 +166,13 @@ app.get('/orders/:id', (req, res) => {
 
 // Start server and setup messaging
 async function startServer() {
-  app.listen(PORT, () => {
+  const server = app.listen(PORT, () => {
     console.log(`Servicio de órdenes escuchando en el puerto ${PORT}`);
   });
+  lifecycle.handleShutdown(server);
   
   await setupMessageService();
+  lifecycle.markReady();
 }
 
 startServer().catch(err => {
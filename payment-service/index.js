@@ -2,16 +2,20 @@ const express = require('express');
 const { v4: uuidv4 } = require('uuid');
 require('dotenv').config();
 const MessageService = require('../shared/MessageService');
+const ServiceLifecycle = require('../shared/ServiceLifecycle');
 const { QUEUES, EVENTS } = require('../shared/constants');
 
 // Initialize express app
 const app = express();
 app.use(express.json());
-const PORT = 3003;
+const PORT = process.env.PORT || 3003;
 
 // In-memory payments database (in a real app, this would be a real database)
 const payments = {};
 
+// Id de la transacción de cada orden cobrada, para no cobrar dos veces la misma orden
+const transactionsByOrder = {};
+
 // Simulated customer credit limits (in a real app, this would be in a database)
 const customerCreditLimits = {
   'customer-1': 1000,
@@ -22,6 +26,12 @@ const customerCreditLimits = {
 // Servicio de mensajería
 const messageService = new MessageService('payment-service');
 
+// Cierre ordenado ante SIGINT/SIGTERM y estado de disponibilidad
+const lifecycle = new ServiceLifecycle({ serviceName: 'payment-service', messageService });
+
+// Disponibilidad: 503 mientras el servicio arranca o se está cerrando
+app.get('/ready', lifecycle.readinessHandler());
+
 async function setupMessageService() {
   try {
     // Inicializar el servicio de mensajería
@@ -32,7 +42,10 @@ async function setupMessageService() {
     await messageService.createQueue(QUEUES.ORCHESTRATOR);
     
     // Suscribirse al canal de pagos
-    await messageService.subscribe(QUEUES.PAYMENT_SERVICE, handleMessage);
+    await messageService.subscribe(QUEUES.PAYMENT_SERVICE, handleMessage, {
+      // Los mensajes de una misma orden se procesan de uno en uno y en orden
+      orderingKey: 'data.orderId'
+    });
     
     console.log('Servicio de pagos listo para procesar mensajes');
   } catch (error) {
@@ -54,14 +67,32 @@ async function handleMessage(content, message) {
       console.log(`Tipo de evento desconocido: ${content.type}`);
   }
   
-  // Confirmar el procesamiento del mensaje
-  messageService.acknowledge(message);
+  // MessageService confirma el mensaje al terminar; si un handler lanza un
+  // error, el mensaje se reintenta y acaba en la cola de mensajes muertos
 }
 
 // Handle payment request
 async function handlePaymentRequest(content) {
   const { orderId, customerId, amount } = content.data;
   
+  // Una orden se cobra una sola vez: un PAYMENT_REQUESTED repetido (reintento
+  // o reenvío del orquestador al retomar la saga) responde con el mismo pago
+  const existing = payments[transactionsByOrder[orderId]];
+  if (existing) {
+    console.log(`La orden ${orderId} ya está pagada (transacción ${existing.id}); no se cobra de nuevo`);
+    
+    await messageService.publish(QUEUES.ORCHESTRATOR, {
+      type: EVENTS.PAYMENT_SUCCEEDED,
+      data: {
+        success: true,
+        orderId,
+        transactionId: existing.id,
+        amount: existing.amount
+      }
+    });
+    return;
+  }
+  
   // Check if customer exists
   const customerCreditLimit = customerCreditLimits[customerId];
   
@@ -71,6 +102,7 @@ async function handlePaymentRequest(content) {
     await messageService.publish(QUEUES.ORCHESTRATOR, {
       type: EVENTS.PAYMENT_FAILED,
       data: {
+        success: false,
         orderId,
         reason: 'Cliente no encontrado'
       }
@@ -85,6 +117,7 @@ async function handlePaymentRequest(content) {
     await messageService.publish(QUEUES.ORCHESTRATOR, {
       type: EVENTS.PAYMENT_FAILED,
       data: {
+        success: false,
         orderId,
         reason: 'Fondos insuficientes',
         details: {
@@ -108,6 +141,7 @@ async function handlePaymentRequest(content) {
     status: 'COMPLETED',
     timestamp: new Date()
   };
+  transactionsByOrder[orderId] = transactionId;
   
   console.log(`Pago procesado para orden: ${orderId}, monto: ${amount}, transacción: ${transactionId}`);
   
@@ -115,6 +149,7 @@ async function handlePaymentRequest(content) {
   await messageService.publish(QUEUES.ORCHESTRATOR, {
     type: EVENTS.PAYMENT_SUCCEEDED,
     data: {
+      success: true,
       orderId,
       transactionId,
       amount
@@ -137,11 +172,13 @@ app.get('/payments/:id', (req, res) => {
 
 // Start server and setup messaging
 async function startServer() {
-  app.listen(PORT, () => {
+  const server = app.listen(PORT, () => {
     console.log(`Servicio de pagos escuchando en el puerto ${PORT}`);
   });
+  lifecycle.handleShutdown(server);
   
   await setupMessageService();
+  lifecycle.markReady();
 }
 
 startServer().catch(err => {
@@ -0,0 +1,65 @@
+#!/usr/bin/env bash
+#
+# Genera certificados autofirmados para el transporte TCP con TLS:
+# una CA local y un certificado por servicio firmado por ella, válido como
+# servidor y como cliente (autenticación mutua).
+#
+# Uso:
+#   scripts/generate-tcp-certs.sh [directorio] [servicio...]
+#
+# Por defecto genera ./certs con un certificado "tcp" compartido. Los hosts
+# del certificado se toman de CERT_HOSTS (por defecto localhost,127.0.0.1) y
+# deben incluir el TCP_ADVERTISE_HOST de cada servicio.
+#
+# Solo para desarrollo y pruebas: en producción use la CA de la organización.
+
+set -euo pipefail
+
+DIR="${1:-certs}"
+shift || true
+SERVICES=("$@")
+if [ ${#SERVICES[@]} -eq 0 ]; then
+  SERVICES=("tcp")
+fi
+HOSTS="${CERT_HOSTS:-localhost,127.0.0.1}"
+DAYS="${CERT_DAYS:-365}"
+
+command -v openssl >/dev/null || { echo "Se necesita openssl para generar los certificados" >&2; exit 1; }
+
+mkdir -p "$DIR"
+
+# Nombres alternativos del certificado: DNS para nombres, IP para direcciones
+SAN=""
+IFS=',' read -ra HOST_LIST <<< "$HOSTS"
+for host in "${HOST_LIST[@]}"; do
+  if [[ "$host" =~ ^[0-9.]+$ || "$host" == *:* ]]; then
+    SAN="${SAN:+$SAN,}IP:$host"
+  else
+    SAN="${SAN:+$SAN,}DNS:$host"
+  fi
+done
+
+# CA local (se reutiliza si ya existe para no invalidar los certificados emitidos)
+if [ ! -f "$DIR/ca.key" ]; then
+  openssl req -x509 -newkey rsa:2048 -nodes -sha256 -days "$DAYS" \
+    -subj "/CN=saga-tcp-ca" \
+    -keyout "$DIR/ca.key" -out "$DIR/ca.crt" 2>/dev/null
+  echo "CA creada en $DIR/ca.crt"
+fi
+
+for service in "${SERVICES[@]}"; do
+  openssl req -newkey rsa:2048 -nodes -sha256 \
+    -subj "/CN=$service" \
+    -keyout "$DIR/$service.key" -out "$DIR/$service.csr" 2>/dev/null
+
+  openssl x509 -req -sha256 -days "$DAYS" \
+    -in "$DIR/$service.csr" -CA "$DIR/ca.crt" -CAkey "$DIR/ca.key" -CAcreateserial \
+    -extfile <(printf "subjectAltName=%s\nextendedKeyUsage=serverAuth,clientAuth\n" "$SAN") \
+    -out "$DIR/$service.crt" 2>/dev/null
+
+  rm -f "$DIR/$service.csr"
+  chmod 600 "$DIR/$service.key"
+  echo "Certificado de $service en $DIR/$service.crt ($SAN)"
+done
+
+chmod 600 "$DIR/ca.key"
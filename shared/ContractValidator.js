@@ -0,0 +1,166 @@
+const Ajv = require('ajv');
+
+// Modos de validación de contratos (CONTRACT_VALIDATION)
+const VALIDATION_MODES = ['strict', 'warn', 'off'];
+
+/**
+ * Valida los mensajes contra los esquemas de los contratos de
+ * `shared/contracts.js`. Un mensaje de tipo T enviado a la cola Q debe
+ * cumplir:
+ *
+ * - el esquema `input` de T en el contrato del servicio que consume Q
+ * - el esquema `output` del contrato que produce T (el de T si el contrato
+ *   lo declara, o el del evento cuyo `outputEvents` incluye T)
+ *
+ * Se valida `message.data` al publicar y al recibir, de modo que tanto los
+ * servicios como el orquestador detectan los mensajes que incumplen un
+ * contrato. En modo `strict` el mensaje se rechaza con un error no
+ * reintentable; en modo `warn` solo se registra.
+ */
+class ContractValidator {
+  /**
+   * @param {Object} options - Opciones del validador
+   * @param {Array<Object>} options.contracts - Contratos iniciales
+   * @param {string} options.mode - strict, warn u off (por defecto CONTRACT_VALIDATION o warn)
+   */
+  constructor(options = {}) {
+    this.mode = options.mode || process.env.CONTRACT_VALIDATION || 'warn';
+    if (!VALIDATION_MODES.includes(this.mode)) {
+      throw new Error(`Modo de validación de contratos desconocido: ${this.mode} (use ${VALIDATION_MODES.join(', ')})`);
+    }
+
+    this.ajv = new Ajv({ allErrors: true });
+    this.compiled = new WeakMap(); // Map de esquemas a su validador compilado
+    this.contracts = new Map(); // Map de nombre de servicio a contrato
+
+    for (const contract of options.contracts || []) {
+      this.addContract(contract);
+    }
+  }
+
+  /**
+   * Registra (o reemplaza) el contrato de un servicio
+   * @param {Object} contract - Contrato del servicio
+   */
+  addContract(contract) {
+    this.contracts.set(contract.name, contract);
+  }
+
+  /**
+   * Middleware de MessageService que valida los mensajes enviados y recibidos
+   * @returns {Object} - { outbound, inbound }
+   */
+  middleware() {
+    return {
+      outbound: async (context, next) => {
+        // Los eventos no tienen cola de destino: se validan contra su productor
+        this.check(context.queue || context.topic, context.message, 'enviado a');
+        await next();
+      },
+      inbound: async (context, next) => {
+        this.check(context.queue, context.message, 'recibido de');
+        await next();
+      }
+    };
+  }
+
+  /**
+   * Valida un mensaje y aplica el modo configurado
+   * @param {string} queue - Cola de destino u origen del mensaje
+   * @param {Object} message - Mensaje `{ type, data }`
+   * @param {string} direction - Texto para el log ('enviado a' o 'recibido de')
+   * @throws {Error} - En modo strict, si el mensaje incumple algún contrato
+   */
+  check(queue, message, direction) {
+    if (this.mode === 'off') return;
+
+    const violations = this.validate(queue, message);
+    if (violations.length === 0) return;
+
+    const details = violations
+      .map(({ schemaName, errors }) => `${schemaName}: ${errors.map(formatError).join('; ')}`)
+      .join(' | ');
+    const description = `Mensaje ${message.type} ${direction} ${queue} incumple el contrato: ${details}`;
+
+    if (this.mode === 'warn') {
+      console.warn(`[contratos] ${description}`);
+      return;
+    }
+
+    const error = new Error(description);
+    error.code = 'CONTRACT_VIOLATION';
+    // Un mensaje inválido seguirá siéndolo: no reintentarlo
+    error.retryable = false;
+    error.violations = violations;
+    throw error;
+  }
+
+  /**
+   * Valida un mensaje contra los esquemas que le aplican
+   * @param {string} queue - Cola de destino u origen del mensaje
+   * @param {Object} message - Mensaje `{ type, data }`
+   * @returns {Array<Object>} - Incumplimientos `{ schemaName, errors }` (vacío si es válido)
+   */
+  validate(queue, message) {
+    const violations = [];
+
+    for (const { schemaName, schema } of this.findSchemas(queue, message.type)) {
+      let validator = this.compiled.get(schema);
+      if (!validator) {
+        validator = this.ajv.compile(schema);
+        this.compiled.set(schema, validator);
+      }
+
+      if (!validator(message.data)) {
+        violations.push({ schemaName, errors: validator.errors });
+      }
+    }
+
+    return violations;
+  }
+
+  /**
+   * Busca los esquemas que aplican a un tipo de mensaje en una cola
+   * @param {string} queue - Nombre de la cola
+   * @param {string} type - Tipo del mensaje
+   * @returns {Array<Object>} - Esquemas `{ schemaName, schema }`
+   */
+  findSchemas(queue, type) {
+    const schemas = [];
+
+    for (const contract of this.contracts.values()) {
+      const schema = contract.schema || {};
+
+      // Entrada del consumidor de la cola
+      if (contract.queueName === queue && schema[type] && schema[type].input) {
+        schemas.push({ schemaName: `${contract.name} ${type}.input`, schema: schema[type].input });
+      }
+
+      // Salida del productor del evento
+      if ((contract.produces || []).includes(type)) {
+        if (schema[type] && schema[type].output) {
+          schemas.push({ schemaName: `${contract.name} ${type}.output`, schema: schema[type].output });
+        }
+
+        for (const [event, definition] of Object.entries(schema)) {
+          if (definition.output && (definition.outputEvents || []).includes(type)) {
+            schemas.push({ schemaName: `${contract.name} ${event}.output`, schema: definition.output });
+          }
+        }
+      }
+    }
+
+    return schemas;
+  }
+}
+
+/**
+ * Describe un error de ajv en una línea
+ * @param {Object} error - Error de validación de ajv
+ * @returns {string} - Descripción del error
+ */
+function formatError(error) {
+  return `${error.instancePath || '/'} ${error.message}`;
+}
+
+module.exports = ContractValidator;
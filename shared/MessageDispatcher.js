@@ -0,0 +1,107 @@
+/**
+ * Despachador de mensajes que limita cuántos handlers se ejecutan a la vez
+ * y garantiza que los mensajes con la misma clave de orden (por ejemplo el
+ * mismo `orderId`) se procesen de uno en uno y en el orden de llegada.
+ *
+ * Los mensajes sin clave solo están sujetos al límite global.
+ */
+class MessageDispatcher {
+  /**
+   * @param {Object} options - Opciones del despachador
+   * @param {number} options.maxInFlight - Máximo de handlers ejecutándose a la vez
+   */
+  constructor(options = {}) {
+    this.maxInFlight = options.maxInFlight || Infinity;
+    this.inFlight = 0;
+    this.ready = []; // Tareas que pueden ejecutarse en cuanto haya capacidad
+    this.keyQueues = new Map(); // Map de claves ocupadas a sus tareas en espera
+    this.idleWaiters = []; // Promesas de onIdle() pendientes
+  }
+
+  /**
+   * Encola una tarea para ejecutarla respetando el límite y el orden por clave
+   * @param {string|null} key - Clave de orden (null si no importa el orden)
+   * @param {Function} task - Función asíncrona a ejecutar
+   * @returns {Promise<*>} - Resultado de la tarea
+   */
+  run(key, task) {
+    return new Promise((resolve, reject) => {
+      const job = { key, task, resolve, reject };
+
+      if (key === null || key === undefined) {
+        this.ready.push(job);
+      } else if (this.keyQueues.has(key)) {
+        // Ya hay una tarea de esta clave en curso o esperando: ir detrás
+        this.keyQueues.get(key).push(job);
+      } else {
+        this.keyQueues.set(key, []);
+        this.ready.push(job);
+      }
+
+      this.drain();
+    });
+  }
+
+  /**
+   * Número de tareas en ejecución o en espera
+   * @returns {number} - Tareas pendientes
+   */
+  get size() {
+    let waiting = this.ready.length;
+    for (const jobs of this.keyQueues.values()) {
+      waiting += jobs.length;
+    }
+    return this.inFlight + waiting;
+  }
+
+  /**
+   * Espera a que no quede ninguna tarea en ejecución ni en espera
+   * @returns {Promise<void>}
+   */
+  onIdle() {
+    if (this.size === 0) return Promise.resolve();
+    return new Promise(resolve => this.idleWaiters.push(resolve));
+  }
+
+  /**
+   * Ejecuta tareas listas mientras haya capacidad
+   */
+  drain() {
+    while (this.inFlight < this.maxInFlight && this.ready.length > 0) {
+      const job = this.ready.shift();
+      this.inFlight++;
+
+      Promise.resolve()
+        .then(job.task)
+        .then(job.resolve, job.reject)
+        .finally(() => {
+          this.inFlight--;
+          this.release(job.key);
+          this.drain();
+
+          if (this.size === 0) {
+            const waiters = this.idleWaiters;
+            this.idleWaiters = [];
+            waiters.forEach(resolve => resolve());
+          }
+        });
+    }
+  }
+
+  /**
+   * Libera una clave al terminar su tarea, pasando la siguiente a la cola de listas
+   * @param {string|null} key - Clave de la tarea terminada
+   */
+  release(key) {
+    if (key === null || key === undefined) return;
+
+    const waiting = this.keyQueues.get(key);
+    if (waiting.length > 0) {
+      this.ready.push(waiting.shift());
+    } else {
+      this.keyQueues.delete(key);
+    }
+  }
+}
+
+module.exports = MessageDispatcher;
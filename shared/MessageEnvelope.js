@@ -0,0 +1,73 @@
+const { v4: uuidv4 } = require('uuid');
+
+/**
+ * Sobre estándar de los mensajes publicados por MessageService:
+ *
+ * {
+ *   type, data,
+ *   metadata: { messageId, correlationId, causationId, source, timestamp, schemaVersion,
+ *               priority?, expiresAt? }
+ * }
+ *
+ * - `correlationId` identifica la conversación (en las sagas, el id de la saga)
+ * - `causationId` es el `messageId` del mensaje que provocó este
+ * - `priority` y `expiresAt` solo aparecen si se publicó con prioridad o
+ *   caducidad; viajan en el sobre para conservarse en reintentos y puentes
+ */
+
+// Versión del formato del sobre
+const SCHEMA_VERSION = 1;
+
+/**
+ * Envuelve un mensaje `{ type, data }` con sus metadatos. Si el mensaje ya
+ * traía metadatos (por ejemplo, al reenviar uno recibido) se reemplazan.
+ * @param {Object} message - Mensaje a publicar
+ * @param {Object} options - { source, correlationId, causationId, priority, expiresAt }
+ *   (`expiresAt` en milisegundos desde epoch)
+ * @returns {Object} - Mensaje con metadatos
+ */
+function createEnvelope(message, { source, correlationId, causationId, priority, expiresAt }) {
+  const messageId = uuidv4();
+  const metadata = {
+    messageId,
+    // Un mensaje sin conversación previa inicia una nueva
+    correlationId: correlationId || messageId,
+    causationId: causationId || null,
+    source,
+    timestamp: new Date().toISOString(),
+    schemaVersion: SCHEMA_VERSION
+  };
+
+  if (priority !== undefined) metadata.priority = priority;
+  if (expiresAt !== undefined) metadata.expiresAt = new Date(expiresAt).toISOString();
+
+  return { ...message, metadata };
+}
+
+/**
+ * Indica si un mensaje recibido caducó antes de procesarse
+ * @param {Object} content - Contenido del mensaje recibido
+ * @param {number} now - Instante de la comprobación (por defecto ahora)
+ * @returns {boolean} - true si el mensaje tiene `expiresAt` y ya pasó
+ */
+function isExpired(content, now = Date.now()) {
+  const { expiresAt } = getMetadata(content);
+  return Boolean(expiresAt) && Date.parse(expiresAt) <= now;
+}
+
+/**
+ * Obtiene los metadatos de un mensaje recibido. Los mensajes publicados sin
+ * sobre (por versiones anteriores) no tienen metadatos.
+ * @param {Object} content - Contenido del mensaje recibido
+ * @returns {Object} - Metadatos del mensaje (vacío si no tiene)
+ */
+function getMetadata(content) {
+  return (content && content.metadata) || {};
+}
+
+module.exports = {
+  SCHEMA_VERSION,
+  createEnvelope,
+  getMetadata,
+  isExpired
+};
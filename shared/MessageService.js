@@ -1,7 +1,106 @@
 require('dotenv').config();
+const { AsyncLocalStorage } = require('async_hooks');
 const TransportFactory = require('./transport/TransportFactory');
+const MessageDispatcher = require('./MessageDispatcher');
+const MiddlewarePipeline = require('./MiddlewarePipeline');
+const ContractValidator = require('./ContractValidator');
+const contracts = require('./contracts');
+const { createEnvelope, getMetadata, isExpired } = require('./MessageEnvelope');
+const { assertTopic, assertPattern, topicQueueName } = require('./transport/topics');
 const { QUEUES } = require('./constants');
 
+/**
+ * Política de reintentos por defecto para los handlers suscritos
+ */
+const DEFAULT_RETRY_POLICY = {
+  // Número total de entregas antes de enviar el mensaje a la cola de mensajes muertos
+  maxAttempts: parseInt(process.env.MESSAGE_MAX_ATTEMPTS || '3'),
+  // Espera antes de cada reintento (el último valor se repite si hay más intentos)
+  delays: (process.env.MESSAGE_RETRY_DELAYS || '1000,5000,30000')
+    .split(',')
+    .map(delay => parseInt(delay.trim()))
+};
+
+// Máximo de mensajes procesándose a la vez por suscripción
+const DEFAULT_MAX_IN_FLIGHT = parseInt(process.env.MESSAGE_MAX_IN_FLIGHT || '10');
+
+// Milisegundos de espera de la respuesta a una petición
+const DEFAULT_REQUEST_TIMEOUT = parseInt(process.env.MESSAGE_REQUEST_TIMEOUT || '5000');
+
+// Prioridad máxima de un mensaje (0 es la más baja, como en RabbitMQ)
+const MAX_PRIORITY = 9;
+
+// Metadatos del mensaje que se está procesando, para propagar la correlación
+// y la causalidad a los mensajes que publique el handler
+const messageContext = new AsyncLocalStorage();
+
+/**
+ * Crea el error de unas opciones de publicación inválidas
+ * @param {string} message - Descripción del problema
+ * @returns {Error} - Error con código INVALID_PUBLISH_OPTIONS (no reintentable)
+ */
+function invalidPublishOptions(message) {
+  const error = new Error(message);
+  error.code = 'INVALID_PUBLISH_OPTIONS';
+  error.retryable = false;
+  return error;
+}
+
+/**
+ * Obtiene la prioridad y la caducidad de las opciones de una publicación
+ * @param {Object} options - { priority, ttl, expiresAt }
+ * @returns {Object} - Propiedades para el transporte ({ priority, expiresAt } si se indicaron,
+ *   con `expiresAt` en milisegundos desde epoch)
+ * @throws {Error} - Con código INVALID_PUBLISH_OPTIONS si algún valor no es válido
+ */
+function deliveryProperties({ priority, ttl, expiresAt }) {
+  const properties = {};
+
+  if (priority !== undefined) {
+    if (!Number.isInteger(priority) || priority < 0 || priority > MAX_PRIORITY) {
+      throw invalidPublishOptions(`Prioridad inválida: ${priority} (entero entre 0 y ${MAX_PRIORITY})`);
+    }
+    properties.priority = priority;
+  }
+
+  const deadlines = [];
+  if (ttl !== undefined) {
+    if (!Number.isFinite(ttl) || ttl <= 0) {
+      throw invalidPublishOptions(`ttl inválido: ${ttl} (milisegundos mayores que 0)`);
+    }
+    deadlines.push(Date.now() + ttl);
+  }
+  if (expiresAt !== undefined) {
+    const deadline = new Date(expiresAt).getTime();
+    if (expiresAt === null || Number.isNaN(deadline)) {
+      throw invalidPublishOptions(`expiresAt inválido: ${expiresAt} (fecha, ISO 8601 o milisegundos desde epoch)`);
+    }
+    deadlines.push(deadline);
+  }
+
+  // Con ttl y expiresAt a la vez manda el plazo que vence antes
+  if (deadlines.length > 0) {
+    properties.expiresAt = Math.min(...deadlines);
+  }
+
+  return properties;
+}
+
+/**
+ * Obtiene la clave de orden de un mensaje
+ * @param {Function|string} orderingKey - Función o ruta con puntos (ej. 'data.orderId')
+ * @param {Object} content - Contenido del mensaje
+ * @returns {*} - Clave de orden o undefined si el mensaje no tiene
+ */
+function resolveOrderingKey(orderingKey, content) {
+  if (!orderingKey) return undefined;
+  if (typeof orderingKey === 'function') return orderingKey(content);
+
+  return orderingKey
+    .split('.')
+    .reduce((value, field) => (value === null || value === undefined ? undefined : value[field]), content);
+}
+
 /**
  * Servicio de mensajería que abstrae el transporte utilizado
  */
@@ -13,6 +112,44 @@ class MessageService {
     this.serviceName = serviceName;
     this.transport = TransportFactory.createTransport(serviceName);
     this.initialized = false;
+    this.draining = false; // true tras drain(): no se procesan mensajes nuevos
+    this.dispatchers = []; // Despachadores de las suscripciones, para esperar a los handlers en curso
+    this.settledMessages = new WeakSet(); // Mensajes ya confirmados, reintentados o descartados
+    this.outbound = new MiddlewarePipeline(); // Middlewares de publish y request
+    this.inbound = new MiddlewarePipeline(); // Middlewares de los mensajes recibidos
+
+    // Validar los mensajes contra los contratos de shared/contracts.js (CONTRACT_VALIDATION)
+    this.contracts = new ContractValidator({ contracts: Object.values(contracts) });
+    if (this.contracts.mode !== 'off') {
+      this.use(this.contracts.middleware());
+    }
+  }
+
+  /**
+   * Registra un middleware en la cadena de salida, de entrada o en ambas.
+   *
+   * - `outbound(context, next)` recibe `{ direction, operation, service, queue, message }`
+   *   antes de enviar (`operation` es 'publish', 'request' o 'publishEvent'; los
+   *   eventos llevan `topic` en lugar de `queue`, y las publicaciones, las
+   *   `properties` de entrega { priority, expiresAt }). Puede cambiar
+   *   `context.queue` o `context.message`, rechazar el envío lanzando un error
+   *   o cortarlo sin llamar a `next`; en una petición cortada, `context.response`
+   *   es la respuesta que recibe quien llamó a `request`.
+   * - `inbound(context, next)` recibe `{ direction, service, queue, message, raw, metadata }`
+   *   antes del handler. Si lanza un error el mensaje se reintenta como si
+   *   hubiera fallado el handler; si no llama a `next` el mensaje se confirma
+   *   sin llegar al handler.
+   *
+   * Los middlewares se ejecutan en el orden en que se registran.
+   * @param {Object} middleware - { outbound, inbound }
+   */
+  use({ outbound, inbound } = {}) {
+    if (!outbound && !inbound) {
+      throw new Error('El middleware debe definir outbound, inbound o ambos');
+    }
+
+    if (outbound) this.outbound.use(outbound);
+    if (inbound) this.inbound.use(inbound);
   }
 
   /**
@@ -54,36 +191,364 @@ class MessageService {
     }
   }
 
+  /**
+   * Envuelve un mensaje con sus metadatos. Si se publica desde un handler,
+   * hereda la correlación del mensaje en proceso y lo toma como causa.
+   * @param {Object} message - Mensaje `{ type, data }`
+   * @param {Object} options - { correlationId, causationId } para fijarlos explícitamente
+   * @param {Object} properties - Propiedades de entrega { priority, expiresAt } (opcional)
+   * @returns {Object} - Mensaje con metadatos
+   */
+  createEnvelope(message, options = {}, properties = {}) {
+    const current = messageContext.getStore() || {};
+
+    return createEnvelope(message, {
+      source: this.serviceName,
+      correlationId: options.correlationId || current.correlationId,
+      causationId: options.causationId || current.messageId,
+      priority: properties.priority,
+      expiresAt: properties.expiresAt
+    });
+  }
+
   /**
    * Publica un mensaje en una cola/canal específico
    * @param {string} queueName - Nombre de la cola/canal
-   * @param {Object} message - Mensaje a publicar
+   * @param {Object} message - Mensaje a publicar (`{ type, data }`)
+   * @param {Object} options - Opciones de la publicación
+   * @param {string} options.correlationId - Correlación explícita (por ejemplo, al iniciar una saga)
+   * @param {number} options.priority - Prioridad de 0 (por defecto) a 9: los mensajes con
+   *   más prioridad se entregan antes que los que esperan en la cola
+   * @param {number} options.ttl - Milisegundos tras los que el mensaje caduca
+   * @param {Date|string|number} options.expiresAt - Instante en que el mensaje caduca
+   *   (con ttl y expiresAt manda el que vence antes). Un mensaje caducado no
+   *   se procesa: va a la cola de mensajes muertos `<cola>.dlq`
+   * @throws {Error} - Con `code === 'INVALID_PUBLISH_OPTIONS'` si la prioridad o la
+   *   caducidad no son válidas
+   * @throws {Error} - Si el transporte no pudo entregar el mensaje (por ejemplo,
+   *   el broker lo rechazó o no era enrutable con RABBITMQ_CONFIRM=true)
+   */
+  async publish(queueName, message, options = {}) {
+    const properties = deliveryProperties(options);
+    await this.ensureInitialized();
+
+    const context = {
+      direction: 'outbound',
+      operation: 'publish',
+      service: this.serviceName,
+      queue: queueName,
+      message: this.createEnvelope(message, options, properties),
+      properties
+    };
+
+    try {
+      await this.outbound.run(context, () => this.transport.publish(context.queue, context.message, context.properties));
+    } catch (error) {
+      console.error(`[${this.serviceName}] No se pudo publicar ${message.type} en ${queueName}:`, error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Publica un evento en un tema. Lo reciben todas las suscripciones con un
+   * patrón que coincide (ver subscribeTopic); si no hay ninguna se descarta.
+   * @param {string} topic - Tema del evento, por ejemplo `order.created`
+   * @param {Object} message - Evento a publicar (`{ type, data }`)
+   * @param {Object} options - Opciones de la publicación
+   * @param {string} options.correlationId - Correlación explícita
+   * @param {number} options.priority - Prioridad de 0 a 9, como en publish
+   * @param {number} options.ttl - Milisegundos tras los que el evento caduca, como en publish
+   * @param {Date|string|number} options.expiresAt - Instante en que el evento caduca
+   * @throws {Error} - Con `code === 'INVALID_TOPIC'` si el tema está mal formado
    */
-  async publish(queueName, message) {
+  async publishEvent(topic, message, options = {}) {
+    assertTopic(topic);
+    const properties = deliveryProperties(options);
     await this.ensureInitialized();
-    await this.transport.publish(queueName, message);
+
+    const context = {
+      direction: 'outbound',
+      operation: 'publishEvent',
+      service: this.serviceName,
+      topic,
+      message: this.createEnvelope(message, options, properties),
+      properties
+    };
+
+    try {
+      await this.outbound.run(context, () => this.transport.publishEvent(context.topic, context.message, context.properties));
+    } catch (error) {
+      console.error(`[${this.serviceName}] No se pudo publicar el evento ${message.type} en ${topic}:`, error.message);
+      throw error;
+    }
   }
 
   /**
-   * Suscribe a una cola/canal para recibir mensajes
+   * Envía una petición y espera la respuesta correlacionada del servicio
+   * que la atiende (que debe responder con `reply`).
+   * @param {string} queueName - Nombre de la cola/canal
+   * @param {Object} message - Mensaje de la petición
+   * @param {Object} options - Opciones de la petición
+   * @param {number} options.timeout - Milisegundos de espera (MESSAGE_REQUEST_TIMEOUT por defecto)
+   * @param {string} options.correlationId - Correlación explícita
+   * @returns {Promise<Object>} - Contenido de la respuesta
+   * @throws {Error} - Con `code === 'REQUEST_TIMEOUT'` si no llega respuesta a tiempo
+   */
+  async request(queueName, message, options = {}) {
+    await this.ensureInitialized();
+
+    const timeout = options.timeout || DEFAULT_REQUEST_TIMEOUT;
+    const context = {
+      direction: 'outbound',
+      operation: 'request',
+      service: this.serviceName,
+      queue: queueName,
+      message: this.createEnvelope(message, options),
+      response: undefined
+    };
+
+    try {
+      await this.outbound.run(context, async () => {
+        context.response = await this.transport.request(context.queue, context.message, { timeout });
+      });
+      return context.response;
+    } catch (error) {
+      console.error(`[${this.serviceName}] Petición ${message.type} a ${queueName} fallida:`, error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Responde a una petición recibida en un handler
+   * @param {Object} message - Mensaje original recibido por el handler
+   * @param {Object} response - Contenido de la respuesta
+   */
+  async reply(message, response) {
+    await this.transport.reply(message, response);
+  }
+
+  /**
+   * Suscribe a una cola/canal para recibir mensajes.
+   *
+   * El mensaje se confirma automáticamente cuando el handler termina sin
+   * errores. Si el handler lanza un error, el mensaje se reintenta con la
+   * espera indicada en la política y, al agotar los intentos (o si el error
+   * tiene `retryable === false`), se envía a la cola de mensajes muertos
+   * `<cola>.dlq` junto con el motivo del fallo.
+   *
+   * Un mensaje que caducó (`metadata.expiresAt`) antes de procesarse no
+   * llega al handler: se envía directamente a la cola de mensajes muertos.
+   *
+   * El handler recibe el mensaje con sus metadatos en `content.metadata`, y
+   * los mensajes que publique mientras lo procesa heredan su `correlationId`
+   * y lo toman como `causationId`. Antes del handler se ejecutan los
+   * middlewares de entrada registrados con `use`.
+   *
+   * Como máximo `maxInFlight` mensajes se procesan a la vez, y los mensajes
+   * con la misma `orderingKey` se procesan de uno en uno y en orden. El
+   * transporte no entrega más de `prefetch` mensajes sin confirmar.
+   *
    * @param {string} queueName - Nombre de la cola/canal
    * @param {Function} handler - Función callback para procesar mensajes
+   * @param {Object} options - Opciones de la suscripción
+   * @param {Object} options.retry - Política de reintentos ({ maxAttempts, delays })
+   * @param {number} options.maxInFlight - Máximo de mensajes procesándose a la vez
+   * @param {number} options.prefetch - Máximo de mensajes entregados sin confirmar (por defecto maxInFlight)
+   * @param {Function|string} options.orderingKey - Clave de procesamiento secuencial,
+   *   como función del contenido o ruta con puntos (ej. 'data.orderId')
+   */
+  async subscribe(queueName, handler, options = {}) {
+    await this.ensureInitialized();
+
+    const retryPolicy = { ...DEFAULT_RETRY_POLICY, ...options.retry };
+    const maxInFlight = options.maxInFlight || DEFAULT_MAX_IN_FLIGHT;
+    const prefetch = options.prefetch || maxInFlight;
+    const dispatcher = new MessageDispatcher({ maxInFlight });
+    this.dispatchers.push(dispatcher);
+
+    await this.transport.subscribe(queueName, (content, message) => {
+      // Un mensaje que llega mientras se detiene el servicio se deja sin
+      // confirmar: vuelve a la cola al cerrar el transporte
+      if (this.draining) {
+        console.log(`Mensaje de ${queueName} recibido durante el cierre, se devolverá a la cola`);
+        return;
+      }
+
+      const key = resolveOrderingKey(options.orderingKey, content);
+
+      return dispatcher.run(key, () => messageContext.run(getMetadata(content), async () => {
+        // Pudo caducar esperando en la cola o detrás de otros mensajes con su misma clave
+        if (isExpired(content)) {
+          await this.handleExpired(queueName, content, message);
+          return;
+        }
+
+        const context = {
+          direction: 'inbound',
+          service: this.serviceName,
+          queue: queueName,
+          message: content,
+          raw: message,
+          metadata: getMetadata(content)
+        };
+
+        try {
+          await this.inbound.run(context, () => handler(context.message, context.raw));
+          await this.acknowledge(message);
+        } catch (error) {
+          await this.handleFailure(queueName, content, message, error, retryPolicy);
+        }
+      }));
+    }, { prefetch });
+  }
+
+  /**
+   * Suscribe a los eventos cuyo tema coincide con un patrón al estilo AMQP:
+   * `*` sustituye a una palabra y `#` a cero o más (`order.*`, `#.failed`).
+   *
+   * Los eventos llegan a una cola propia del servicio (por defecto
+   * `<servicio>.events.<patrón>`), compartida por todas sus instancias: cada
+   * servicio suscrito recibe una copia y la procesa una sola vez. El handler
+   * funciona como en subscribe, con los mismos reintentos y la misma cola de
+   * mensajes muertos; el tema del evento está en `message.fields.routingKey`.
+   *
+   * @param {string} pattern - Patrón de temas
+   * @param {Function} handler - Función callback para procesar los eventos
+   * @param {Object} options - Opciones de subscribe y además:
+   * @param {string} options.queue - Nombre de la cola (por defecto derivado del patrón)
+   * @returns {Promise<string>} - Nombre de la cola suscrita
+   * @throws {Error} - Con `code === 'INVALID_TOPIC'` si el patrón está mal formado
    */
-  async subscribe(queueName, handler) {
+  async subscribeTopic(pattern, handler, options = {}) {
+    assertPattern(pattern);
     await this.ensureInitialized();
-    await this.transport.subscribe(queueName, handler);
+
+    const queueName = options.queue || topicQueueName(this.serviceName, pattern);
+    await this.transport.bindTopic(queueName, pattern);
+    await this.subscribe(queueName, handler, options);
+
+    return queueName;
   }
 
   /**
-   * Confirma el procesamiento de un mensaje
+   * Reintenta o descarta un mensaje cuyo handler falló
+   * @param {string} queueName - Cola de la que se recibió el mensaje
+   * @param {Object} content - Contenido del mensaje
+   * @param {Object} message - Mensaje original del transporte
+   * @param {Error} error - Error lanzado por el handler
+   * @param {Object} retryPolicy - Política de reintentos de la suscripción
+   */
+  async handleFailure(queueName, content, message, error, retryPolicy) {
+    if (this.settledMessages.has(message)) {
+      console.error(`[${this.serviceName}] Error en ${queueName} después de confirmar el mensaje:`, error);
+      return;
+    }
+    this.settledMessages.add(message);
+
+    const attempt = this.getRetryCount(message) + 1;
+    const reason = error && error.message ? error.message : String(error);
+
+    try {
+      if (!(error && error.retryable === false) && attempt < retryPolicy.maxAttempts) {
+        const delays = retryPolicy.delays;
+        const delay = delays[Math.min(attempt - 1, delays.length - 1)];
+
+        console.warn(`[${this.serviceName}] Error procesando ${content.type} de ${queueName} (intento ${attempt}/${retryPolicy.maxAttempts}), reintentando en ${delay} ms: ${reason}`);
+        await this.transport.retry(queueName, content, message, { delay, attempt, reason });
+      } else {
+        console.error(`[${this.serviceName}] Mensaje ${content.type} de ${queueName} enviado a la cola de mensajes muertos tras ${attempt} intentos: ${reason}`);
+        await this.transport.deadLetter(queueName, content, message, { attempts: attempt, reason });
+      }
+    } catch (settleError) {
+      console.error(`[${this.serviceName}] No se pudo reintentar ni descartar el mensaje de ${queueName}:`, settleError);
+    }
+  }
+
+  /**
+   * Envía a la cola de mensajes muertos un mensaje que caducó sin procesarse
+   * @param {string} queueName - Cola de la que se recibió el mensaje
+   * @param {Object} content - Contenido del mensaje
+   * @param {Object} message - Mensaje original del transporte
+   */
+  async handleExpired(queueName, content, message) {
+    if (this.settledMessages.has(message)) return;
+    this.settledMessages.add(message);
+
+    const { expiresAt } = getMetadata(content);
+    console.warn(`[${this.serviceName}] Mensaje ${content.type} de ${queueName} caducado (${expiresAt}), enviado a la cola de mensajes muertos`);
+
+    try {
+      await this.transport.deadLetter(queueName, content, message, {
+        attempts: this.getRetryCount(message),
+        reason: `Mensaje caducado en ${expiresAt}`
+      });
+    } catch (settleError) {
+      console.error(`[${this.serviceName}] No se pudo descartar el mensaje caducado de ${queueName}:`, settleError);
+    }
+  }
+
+  /**
+   * Obtiene cuántas veces se ha reintentado un mensaje
+   * @param {Object} message - Mensaje original del transporte
+   * @returns {number} - Número de reintentos previos
+   */
+  getRetryCount(message) {
+    const headers = (message && message.properties && message.properties.headers) || {};
+    return parseInt(headers['x-retry-count'] || '0');
+  }
+
+  /**
+   * Confirma el procesamiento de un mensaje. Confirmar dos veces el mismo
+   * mensaje no tiene efecto.
    * @param {Object} message - Mensaje a confirmar
    */
   async acknowledge(message) {
+    if (this.settledMessages.has(message)) return;
+    this.settledMessages.add(message);
+
     if (this.transport.acknowledge) {
       await this.transport.acknowledge(message);
     }
   }
 
+  /**
+   * Deja de consumir mensajes nuevos y espera a que terminen los handlers en
+   * curso. Después de drain() el servicio puede seguir publicando.
+   * @param {number} timeout - Milisegundos máximos de espera
+   * @returns {Promise<boolean>} - true si todos los handlers terminaron a tiempo
+   */
+  async drain(timeout) {
+    this.draining = true;
+    if (this.initialized) {
+      await this.transport.stopConsuming();
+    }
+
+    let timer;
+    const deadline = new Promise(resolve => {
+      timer = setTimeout(() => resolve(false), timeout);
+    });
+    const idle = Promise.all(this.dispatchers.map(dispatcher => dispatcher.onIdle())).then(() => true);
+
+    const drained = await Promise.race([idle, deadline]);
+    clearTimeout(timer);
+
+    if (!drained) {
+      const pending = this.dispatchers.reduce((total, dispatcher) => total + dispatcher.size, 0);
+      console.warn(`${pending} mensajes de ${this.serviceName} seguían procesándose al vencer el plazo de cierre`);
+    }
+    return drained;
+  }
+
+  /**
+   * Espera a que el transporte entregue las publicaciones pendientes
+   * @param {number} timeout - Milisegundos máximos de espera
+   * @returns {Promise<boolean>} - true si no queda ninguna publicación pendiente
+   */
+  async flush(timeout) {
+    if (!this.initialized) return true;
+    return this.transport.flush(timeout);
+  }
+
   /**
    * Cierra las conexiones del servicio de mensajería
    */
@@ -0,0 +1,61 @@
+/**
+ * Cadena de middlewares al estilo Express/Koa. Cada middleware recibe el
+ * contexto del mensaje y una función `next` que ejecuta el resto de la
+ * cadena:
+ *
+ *   async (context, next) => {
+ *     // antes
+ *     await next();
+ *     // después
+ *   }
+ *
+ * Un middleware puede modificar el contexto, rechazar el mensaje lanzando
+ * un error o cortar la cadena sin llamar a `next`.
+ */
+class MiddlewarePipeline {
+  constructor() {
+    this.middlewares = [];
+  }
+
+  /**
+   * Añade un middleware al final de la cadena
+   * @param {Function} middleware - async (context, next) => void
+   */
+  use(middleware) {
+    if (typeof middleware !== 'function') {
+      throw new Error('El middleware debe ser una función (context, next)');
+    }
+    this.middlewares.push(middleware);
+  }
+
+  /**
+   * Ejecuta la cadena y, si ningún middleware la corta, la acción final
+   * @param {Object} context - Contexto compartido por los middlewares
+   * @param {Function} action - async (context) => void, se ejecuta al final de la cadena
+   * @returns {Promise<void>}
+   */
+  run(context, action) {
+    const middlewares = [...this.middlewares];
+    let lastIndex = -1;
+
+    const dispatch = (index) => {
+      if (index <= lastIndex) {
+        return Promise.reject(new Error('next() se llamó más de una vez en el mismo middleware'));
+      }
+      lastIndex = index;
+
+      try {
+        if (index === middlewares.length) {
+          return Promise.resolve(action(context));
+        }
+        return Promise.resolve(middlewares[index](context, () => dispatch(index + 1)));
+      } catch (error) {
+        return Promise.reject(error);
+      }
+    };
+
+    return dispatch(0);
+  }
+}
+
+module.exports = MiddlewarePipeline;
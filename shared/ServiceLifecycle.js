@@ -0,0 +1,158 @@
+require('dotenv').config();
+
+// Milisegundos máximos para vaciar los mensajes en curso y las publicaciones pendientes
+const DEFAULT_SHUTDOWN_TIMEOUT = parseInt(process.env.SHUTDOWN_TIMEOUT || '10000');
+
+// Señales que inician el cierre ordenado
+const SHUTDOWN_SIGNALS = ['SIGINT', 'SIGTERM'];
+
+// Ciclos de vida del proceso: varios servicios pueden ejecutarse en el mismo
+// proceso (por ejemplo con TRANSPORT_TYPE=memory) y deben cerrarse todos
+// antes de salir
+const lifecycles = new Set();
+let signalsHandled = false;
+
+/**
+ * Ciclo de vida de un servicio: estado de disponibilidad y cierre ordenado.
+ *
+ * Al recibir SIGINT o SIGTERM el servicio pasa a `draining`:
+ *
+ * 1. Deja de consumir mensajes nuevos y espera a los handlers en curso
+ * 2. Espera a que se entreguen las publicaciones pendientes
+ * 3. Cierra el transporte y el servidor HTTP
+ *
+ * Los pasos 1 y 2 comparten el plazo SHUTDOWN_TIMEOUT. Mientras tanto el
+ * endpoint de disponibilidad responde 503 con `draining` para que el
+ * balanceador deje de enviar tráfico. Una segunda señal sale sin esperar.
+ */
+class ServiceLifecycle {
+  /**
+   * @param {Object} options - Opciones del ciclo de vida
+   * @param {string} options.serviceName - Nombre del servicio
+   * @param {Object} options.messageService - Objeto con drain(timeout), flush(timeout) y close()
+   * @param {number} options.timeout - Plazo del cierre en ms (por defecto SHUTDOWN_TIMEOUT o 10000)
+   */
+  constructor({ serviceName, messageService, timeout = DEFAULT_SHUTDOWN_TIMEOUT }) {
+    this.serviceName = serviceName;
+    this.messageService = messageService;
+    this.timeout = timeout;
+    this.state = 'starting'; // starting, ready, draining o stopped
+    this.server = null;
+    this.shutdownPromise = null;
+  }
+
+  /**
+   * Registra el servidor HTTP a cerrar y atiende las señales de cierre
+   * @param {http.Server} server - Servidor devuelto por app.listen (opcional)
+   */
+  handleShutdown(server = null) {
+    this.server = server;
+    lifecycles.add(this);
+
+    if (!signalsHandled) {
+      signalsHandled = true;
+      for (const signal of SHUTDOWN_SIGNALS) {
+        process.on(signal, () => shutdownAll(signal));
+      }
+    }
+  }
+
+  /**
+   * Marca el servicio como listo para recibir tráfico
+   */
+  markReady() {
+    if (this.state === 'starting') {
+      this.state = 'ready';
+    }
+  }
+
+  /**
+   * Handler de Express para el endpoint de disponibilidad
+   * @returns {Function} - (req, res) => void; 200 si está listo, 503 si no
+   */
+  readinessHandler() {
+    return (req, res) => {
+      res.status(this.state === 'ready' ? 200 : 503).json({
+        service: this.serviceName,
+        status: this.state
+      });
+    };
+  }
+
+  /**
+   * Cierra el servicio de forma ordenada. Las llamadas repetidas devuelven
+   * el mismo cierre en curso.
+   * @param {string} reason - Motivo del cierre (por ejemplo la señal recibida)
+   * @returns {Promise<boolean>} - true si no quedaron mensajes sin procesar ni publicar
+   */
+  shutdown(reason = 'cierre solicitado') {
+    if (!this.shutdownPromise) {
+      this.shutdownPromise = this.runShutdown(reason);
+    }
+    return this.shutdownPromise;
+  }
+
+  /**
+   * Ejecuta los pasos del cierre ordenado
+   * @param {string} reason - Motivo del cierre
+   * @returns {Promise<boolean>} - true si el cierre fue completo
+   */
+  async runShutdown(reason) {
+    this.state = 'draining';
+    const deadline = Date.now() + this.timeout;
+    const remaining = () => Math.max(deadline - Date.now(), 0);
+
+    console.log(`Cerrando ${this.serviceName} (${reason}), plazo de ${this.timeout} ms`);
+
+    let clean = true;
+    try {
+      const drained = await this.messageService.drain(remaining());
+      const flushed = await this.messageService.flush(remaining());
+      if (!flushed) {
+        console.warn(`${this.serviceName} cerró con publicaciones sin confirmar`);
+      }
+      clean = drained && flushed;
+
+      await this.messageService.close();
+    } catch (error) {
+      console.error(`Error cerrando la mensajería de ${this.serviceName}:`, error);
+      clean = false;
+    }
+
+    await this.closeServer();
+    this.state = 'stopped';
+    console.log(`${this.serviceName} cerrado`);
+    return clean;
+  }
+
+  /**
+   * Cierra el servidor HTTP, incluidas las conexiones keep-alive inactivas
+   */
+  async closeServer() {
+    if (!this.server || !this.server.listening) return;
+
+    await new Promise(resolve => {
+      this.server.close(() => resolve());
+      if (this.server.closeIdleConnections) this.server.closeIdleConnections();
+    });
+  }
+}
+
+/**
+ * Cierra todos los servicios del proceso y termina con código 0 si el
+ * cierre fue completo o 1 si no. Una segunda señal termina de inmediato.
+ * @param {string} signal - Señal recibida
+ */
+async function shutdownAll(signal) {
+  const running = [...lifecycles];
+
+  if (running.some(lifecycle => lifecycle.shutdownPromise)) {
+    console.warn(`${signal} recibido de nuevo: saliendo sin esperar el cierre ordenado`);
+    process.exit(1);
+  }
+
+  const results = await Promise.all(running.map(lifecycle => lifecycle.shutdown(signal)));
+  process.exit(results.every(Boolean) ? 0 : 1);
+}
+
+module.exports = ServiceLifecycle;
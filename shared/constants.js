@@ -17,6 +17,7 @@ const EVENTS = {
   INVENTORY_CHECK_FAILED: 'INVENTORY_CHECK_FAILED',
   INVENTORY_RESERVED: 'INVENTORY_RESERVED',
   INVENTORY_RELEASED: 'INVENTORY_RELEASED',
+  INVENTORY_STOCK_REQUESTED: 'INVENTORY_STOCK_REQUESTED',
   
   // Payment events
   PAYMENT_REQUESTED: 'PAYMENT_REQUESTED',
@@ -25,7 +26,10 @@ const EVENTS = {
   
   // Saga completion events
   ORDER_COMPLETED: 'ORDER_COMPLETED',
-  ORDER_CANCELLED: 'ORDER_CANCELLED'
+  ORDER_CANCELLED: 'ORDER_CANCELLED',
+  
+  // Saga events (topic saga.compensation.failed)
+  SAGA_COMPENSATION_FAILED: 'SAGA_COMPENSATION_FAILED'
 };
 
 module.exports = {
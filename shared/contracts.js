@@ -10,7 +10,10 @@
  * @property {string} queueName - Nombre de la cola de RabbitMQ para este servicio
  * @property {Array<string>} handles - Lista de eventos que este servicio puede manejar
  * @property {Array<string>} produces - Lista de eventos que este servicio puede producir
- * @property {Object} schema - Esquema de validación para los mensajes entrantes y salientes
+ * @property {Object} schema - Esquema de validación para los mensajes entrantes y salientes.
+ *   Por cada evento: `input` valida los datos que recibe el servicio y `output`
+ *   los que produce; `outputEvents` indica qué eventos producidos llevan esa salida.
+ *   MessageService los valida en tiempo de ejecución según CONTRACT_VALIDATION.
  * @property {Object} compensations - Mapeo de eventos a sus compensaciones
  */
 
@@ -33,6 +36,8 @@ const exampleServiceContract = {
           data: { type: 'object' }
         }
       },
+      // Eventos producidos cuyos datos cumplen el schema de salida
+      outputEvents: ['EVENT_RESULT_1', 'EVENT_RESULT_2'],
       // Schema para validación de datos de salida
       output: {
         type: 'object',
@@ -56,7 +61,7 @@ const exampleServiceContract = {
 const inventoryServiceContract = {
   name: 'inventory-service',
   queueName: 'inventory_service_queue',
-  handles: ['INVENTORY_CHECK_REQUESTED', 'INVENTORY_RESERVED', 'INVENTORY_RELEASED'],
+  handles: ['INVENTORY_CHECK_REQUESTED', 'INVENTORY_RESERVED', 'INVENTORY_RELEASED', 'INVENTORY_STOCK_REQUESTED'],
   produces: ['INVENTORY_CHECK_SUCCEEDED', 'INVENTORY_CHECK_FAILED'],
   schema: {
     INVENTORY_CHECK_REQUESTED: {
@@ -78,6 +83,8 @@ const inventoryServiceContract = {
           }
         }
       },
+      // Datos de los eventos que responden a la verificación
+      outputEvents: ['INVENTORY_CHECK_SUCCEEDED', 'INVENTORY_CHECK_FAILED'],
       output: {
         type: 'object',
         required: ['success'],
@@ -88,6 +95,37 @@ const inventoryServiceContract = {
           insufficientItems: { type: 'array' }
         }
       }
+    },
+    // Compensación de INVENTORY_CHECK_SUCCEEDED: el orquestador envía solo estos campos
+    INVENTORY_RELEASED: {
+      input: {
+        type: 'object',
+        required: ['orderId', 'reservationId'],
+        properties: {
+          orderId: { type: 'string' },
+          reservationId: { type: 'string' }
+        }
+      }
+    },
+    // Consulta request/reply: la salida es la respuesta a la petición
+    INVENTORY_STOCK_REQUESTED: {
+      input: {
+        type: 'object',
+        required: ['itemId'],
+        properties: {
+          itemId: { type: 'string' }
+        }
+      },
+      output: {
+        type: 'object',
+        required: ['success'],
+        properties: {
+          success: { type: 'boolean' },
+          itemId: { type: 'string' },
+          stock: { type: 'number' },
+          reason: { type: 'string' }
+        }
+      }
     }
   },
   compensations: {
@@ -114,6 +152,8 @@ const paymentServiceContract = {
           amount: { type: 'number' }
         }
       },
+      // Datos de los eventos que responden a la solicitud de pago
+      outputEvents: ['PAYMENT_SUCCEEDED', 'PAYMENT_FAILED'],
       output: {
         type: 'object',
         required: ['success'],
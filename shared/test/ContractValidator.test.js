@@ -0,0 +1,193 @@
+const assert = require('assert');
+
+// Los MessageService de las pruebas usan el transporte en memoria
+process.env.TRANSPORT_TYPE = 'memory';
+
+const MessageService = require('../MessageService');
+const ContractValidator = require('../ContractValidator');
+const MemoryBroker = require('../transport/MemoryBroker');
+const { QUEUES, EVENTS } = require('../constants');
+
+/**
+ * Pruebas de los modos de validación de contratos (CONTRACT_VALIDATION) con
+ * MessageService sobre un broker en memoria propio de cada caso.
+ */
+
+const VALID = { type: EVENTS.PAYMENT_REQUESTED, data: { orderId: 'o-1', customerId: 'c-1', amount: 10 } };
+// Sin `amount`, obligatorio en el esquema de entrada de payment-service
+const INVALID = { type: EVENTS.PAYMENT_REQUESTED, data: { orderId: 'o-2', customerId: 'c-1' } };
+
+const QUEUE = QUEUES.PAYMENT_SERVICE;
+
+/**
+ * Crea un MessageService con un modo de validación, conectado a un broker
+ * @param {string} serviceName - Nombre del servicio
+ * @param {MemoryBroker} broker - Broker del caso
+ * @param {string} mode - strict, warn u off
+ * @returns {Promise<MessageService>}
+ */
+async function connect(serviceName, broker, mode) {
+  const previous = process.env.CONTRACT_VALIDATION;
+  process.env.CONTRACT_VALIDATION = mode;
+  let messageService;
+  try {
+    messageService = new MessageService(serviceName);
+  } finally {
+    if (previous === undefined) {
+      delete process.env.CONTRACT_VALIDATION;
+    } else {
+      process.env.CONTRACT_VALIDATION = previous;
+    }
+  }
+
+  messageService.transport.setConfig({ broker });
+  await messageService.initialize();
+  return messageService;
+}
+
+/**
+ * Ejecuta el cuerpo con un publicador y un consumidor en los modos indicados
+ * y los cierra al terminar
+ * @param {Object} modes - { publisher, consumer }
+ * @param {Function} body - Recibe { broker, publisher, consumer }
+ */
+async function withServices(modes, body) {
+  const broker = new MemoryBroker();
+  const publisher = await connect('publisher', broker, modes.publisher);
+  const consumer = await connect('payment-service', broker, modes.consumer);
+  try {
+    await body({ broker, publisher, consumer });
+  } finally {
+    await publisher.close();
+    await consumer.close();
+    broker.reset();
+  }
+}
+
+/**
+ * Sustituye console.warn mientras se ejecuta el cuerpo
+ * @param {Function} body - Cuerpo asíncrono
+ * @returns {Promise<string[]>} - Avisos registrados
+ */
+async function captureWarnings(body) {
+  const warnings = [];
+  const warn = console.warn;
+  console.warn = (...args) => warnings.push(args.join(' '));
+  try {
+    await body();
+  } finally {
+    console.warn = warn;
+  }
+  return warnings;
+}
+
+module.exports = [
+  {
+    name: 'en modo strict publicar un mensaje que incumple el contrato falla sin enviarlo',
+    async run(t) {
+      await withServices({ publisher: 'strict', consumer: 'strict' }, async ({ publisher, consumer }) => {
+        const received = [];
+        await consumer.subscribe(QUEUE, content => { received.push(content); });
+
+        await assert.rejects(publisher.publish(QUEUE, INVALID), (error) => {
+          assert.strictEqual(error.code, 'CONTRACT_VIOLATION');
+          assert.strictEqual(error.retryable, false);
+          assert.match(error.message, /payment-service PAYMENT_REQUESTED\.input: \/ must have required property 'amount'/);
+          return true;
+        });
+
+        await publisher.publish(QUEUE, VALID);
+        await t.waitFor(() => received.length === 1, 'el mensaje válido');
+        assert.deepStrictEqual(received[0].data, VALID.data);
+      });
+    }
+  },
+
+  {
+    name: 'en modo strict un mensaje inválido recibido va a la cola de mensajes muertos sin reintentos',
+    async run(t) {
+      // El publicador no valida: el consumidor es el que lo detecta
+      await withServices({ publisher: 'off', consumer: 'strict' }, async ({ publisher, consumer }) => {
+        const handled = [];
+        const deadLetters = [];
+        await consumer.subscribe(QUEUE, content => { handled.push(content); }, {
+          retry: { maxAttempts: 3, delays: [10] }
+        });
+        await publisher.subscribe(`${QUEUE}.dlq`, (content, message) => {
+          deadLetters.push({ content, headers: message.properties.headers });
+        });
+
+        await publisher.publish(QUEUE, INVALID);
+        await t.waitFor(() => deadLetters.length === 1, 'el mensaje en la cola de mensajes muertos');
+
+        assert.strictEqual(handled.length, 0);
+        assert.deepStrictEqual(deadLetters[0].content.data, INVALID.data);
+        assert.strictEqual(deadLetters[0].headers['x-attempts'], 1);
+        assert.match(deadLetters[0].headers['x-death-reason'], /incumple el contrato/);
+
+        // Tiempo para un reintento que no debe producirse
+        await t.sleep(50);
+        assert.strictEqual(handled.length, 0);
+        assert.strictEqual(deadLetters.length, 1);
+      });
+    }
+  },
+
+  {
+    name: 'en modo warn un mensaje inválido se avisa al enviarlo y al recibirlo, y se entrega',
+    async run(t) {
+      await withServices({ publisher: 'warn', consumer: 'warn' }, async ({ publisher, consumer }) => {
+        const received = [];
+        await consumer.subscribe(QUEUE, content => { received.push(content); });
+
+        const warnings = await captureWarnings(async () => {
+          await publisher.publish(QUEUE, INVALID);
+          await t.waitFor(() => received.length === 1, 'el mensaje inválido');
+        });
+
+        assert.deepStrictEqual(received[0].data, INVALID.data);
+        assert.strictEqual(warnings.length, 2);
+        assert.match(warnings[0], /^\[contratos\] Mensaje PAYMENT_REQUESTED enviado a payment_service_queue incumple el contrato/);
+        assert.match(warnings[1], /^\[contratos\] Mensaje PAYMENT_REQUESTED recibido de payment_service_queue incumple el contrato/);
+      });
+    }
+  },
+
+  {
+    name: 'en modo off no se compila ningún esquema ni se valida, y el mensaje se entrega',
+    async run(t) {
+      await withServices({ publisher: 'off', consumer: 'off' }, async ({ publisher, consumer }) => {
+        let compiled = 0;
+        for (const messageService of [publisher, consumer]) {
+          messageService.contracts.ajv.compile = () => {
+            compiled++;
+            throw new Error('no se debe compilar en modo off');
+          };
+        }
+        const received = [];
+        await consumer.subscribe(QUEUE, content => { received.push(content); });
+
+        const warnings = await captureWarnings(async () => {
+          await publisher.publish(QUEUE, INVALID);
+          await t.waitFor(() => received.length === 1, 'el mensaje inválido');
+        });
+
+        assert.deepStrictEqual(received[0].data, INVALID.data);
+        assert.strictEqual(compiled, 0);
+        assert.deepStrictEqual(warnings, []);
+      });
+
+      // El validador en modo off tampoco compila si se le llama directamente
+      const validator = new ContractValidator({ mode: 'off', contracts: [] });
+      validator.ajv.compile = () => assert.fail('no se debe compilar en modo off');
+      validator.check(QUEUE, INVALID, 'enviado a');
+    }
+  },
+
+  {
+    name: 'un modo de validación desconocido se rechaza al crear el validador',
+    async run() {
+      assert.throws(() => new ContractValidator({ mode: 'estricto' }), /Modo de validación de contratos desconocido: estricto/);
+    }
+  }
+];
@@ -0,0 +1,121 @@
+const assert = require('assert');
+const { PROTOCOL_VERSION, MAX_FRAME_SIZE, encodeFrame, FrameDecoder } = require('../transport/FrameCodec');
+
+/**
+ * Pruebas del protocolo de tramas del transporte TCP: codificación,
+ * reensamblado de fragmentos y rechazo de tramas inválidas.
+ */
+
+const MESSAGE = { type: 'MESSAGE', messageId: 'm-1', content: { orderId: 'orden-ñ-1', total: 99.95 } };
+
+module.exports = [
+  {
+    name: 'una trama sin cuerpo se codifica en la versión 1 y se decodifica intacta',
+    async run() {
+      const frame = encodeFrame(MESSAGE);
+
+      assert.strictEqual(frame.readUInt8(0), 1);
+      assert.strictEqual(frame.readUInt32BE(1), frame.length - 5);
+      assert.deepStrictEqual(new FrameDecoder().push(frame), [MESSAGE]);
+    }
+  },
+
+  {
+    name: 'una trama con cuerpo se codifica en la versión 2 y conserva el cuerpo binario',
+    async run() {
+      const body = Buffer.from([0, 1, 2, 255, 254]);
+      const frame = encodeFrame({ type: 'MESSAGE', contentType: 'application/msgpack' }, body);
+
+      assert.strictEqual(frame.readUInt8(0), PROTOCOL_VERSION);
+
+      const [decoded] = new FrameDecoder().push(frame);
+      assert.strictEqual(decoded.type, 'MESSAGE');
+      assert.strictEqual(decoded.contentType, 'application/msgpack');
+      assert.ok(Buffer.isBuffer(decoded.body));
+      assert.ok(decoded.body.equals(body));
+    }
+  },
+
+  {
+    name: 'una trama que llega en fragmentos se devuelve al completarse',
+    async run() {
+      const frame = encodeFrame(MESSAGE, Buffer.from('cuerpo'));
+      const decoder = new FrameDecoder();
+      const messages = [];
+
+      // Un byte por fragmento, incluida la cabecera partida
+      for (let offset = 0; offset < frame.length; offset++) {
+        const received = decoder.push(frame.subarray(offset, offset + 1));
+        if (offset < frame.length - 1) {
+          assert.deepStrictEqual(received, []);
+        }
+        messages.push(...received);
+      }
+
+      assert.strictEqual(messages.length, 1);
+      assert.strictEqual(messages[0].messageId, 'm-1');
+      assert.strictEqual(messages[0].body.toString(), 'cuerpo');
+    }
+  },
+
+  {
+    name: 'varias tramas en un mismo fragmento se devuelven en orden',
+    async run() {
+      const first = encodeFrame({ ...MESSAGE, messageId: 'm-1' });
+      const second = encodeFrame({ ...MESSAGE, messageId: 'm-2' }, Buffer.from('dos'));
+      const third = encodeFrame({ ...MESSAGE, messageId: 'm-3' });
+      const decoder = new FrameDecoder();
+
+      // Las dos primeras completas y la tercera partida entre dos fragmentos
+      const joined = Buffer.concat([first, second, third]);
+      const cut = first.length + second.length + 3;
+
+      const messages = decoder.push(joined.subarray(0, cut));
+      assert.deepStrictEqual(messages.map(message => message.messageId), ['m-1', 'm-2']);
+      assert.strictEqual(messages[1].body.toString(), 'dos');
+
+      assert.deepStrictEqual(decoder.push(joined.subarray(cut)).map(message => message.messageId), ['m-3']);
+    }
+  },
+
+  {
+    name: 'una trama mayor que el máximo se rechaza sin esperar su payload',
+    async run() {
+      const decoder = new FrameDecoder({ maxFrameSize: 64 });
+      const header = Buffer.alloc(5);
+      header.writeUInt8(1, 0);
+      header.writeUInt32BE(65, 1);
+
+      assert.throws(() => decoder.push(header), /Trama demasiado grande: 65 bytes \(máximo 64\)/);
+    }
+  },
+
+  {
+    name: 'encodeFrame rechaza un mensaje mayor que MAX_FRAME_SIZE',
+    async run() {
+      const body = Buffer.alloc(MAX_FRAME_SIZE);
+      assert.throws(() => encodeFrame({ type: 'MESSAGE' }, body), /excede el tamaño máximo de trama/);
+    }
+  },
+
+  {
+    name: 'una versión de protocolo desconocida se rechaza',
+    async run() {
+      const frame = encodeFrame(MESSAGE);
+      frame.writeUInt8(PROTOCOL_VERSION + 1, 0);
+
+      assert.throws(() => new FrameDecoder().push(frame), /Versión de protocolo no soportada/);
+    }
+  },
+
+  {
+    name: 'una trama de versión 2 con una longitud de campos imposible se rechaza',
+    async run() {
+      const frame = encodeFrame(MESSAGE, Buffer.from('cuerpo'));
+      // La longitud de los campos va justo después de la cabecera
+      frame.writeUInt32BE(frame.length, 5);
+
+      assert.throws(() => new FrameDecoder().push(frame), /Longitud de campos inválida/);
+    }
+  }
+];
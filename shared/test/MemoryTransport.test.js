@@ -0,0 +1,96 @@
+const assert = require('assert');
+const MemoryBroker = require('../transport/MemoryBroker');
+const MemoryTransport = require('../transport/MemoryTransport');
+
+/**
+ * Pruebas del transporte en memoria: mensajes ilegibles recibidos por un
+ * consumidor.
+ */
+
+const QUEUE = 'cola_ilegible';
+
+/**
+ * Ejecuta el cuerpo con un transporte conectado a un broker propio
+ * @param {Function} body - Recibe { broker, transport }
+ */
+async function withTransport(body) {
+  const broker = new MemoryBroker();
+  const transport = new MemoryTransport();
+  transport.setConfig({ broker });
+  await transport.initialize();
+  try {
+    await body({ broker, transport });
+  } finally {
+    await transport.close();
+    broker.reset();
+  }
+}
+
+/**
+ * Sustituye console.error mientras se ejecuta el cuerpo
+ * @param {Function} body - Cuerpo asíncrono, recibe los errores registrados hasta el momento
+ * @returns {Promise<string[]>} - Errores registrados
+ */
+async function captureErrors(body) {
+  const errors = [];
+  const error = console.error;
+  console.error = (...args) => errors.push(args.map(String).join(' '));
+  try {
+    await body(errors);
+  } finally {
+    console.error = error;
+  }
+  return errors;
+}
+
+module.exports = [
+  {
+    name: 'un mensaje ilegible va a la cola de mensajes muertos sin llegar al handler',
+    async run(t) {
+      await withTransport(async ({ broker, transport }) => {
+        const handled = [];
+        await transport.subscribe(QUEUE, content => { handled.push(content); });
+
+        await captureErrors(async () => {
+          broker.publish(QUEUE, Buffer.from('{ no es json'), { contentType: 'application/json' });
+          await t.waitFor(() => broker.queues.get(`${QUEUE}.dlq`)?.messages.length === 1, 'el mensaje descartado');
+        });
+
+        const [deadLetter] = broker.queues.get(`${QUEUE}.dlq`).messages;
+        assert.strictEqual(handled.length, 0);
+        assert.strictEqual(deadLetter.properties.headers['x-attempts'], 1);
+        assert.strictEqual(deadLetter.properties.headers['x-original-queue'], QUEUE);
+        assert.match(deadLetter.properties.headers['x-death-reason'], /^Mensaje ilegible: /);
+      });
+    }
+  },
+
+  {
+    name: 'si no se puede descartar un mensaje ilegible el error se registra en vez de quedar sin capturar',
+    async run(t) {
+      const unhandled = [];
+      const onUnhandled = reason => unhandled.push(reason);
+      process.on('unhandledRejection', onUnhandled);
+
+      try {
+        await withTransport(async ({ broker, transport }) => {
+          await transport.subscribe(QUEUE, () => assert.fail('no se debe entregar'));
+          transport.deadLetter = async () => { throw new Error('broker no disponible'); };
+
+          const errors = await captureErrors(async (logged) => {
+            broker.publish(QUEUE, Buffer.from('{ no es json'), { contentType: 'application/json' });
+            await t.waitFor(() => logged.length === 2, 'el error del descarte');
+          });
+
+          assert.match(errors[0], new RegExp(`^Error procesando mensaje de ${QUEUE}:`));
+          assert.match(errors[1], new RegExp(`^Error descartando mensaje de ${QUEUE}: Error: broker no disponible`));
+        });
+        // Una vuelta más para que Node notifique los rechazos sin capturar
+        await t.sleep(10);
+        assert.deepStrictEqual(unhandled, []);
+      } finally {
+        process.removeListener('unhandledRejection', onUnhandled);
+      }
+    }
+  }
+];
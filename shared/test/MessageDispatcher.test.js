@@ -0,0 +1,160 @@
+const assert = require('assert');
+const MessageDispatcher = require('../MessageDispatcher');
+
+/**
+ * Pruebas del despachador de las suscripciones: límite de concurrencia y
+ * orden por clave.
+ */
+
+/**
+ * Tarea que registra cuándo empieza y termina solo cuando se libera a mano
+ * @param {string} name - Nombre de la tarea en el registro
+ * @param {string[]} events - Registro compartido de inicios y fines
+ * @returns {Object} - { task, finish(), fail(error) }
+ */
+function controlledTask(name, events) {
+  let finish;
+  let fail;
+  const done = new Promise((resolve, reject) => {
+    finish = resolve;
+    fail = reject;
+  });
+
+  return {
+    task: async () => {
+      events.push(`inicio ${name}`);
+      try {
+        return await done;
+      } finally {
+        events.push(`fin ${name}`);
+      }
+    },
+    finish: value => finish(value),
+    fail: error => fail(error)
+  };
+}
+
+// Deja que se ejecuten las continuaciones de las promesas ya resueltas
+const flush = () => new Promise(resolve => setImmediate(resolve));
+
+module.exports = [
+  {
+    name: 'no ejecuta más tareas a la vez que maxInFlight',
+    async run() {
+      const dispatcher = new MessageDispatcher({ maxInFlight: 2 });
+      const events = [];
+      const tasks = ['a', 'b', 'c'].map(name => controlledTask(name, events));
+      const results = tasks.map(({ task }) => dispatcher.run(null, task));
+
+      await flush();
+      assert.deepStrictEqual(events, ['inicio a', 'inicio b']);
+      assert.strictEqual(dispatcher.inFlight, 2);
+      assert.strictEqual(dispatcher.size, 3);
+
+      tasks[1].finish('b');
+      await flush();
+      assert.deepStrictEqual(events, ['inicio a', 'inicio b', 'fin b', 'inicio c']);
+
+      tasks[0].finish('a');
+      tasks[2].finish('c');
+      assert.deepStrictEqual(await Promise.all(results), ['a', 'b', 'c']);
+    }
+  },
+
+  {
+    name: 'las tareas de una misma clave se ejecutan de una en una y en orden de llegada',
+    async run() {
+      const dispatcher = new MessageDispatcher({ maxInFlight: 10 });
+      const events = [];
+      const first = controlledTask('o1-1', events);
+      const second = controlledTask('o1-2', events);
+      const third = controlledTask('o1-3', events);
+
+      dispatcher.run('o1', first.task);
+      dispatcher.run('o1', second.task);
+      const last = dispatcher.run('o1', third.task);
+
+      await flush();
+      assert.deepStrictEqual(events, ['inicio o1-1']);
+
+      first.finish();
+      await flush();
+      second.finish();
+      await flush();
+      third.finish();
+      await last;
+
+      assert.deepStrictEqual(events, ['inicio o1-1', 'fin o1-1', 'inicio o1-2', 'fin o1-2', 'inicio o1-3', 'fin o1-3']);
+    }
+  },
+
+  {
+    name: 'una clave ocupada no bloquea a las demás claves ni a las tareas sin clave',
+    async run() {
+      const dispatcher = new MessageDispatcher({ maxInFlight: 10 });
+      const events = [];
+      const busy = controlledTask('o1-1', events);
+      const waiting = controlledTask('o1-2', events);
+      const other = controlledTask('o2-1', events);
+      const unkeyed = controlledTask('sin-clave', events);
+
+      dispatcher.run('o1', busy.task);
+      dispatcher.run('o1', waiting.task);
+      dispatcher.run('o2', other.task);
+      dispatcher.run(null, unkeyed.task);
+
+      await flush();
+      assert.deepStrictEqual(events, ['inicio o1-1', 'inicio o2-1', 'inicio sin-clave']);
+
+      [busy, waiting, other, unkeyed].forEach(task => task.finish());
+      await dispatcher.onIdle();
+    }
+  },
+
+  {
+    name: 'una tarea que falla rechaza su promesa y libera la clave',
+    async run() {
+      const dispatcher = new MessageDispatcher({ maxInFlight: 1 });
+      const events = [];
+      const failing = controlledTask('falla', events);
+      const next = controlledTask('siguiente', events);
+
+      const failed = dispatcher.run('o1', failing.task);
+      const following = dispatcher.run('o1', next.task);
+
+      failing.fail(new Error('handler roto'));
+      await assert.rejects(failed, /handler roto/);
+
+      next.finish('ok');
+      assert.strictEqual(await following, 'ok');
+      await dispatcher.onIdle();
+      assert.strictEqual(dispatcher.keyQueues.size, 0);
+      assert.strictEqual(dispatcher.size, 0);
+    }
+  },
+
+  {
+    name: 'onIdle espera a que terminen las tareas en curso y en espera',
+    async run() {
+      const dispatcher = new MessageDispatcher({ maxInFlight: 1 });
+      const events = [];
+      const first = controlledTask('a', events);
+      const second = controlledTask('b', events);
+      let idle = false;
+
+      await dispatcher.onIdle();
+
+      dispatcher.run('k', first.task);
+      dispatcher.run('k', second.task);
+      const waiting = dispatcher.onIdle().then(() => { idle = true; });
+
+      first.finish();
+      await flush();
+      assert.strictEqual(idle, false);
+
+      second.finish();
+      await waiting;
+      assert.deepStrictEqual(events, ['inicio a', 'fin a', 'inicio b', 'fin b']);
+    }
+  }
+];
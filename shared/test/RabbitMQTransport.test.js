@@ -0,0 +1,106 @@
+const assert = require('assert');
+const RabbitMQTransport = require('../transport/RabbitMQTransport');
+
+/**
+ * Pruebas de la declaración de colas del transporte RabbitMQ con canales
+ * falsos: la suite de conformidad cubre el resto con un broker real.
+ */
+
+/**
+ * Canal falso de amqplib que registra las llamadas
+ * @param {Object} [options]
+ * @param {Error} [options.assertError] - Error con el que falla assertQueue
+ * @returns {Object} - Canal con `calls`
+ */
+function fakeChannel({ assertError } = {}) {
+  const calls = [];
+
+  return {
+    calls,
+    on() {},
+    async assertQueue(queue, options) {
+      calls.push(['assertQueue', queue, options]);
+      if (assertError && options.arguments) throw assertError;
+      return { queue };
+    },
+    async checkQueue(queue) {
+      calls.push(['checkQueue', queue]);
+      return { queue };
+    },
+    async bindQueue(queue, exchange, routingKey) {
+      calls.push(['bindQueue', queue, exchange, routingKey]);
+    },
+    async close() {
+      calls.push(['close']);
+    }
+  };
+}
+
+/**
+ * Transporte con una conexión falsa que abre el canal de prueba indicado
+ * @param {Object} probe - Canal que devuelve createChannel
+ * @returns {RabbitMQTransport}
+ */
+function createTransport(probe) {
+  const transport = new RabbitMQTransport();
+  transport.setConfig({ exchange: null, maxPriority: 9 });
+  transport.connection = { createChannel: async () => probe };
+  return transport;
+}
+
+// Error de amqplib cuando una cola existe con otros argumentos
+function preconditionFailed() {
+  const error = new Error('Channel closed by server: 406 (PRECONDITION-FAILED)');
+  error.code = 406;
+  return error;
+}
+
+module.exports = [
+  {
+    name: 'una cola nueva se declara con prioridad y dead-lettering en un canal aparte',
+    async run() {
+      const channel = fakeChannel();
+      const probe = fakeChannel();
+
+      await createTransport(probe).assertQueue(channel, 'pagos', 'pagos');
+
+      assert.deepStrictEqual(channel.calls, [['assertQueue', 'pagos.dlq', { durable: true }]]);
+      assert.deepStrictEqual(probe.calls, [
+        ['assertQueue', 'pagos', {
+          durable: true,
+          arguments: { 'x-dead-letter-exchange': '', 'x-dead-letter-routing-key': 'pagos.dlq', 'x-max-priority': 9 }
+        }],
+        ['close']
+      ]);
+    }
+  },
+
+  {
+    name: 'una cola existente con otros argumentos se usa tal como está en lugar de cerrar el canal',
+    async run() {
+      const channel = fakeChannel();
+      const probe = fakeChannel({ assertError: preconditionFailed() });
+
+      await createTransport(probe).assertQueue(channel, 'pagos', 'pagos');
+
+      assert.deepStrictEqual(channel.calls, [
+        ['assertQueue', 'pagos.dlq', { durable: true }],
+        ['checkQueue', 'pagos']
+      ]);
+      assert.deepStrictEqual(probe.calls.map(([call]) => call), ['assertQueue', 'close']);
+    }
+  },
+
+  {
+    name: 'otros errores de la declaración se propagan',
+    async run() {
+      const error = new Error('Channel closed by server: 403 (ACCESS-REFUSED)');
+      error.code = 403;
+      const channel = fakeChannel();
+      const probe = fakeChannel({ assertError: error });
+
+      await assert.rejects(createTransport(probe).assertQueue(channel, 'pagos', 'pagos'), /ACCESS-REFUSED/);
+      assert.deepStrictEqual(channel.calls.map(([call]) => call), ['assertQueue']);
+    }
+  }
+];
@@ -0,0 +1,137 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const TCPTransport = require('../transport/TCPTransport');
+
+/**
+ * Pruebas de la persistencia del outbox del transporte TCP (TCP_OUTBOX_DIR):
+ * los cambios se agrupan en escrituras asíncronas y un reinicio recupera los
+ * mensajes sin confirmar.
+ */
+
+/**
+ * Crea un transporte con el outbox y el registro en una carpeta temporal
+ * @param {string} directory - Carpeta temporal de la prueba
+ * @returns {TCPTransport} - Transporte sin inicializar, con `writes` contando las escrituras
+ */
+function createTransport(directory) {
+  const transport = new TCPTransport();
+  transport.setConfig({
+    outboxDir: path.join(directory, 'outbox'),
+    registryDir: path.join(directory, 'registry'),
+    reconnectDelay: 60000
+  });
+  transport.serviceName = 'outbox-test';
+  transport.writes = 0;
+
+  const writeOutbox = transport.writeOutbox.bind(transport);
+  transport.writeOutbox = () => {
+    transport.writes++;
+    return writeOutbox();
+  };
+  return transport;
+}
+
+/**
+ * Lee los ids guardados en el archivo del outbox
+ * @param {TCPTransport} transport - Transporte
+ * @returns {string[]}
+ */
+function storedIds(transport) {
+  return JSON.parse(fs.readFileSync(transport.getOutboxPath(), 'utf8')).map(entry => entry.id);
+}
+
+/**
+ * Ejecuta el cuerpo con una carpeta temporal que se elimina al terminar
+ * @param {Function} body - Recibe la ruta de la carpeta
+ */
+async function withDirectory(body) {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'tcp-outbox-'));
+  try {
+    await body(directory);
+  } finally {
+    fs.rmSync(directory, { recursive: true, force: true });
+  }
+}
+
+// Entrada mínima del outbox
+const entry = id => ({ id, channel: 'cola', content: { type: 'PRUEBA', data: { id } }, headers: {}, attempts: 0 });
+
+module.exports = [
+  {
+    name: 'los cambios de una misma vuelta del bucle se guardan en una sola escritura',
+    async run() {
+      await withDirectory(async (directory) => {
+        const transport = createTransport(directory);
+        const persisted = [];
+
+        for (let index = 0; index < 100; index++) {
+          transport.outbox.set(`m-${index}`, entry(`m-${index}`));
+          persisted.push(transport.persistOutbox());
+        }
+        // Un ACK en la misma vuelta
+        transport.outbox.delete('m-0');
+        persisted.push(transport.persistOutbox());
+
+        assert.strictEqual(transport.writes, 0);
+        await Promise.all(persisted);
+
+        assert.strictEqual(transport.writes, 1);
+        assert.strictEqual(storedIds(transport).length, 99);
+        assert.ok(!storedIds(transport).includes('m-0'));
+      });
+    }
+  },
+
+  {
+    name: 'los cambios que llegan durante una escritura se guardan juntos en la siguiente',
+    async run() {
+      await withDirectory(async (directory) => {
+        const transport = createTransport(directory);
+
+        transport.outbox.set('m-1', entry('m-1'));
+        const first = transport.persistOutbox();
+        // Esperar a que empiece la primera escritura
+        await new Promise(resolve => setImmediate(resolve));
+        assert.strictEqual(transport.writes, 1);
+
+        transport.outbox.set('m-2', entry('m-2'));
+        const second = transport.persistOutbox();
+        transport.outbox.set('m-3', entry('m-3'));
+        const third = transport.persistOutbox();
+
+        assert.strictEqual(second, third);
+        await Promise.all([first, second, third]);
+
+        assert.strictEqual(transport.writes, 2);
+        assert.deepStrictEqual(storedIds(transport), ['m-1', 'm-2', 'm-3']);
+      });
+    }
+  },
+
+  {
+    name: 'publish termina con el mensaje en disco y un transporte nuevo lo recupera',
+    async run() {
+      await withDirectory(async (directory) => {
+        const publisher = createTransport(directory);
+        await publisher.initialize('outbox-test');
+        // Ninguna instancia atiende la cola: el mensaje se queda en el outbox
+        await publisher.publish('cola-sin-instancias', { type: 'PRUEBA', data: { orderId: 'o-1' } });
+
+        assert.strictEqual(storedIds(publisher).length, 1);
+        await publisher.close();
+
+        const restarted = createTransport(directory);
+        await restarted.initialize('outbox-test');
+        try {
+          const [restored] = [...restarted.outbox.values()];
+          assert.deepStrictEqual(restored.content, { type: 'PRUEBA', data: { orderId: 'o-1' } });
+          assert.strictEqual(restored.redelivered, true);
+        } finally {
+          await restarted.close();
+        }
+      });
+    }
+  }
+];
@@ -0,0 +1,188 @@
+const assert = require('assert');
+const zlib = require('zlib');
+const MemoryBroker = require('../transport/MemoryBroker');
+const MemoryTransport = require('../transport/MemoryTransport');
+const { MAX_FRAME_SIZE } = require('../transport/FrameCodec');
+const { serializationFromEnv, resolveSerialization, encode, decode } = require('../transport/codecs');
+
+/**
+ * Pruebas de los códecs de los mensajes: serialización, compresión por cola
+ * (MESSAGE_QUEUE_CODECS) y límite de tamaño al descomprimir.
+ */
+
+const MESSAGE = {
+  type: 'ORDER_CREATED',
+  data: { orderId: 'orden-ñ-1', items: [{ id: 'item-1', quantity: 2 }], totalAmount: 99.95, paid: false, note: null }
+};
+
+/**
+ * Ejecuta el cuerpo con variables de entorno y las restaura al terminar
+ * @param {Object} variables - Valores por nombre (undefined elimina la variable)
+ * @param {Function} body - Cuerpo síncrono o asíncrono
+ */
+async function withEnv(variables, body) {
+  const previous = {};
+  for (const [name, value] of Object.entries(variables)) {
+    previous[name] = process.env[name];
+    if (value === undefined) {
+      delete process.env[name];
+    } else {
+      process.env[name] = value;
+    }
+  }
+
+  try {
+    return await body();
+  } finally {
+    for (const [name, value] of Object.entries(previous)) {
+      if (value === undefined) {
+        delete process.env[name];
+      } else {
+        process.env[name] = value;
+      }
+    }
+  }
+}
+
+const QUEUE_RULES = {
+  MESSAGE_CODEC: undefined,
+  MESSAGE_COMPRESSION: undefined,
+  MESSAGE_QUEUE_CODECS: 'order_service_queue=msgpack+gzip, payment_service_queue = json+deflate,inventory_service_queue=msgpack'
+};
+
+module.exports = [
+  {
+    name: 'msgpack decodifica el mismo mensaje y conserva las fechas como Date',
+    async run() {
+      const createdAt = new Date('2024-05-01T10:00:00.000Z');
+      const encoded = encode({ ...MESSAGE, createdAt }, { codec: 'msgpack' });
+
+      assert.strictEqual(encoded.contentType, 'application/msgpack');
+      assert.strictEqual(encoded.contentEncoding, undefined);
+      assert.ok(encoded.content.length < Buffer.byteLength(JSON.stringify(MESSAGE)));
+
+      const decoded = decode(encoded.content, encoded);
+      assert.ok(decoded.createdAt instanceof Date);
+      assert.strictEqual(decoded.createdAt.getTime(), createdAt.getTime());
+      assert.deepStrictEqual({ ...decoded, createdAt: undefined }, { ...MESSAGE, createdAt: undefined });
+    }
+  },
+
+  {
+    name: 'un mensaje sin contentType se lee como JSON sin comprimir',
+    async run() {
+      const content = Buffer.from(JSON.stringify(MESSAGE));
+      assert.deepStrictEqual(decode(content, {}), MESSAGE);
+      assert.deepStrictEqual(decode(content), MESSAGE);
+    }
+  },
+
+  {
+    name: 'gzip y deflate comprimen con su formato y se descomprimen según contentEncoding',
+    async run() {
+      for (const [compression, check] of [
+        ['gzip', content => content[0] === 0x1f && content[1] === 0x8b],
+        ['deflate', content => zlib.inflateSync(content).length > 0]
+      ]) {
+        for (const codec of ['json', 'msgpack']) {
+          const encoded = encode(MESSAGE, { codec, compression });
+          assert.strictEqual(encoded.contentEncoding, compression);
+          assert.ok(check(encoded.content), `${codec}+${compression} no tiene el formato de ${compression}`);
+          assert.deepStrictEqual(decode(encoded.content, encoded), MESSAGE);
+        }
+      }
+    }
+  },
+
+  {
+    name: 'MESSAGE_QUEUE_CODECS elige el códec y la compresión de cada cola',
+    async run() {
+      const serialization = await withEnv(QUEUE_RULES, () => serializationFromEnv());
+
+      assert.deepStrictEqual(serialization, {
+        codec: 'json',
+        compression: null,
+        queues: {
+          order_service_queue: { codec: 'msgpack', compression: 'gzip' },
+          payment_service_queue: { codec: 'json', compression: 'deflate' },
+          inventory_service_queue: { codec: 'msgpack', compression: null }
+        }
+      });
+      assert.deepStrictEqual(resolveSerialization(serialization, 'order_service_queue'), { codec: 'msgpack', compression: 'gzip' });
+      assert.deepStrictEqual(resolveSerialization(serialization, 'payment_service_queue'), { codec: 'json', compression: 'deflate' });
+      assert.deepStrictEqual(resolveSerialization(serialization, 'orchestrator_queue'), { codec: 'json', compression: null });
+    }
+  },
+
+  {
+    name: 'el transporte publica cada cola con el formato de su regla y lo anuncia en el mensaje',
+    async run() {
+      const broker = new MemoryBroker();
+      const transport = await withEnv(QUEUE_RULES, () => new MemoryTransport());
+      transport.setConfig({ broker });
+      await transport.initialize();
+
+      try {
+        const queues = ['order_service_queue', 'payment_service_queue', 'orchestrator_queue'];
+        for (const queue of queues) {
+          await transport.createQueue(queue);
+          await transport.publish(queue, MESSAGE);
+        }
+
+        const formats = queues.map((queue) => {
+          const [message] = broker.queues.get(queue).messages;
+          assert.deepStrictEqual(decode(message.content, message.properties), MESSAGE);
+          return [message.properties.contentType, message.properties.contentEncoding];
+        });
+        assert.deepStrictEqual(formats, [
+          ['application/msgpack', 'gzip'],
+          ['application/json', 'deflate'],
+          ['application/json', undefined]
+        ]);
+      } finally {
+        await transport.close();
+        broker.reset();
+      }
+    }
+  },
+
+  {
+    name: 'una regla mal formada o con un códec o una compresión desconocidos se rechaza al leer la configuración',
+    async run() {
+      for (const [rules, expected] of [
+        ['order_service_queue', /Códec por cola inválido en MESSAGE_QUEUE_CODECS: "order_service_queue" \(use cola=códec\[\+compresión\]\)/],
+        ['order_service_queue=avro', /Códec desconocido en MESSAGE_QUEUE_CODECS \(order_service_queue\): "avro" \(disponibles: json, msgpack/],
+        ['order_service_queue=json+brotli', /Compresión desconocida en MESSAGE_QUEUE_CODECS \(order_service_queue\): "brotli" \(disponibles: gzip, deflate\)/]
+      ]) {
+        await withEnv({ MESSAGE_QUEUE_CODECS: rules }, () => {
+          assert.throws(() => serializationFromEnv(), expected);
+        });
+      }
+
+      await withEnv({ MESSAGE_QUEUE_CODECS: undefined, MESSAGE_COMPRESSION: 'zip' }, () => {
+        assert.throws(() => serializationFromEnv(), /Compresión desconocida en MESSAGE_CODEC\/MESSAGE_COMPRESSION: "zip"/);
+      });
+    }
+  },
+
+  {
+    name: 'un mensaje que descomprimido supera el tamaño máximo de trama se rechaza',
+    async run() {
+      // Unos pocos KB comprimidos que se expanden más allá del límite
+      const bomb = Buffer.alloc(MAX_FRAME_SIZE + 1);
+
+      for (const [contentEncoding, compress] of [['gzip', zlib.gzipSync], ['deflate', zlib.deflateSync]]) {
+        const content = compress(bomb);
+        assert.ok(content.length < 64 * 1024);
+        assert.throws(
+          () => decode(content, { contentType: 'application/json', contentEncoding }),
+          new RegExp(`Mensaje descomprimido demasiado grande \\(máximo ${MAX_FRAME_SIZE} bytes\\)`)
+        );
+      }
+
+      // Justo en el límite se descomprime: el error es ya del JSON, no del tamaño
+      const atLimit = zlib.gzipSync(Buffer.alloc(MAX_FRAME_SIZE));
+      assert.throws(() => decode(atLimit, { contentType: 'application/json', contentEncoding: 'gzip' }), SyntaxError);
+    }
+  }
+];
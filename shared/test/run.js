@@ -0,0 +1,124 @@
+#!/usr/bin/env node
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Ejecuta las pruebas unitarias:
+ *
+ *   node test/run.js [archivo.test.js | directorio ...] [--verbose]
+ *
+ * Sin argumentos ejecuta los `*.test.js` de este directorio. Cada archivo
+ * exporta una lista de casos `{ name, async run(t) }`, como los de la suite
+ * de conformidad (transport/conformance/cases.js), que fallan lanzando un
+ * error de `assert`. El contexto `t` ofrece `sleep(ms)` y
+ * `waitFor(condición, descripción)`. Los logs se ocultan salvo con
+ * --verbose. Termina con código 1 si algún caso falla.
+ */
+
+// Milisegundos máximos por caso y por espera de waitFor
+const CASE_TIMEOUT = 10000;
+
+/**
+ * Lista los archivos de prueba indicados en los argumentos
+ * @param {string[]} targets - Archivos o directorios (relativos al directorio actual)
+ * @returns {string[]} - Rutas absolutas de los archivos `*.test.js`
+ */
+function findTestFiles(targets) {
+  return targets.flatMap((target) => {
+    const resolved = path.resolve(target);
+    if (!fs.statSync(resolved).isDirectory()) return [resolved];
+
+    return fs.readdirSync(resolved)
+      .filter(fileName => fileName.endsWith('.test.js'))
+      .sort()
+      .map(fileName => path.join(resolved, fileName));
+  });
+}
+
+/**
+ * Crea el contexto que reciben los casos
+ * @returns {Object} - Contexto del caso
+ */
+function createContext() {
+  return {
+    sleep(ms) {
+      return new Promise(resolve => setTimeout(resolve, ms));
+    },
+
+    // Espera a que se cumpla una condición (puede ser asíncrona) o falla al agotar el tiempo
+    async waitFor(condition, description) {
+      const deadline = Date.now() + CASE_TIMEOUT;
+
+      while (!(await condition())) {
+        if (Date.now() > deadline) {
+          throw new Error(`No se cumplió ${description} en ${CASE_TIMEOUT} ms`);
+        }
+        await this.sleep(10);
+      }
+    }
+  };
+}
+
+/**
+ * Ejecuta un caso con un tiempo máximo
+ * @param {Object} testCase - Caso `{ name, run }`
+ * @returns {Promise<Error|null>} - Error del caso, o null si pasa
+ */
+async function runCase(testCase) {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(`El caso no terminó en ${CASE_TIMEOUT} ms`)), CASE_TIMEOUT);
+  });
+
+  try {
+    await Promise.race([testCase.run(createContext()), timeout]);
+    return null;
+  } catch (error) {
+    return error;
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  const verbose = args.includes('--verbose');
+  const targets = args.filter(arg => !arg.startsWith('--'));
+  const files = findTestFiles(targets.length > 0 ? targets : [__dirname]);
+
+  // El informe se escribe en stdout directamente para no ocultarlo con los logs
+  const print = (line) => process.stdout.write(`${line}\n`);
+  const logs = { log: console.log, warn: console.warn, error: console.error };
+  if (!verbose) {
+    console.log = console.warn = console.error = () => {};
+  }
+
+  let passed = 0;
+  let failed = 0;
+
+  for (const file of files) {
+    print(`\n${path.relative(process.cwd(), file)}`);
+
+    for (const testCase of require(file)) {
+      const startedAt = Date.now();
+      const error = await runCase(testCase);
+
+      print(`  ${error ? '✗' : '✓'} ${testCase.name} (${Date.now() - startedAt} ms)`);
+      if (error) {
+        print(`      ${(error.stack || error.message).split('\n').join('\n      ')}`);
+        failed++;
+      } else {
+        passed++;
+      }
+    }
+  }
+
+  print(`\n${passed} correctos, ${failed} fallidos`);
+  Object.assign(console, logs);
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+main().catch((error) => {
+  process.stderr.write(`Error ejecutando las pruebas: ${error.stack}\n`);
+  process.exit(1);
+});
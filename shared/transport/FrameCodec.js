@@ -0,0 +1,131 @@
+/**
+ * Protocolo de tramas para el transporte TCP.
+ *
+ * TCP es un flujo de bytes: un evento 'data' puede traer varios mensajes
+ * juntos o solo una parte de uno. Cada mensaje se envía como una trama:
+ *
+ *   +---------+-------------------+----------------------+
+ *   | versión | longitud (uint32) | payload (JSON UTF-8) |
+ *   | 1 byte  | 4 bytes, BE       | `longitud` bytes     |
+ *   +---------+-------------------+----------------------+
+ *
+ * La versión 2 separa los campos de la trama de un cuerpo binario, para
+ * transportar mensajes serializados con cualquier códec (MessagePack,
+ * comprimidos, etc.):
+ *
+ *   +---------+-------------------+---------------------------+-----------------+--------+
+ *   | versión | longitud (uint32) | long. de campos (uint32)  | campos (JSON)   | cuerpo |
+ *   | 1 byte  | 4 bytes, BE       | 4 bytes, BE               |                 |        |
+ *   +---------+-------------------+---------------------------+-----------------+--------+
+ *
+ * El byte de versión permite evolucionar el formato sin romper a los pares
+ * que todavía hablan una versión anterior: las tramas sin cuerpo se siguen
+ * enviando en la versión 1 y el decodificador acepta ambas.
+ */
+
+const PROTOCOL_VERSION = 2;
+const HEADER_SIZE = 5;
+const MAX_FRAME_SIZE = 16 * 1024 * 1024;
+
+/**
+ * Codifica un mensaje como una trama lista para escribir en el socket
+ * @param {Object} message - Campos de la trama
+ * @param {Buffer} body - Cuerpo binario opcional (genera una trama de versión 2)
+ * @returns {Buffer} - Trama con cabecera y payload
+ */
+function encodeFrame(message, body) {
+  const fields = Buffer.from(JSON.stringify(message), 'utf8');
+  let version = 1;
+  let payload = fields;
+
+  if (body) {
+    const fieldsLength = Buffer.alloc(4);
+    fieldsLength.writeUInt32BE(fields.length, 0);
+    version = 2;
+    payload = Buffer.concat([fieldsLength, fields, body]);
+  }
+
+  if (payload.length > MAX_FRAME_SIZE) {
+    throw new Error(`El mensaje excede el tamaño máximo de trama (${payload.length} > ${MAX_FRAME_SIZE} bytes)`);
+  }
+
+  const header = Buffer.alloc(HEADER_SIZE);
+  header.writeUInt8(version, 0);
+  header.writeUInt32BE(payload.length, 1);
+
+  return Buffer.concat([header, payload]);
+}
+
+/**
+ * Decodificador incremental de tramas. Acumula los fragmentos recibidos
+ * del socket y devuelve los mensajes completos a medida que llegan.
+ */
+class FrameDecoder {
+  /**
+   * @param {Object} options - Opciones del decodificador
+   * @param {number} options.maxFrameSize - Tamaño máximo aceptado por trama
+   */
+  constructor(options = {}) {
+    this.maxFrameSize = options.maxFrameSize || MAX_FRAME_SIZE;
+    this.buffer = Buffer.alloc(0);
+  }
+
+  /**
+   * Añade un fragmento recibido y extrae los mensajes completos
+   * @param {Buffer} chunk - Datos recibidos del socket
+   * @returns {Array<Object>} - Mensajes decodificados (puede estar vacío); los
+   *   de versión 2 traen su cuerpo binario en `body`
+   * @throws {Error} - Si la trama tiene una versión desconocida, excede el
+   *   tamaño máximo o su payload no es JSON válido. El flujo queda
+   *   desincronizado y el socket debe cerrarse.
+   */
+  push(chunk) {
+    this.buffer = this.buffer.length === 0 ? chunk : Buffer.concat([this.buffer, chunk]);
+    const messages = [];
+
+    while (this.buffer.length >= HEADER_SIZE) {
+      const version = this.buffer.readUInt8(0);
+      if (version < 1 || version > PROTOCOL_VERSION) {
+        throw new Error(`Versión de protocolo no soportada: ${version}`);
+      }
+
+      const length = this.buffer.readUInt32BE(1);
+      if (length > this.maxFrameSize) {
+        throw new Error(`Trama demasiado grande: ${length} bytes (máximo ${this.maxFrameSize})`);
+      }
+
+      // Esperar a que llegue el resto de la trama
+      if (this.buffer.length < HEADER_SIZE + length) break;
+
+      const payload = this.buffer.subarray(HEADER_SIZE, HEADER_SIZE + length);
+      this.buffer = this.buffer.subarray(HEADER_SIZE + length);
+      messages.push(version === 1 ? JSON.parse(payload.toString('utf8')) : decodeBodyFrame(payload));
+    }
+
+    return messages;
+  }
+}
+
+/**
+ * Decodifica el payload de una trama de versión 2
+ * @param {Buffer} payload - Payload de la trama
+ * @returns {Object} - Campos de la trama con el cuerpo en `body`
+ */
+function decodeBodyFrame(payload) {
+  const fieldsLength = payload.readUInt32BE(0);
+  if (fieldsLength > payload.length - 4) {
+    throw new Error(`Longitud de campos inválida: ${fieldsLength} bytes`);
+  }
+
+  const fields = JSON.parse(payload.subarray(4, 4 + fieldsLength).toString('utf8'));
+  // Copiar el cuerpo para no retener el buffer de recepción completo
+  fields.body = Buffer.from(payload.subarray(4 + fieldsLength));
+  return fields;
+}
+
+module.exports = {
+  PROTOCOL_VERSION,
+  MAX_FRAME_SIZE,
+  encodeFrame,
+  FrameDecoder
+};
@@ -0,0 +1,358 @@
+const { matchesTopic } = require('./topics');
+const { deadLetterHeaders, deadLetterQueueName } = require('./headers');
+
+/**
+ * Broker de mensajes en memoria compartido por todos los transportes
+ * `memory` del mismo proceso de Node. Emula la semántica de colas de
+ * RabbitMQ que usa el sistema: entrega round-robin entre consumidores,
+ * mensajes sin confirmar por consumidor (limitados por su prefetch),
+ * ack/nack y reentrega con la marca `redelivered` cuando un mensaje
+ * vuelve a la cola. Los eventos se enrutan a las colas enlazadas con un
+ * patrón que coincide con su tema, como un exchange de tipo topic.
+ *
+ * Los mensajes esperan ordenados por `properties.priority` (los de más
+ * prioridad primero, en orden de llegada dentro de la misma prioridad) y
+ * los que pasan su `properties.expiresAt` se mueven a `<cola>.dlq` en vez
+ * de entregarse, como una cola con x-max-priority y dead-lettering.
+ */
+class MemoryBroker {
+  constructor() {
+    this.queues = new Map(); // Map de nombre de cola a su estado
+    this.consumers = new Map(); // Map de consumerTag a consumidor
+    this.delayed = new Set(); // Publicaciones diferidas pendientes
+    this.nextDeliveryTag = 1;
+    this.nextConsumerTag = 1;
+  }
+
+  /**
+   * Crea una cola si no existe
+   * @param {string} name - Nombre de la cola
+   * @returns {Object} - Estado interno de la cola
+   */
+  assertQueue(name) {
+    if (!this.queues.has(name)) {
+      this.queues.set(name, {
+        name,
+        messages: [], // Mensajes listos para entregar
+        consumers: [], // consumerTags suscritos, en orden de registro
+        cursor: 0, // Posición del round-robin entre consumidores
+        bindings: new Set() // Patrones de temas enlazados a la cola
+      });
+    }
+    return this.queues.get(name);
+  }
+
+  /**
+   * Encola un mensaje. La cola se crea si no existe para que los mensajes
+   * publicados antes de que el consumidor arranque no se pierdan.
+   * @param {string} queueName - Nombre de la cola
+   * @param {Buffer} content - Contenido serializado del mensaje
+   * @param {Object} properties - Propiedades del mensaje
+   * @param {string} routingKey - Clave con la que se entrega (por defecto el nombre de la cola)
+   */
+  publish(queueName, content, properties = {}, routingKey = queueName) {
+    const queue = this.assertQueue(queueName);
+    this.enqueue(queue, {
+      content,
+      properties: { ...properties },
+      routingKey,
+      redelivered: false
+    });
+    this.scheduleDispatch(queue);
+    return true;
+  }
+
+  /**
+   * Inserta un mensaje en la cola según su prioridad
+   * @param {Object} queue - Estado interno de la cola
+   * @param {Object} entry - Mensaje a insertar
+   * @param {boolean} first - Si es true se coloca delante de los de su misma
+   *   prioridad (mensajes devueltos a la cola); si no, detrás
+   */
+  enqueue(queue, entry, first = false) {
+    const priority = entry.properties.priority || 0;
+    const index = queue.messages.findIndex(queued => {
+      const queuedPriority = queued.properties.priority || 0;
+      return first ? queuedPriority <= priority : queuedPriority < priority;
+    });
+
+    if (index === -1) {
+      queue.messages.push(entry);
+    } else {
+      queue.messages.splice(index, 0, entry);
+    }
+  }
+
+  /**
+   * Enlaza una cola a los eventos de los temas que coinciden con un patrón
+   * @param {string} queueName - Nombre de la cola
+   * @param {string} pattern - Patrón de temas (`*` una palabra, `#` cero o más)
+   */
+  bindQueue(queueName, pattern) {
+    this.assertQueue(queueName).bindings.add(pattern);
+  }
+
+  /**
+   * Encola una copia de un evento en cada cola enlazada a su tema
+   * @param {string} topic - Tema del evento
+   * @param {Buffer} content - Contenido serializado del evento
+   * @param {Object} properties - Propiedades del mensaje
+   * @returns {number} - Número de colas que recibieron el evento
+   */
+  publishTopic(topic, content, properties = {}) {
+    let routed = 0;
+
+    for (const queue of this.queues.values()) {
+      if ([...queue.bindings].some(pattern => matchesTopic(pattern, topic))) {
+        this.publish(queue.name, content, properties, topic);
+        routed++;
+      }
+    }
+
+    return routed;
+  }
+
+  /**
+   * Encola un mensaje después de una espera, como una cola con TTL que
+   * devuelve los mensajes a su cola original al expirar
+   * @param {string} queueName - Nombre de la cola
+   * @param {Buffer} content - Contenido serializado del mensaje
+   * @param {Object} properties - Propiedades del mensaje
+   * @param {number} delay - Espera en milisegundos
+   */
+  publishDelayed(queueName, content, properties, delay) {
+    const timer = setTimeout(() => {
+      this.delayed.delete(timer);
+      this.publish(queueName, content, properties);
+    }, delay);
+    this.delayed.add(timer);
+  }
+
+  /**
+   * Registra un consumidor en una cola
+   * @param {string} queueName - Nombre de la cola
+   * @param {Function} onMessage - Callback que recibe cada entrega
+   * @param {Object} options - Opciones del consumidor
+   * @param {number} options.prefetch - Máximo de mensajes sin confirmar (sin límite si no se indica)
+   * @returns {string} - consumerTag del consumidor registrado
+   */
+  consume(queueName, onMessage, options = {}) {
+    const queue = this.assertQueue(queueName);
+    const consumerTag = `memory-consumer-${this.nextConsumerTag++}`;
+
+    this.consumers.set(consumerTag, {
+      tag: consumerTag,
+      queue: queueName,
+      onMessage,
+      prefetch: options.prefetch || Infinity,
+      unacked: new Map() // Map de deliveryTag a mensaje entregado
+    });
+    queue.consumers.push(consumerTag);
+    this.scheduleDispatch(queue);
+
+    return consumerTag;
+  }
+
+  /**
+   * Cancela un consumidor y devuelve a la cola sus mensajes sin confirmar,
+   * igual que hace RabbitMQ al cerrarse un canal
+   * @param {string} consumerTag - Consumidor a cancelar
+   */
+  cancel(consumerTag) {
+    const consumer = this.consumers.get(consumerTag);
+    if (!consumer) return;
+
+    this.consumers.delete(consumerTag);
+    const queue = this.queues.get(consumer.queue);
+    queue.consumers = queue.consumers.filter(tag => tag !== consumerTag);
+
+    const pending = [...consumer.unacked.values()];
+    consumer.unacked.clear();
+    this.requeue(queue, pending);
+  }
+
+  /**
+   * Deja de entregar mensajes nuevos a un consumidor sin devolver a la cola
+   * los que tiene sin confirmar, como basic.cancel en AMQP. Sus mensajes
+   * pendientes se pueden seguir confirmando; los que queden vuelven a la
+   * cola con cancel().
+   * @param {string} consumerTag - Consumidor a detener
+   */
+  stopConsumer(consumerTag) {
+    const consumer = this.consumers.get(consumerTag);
+    if (!consumer) return;
+
+    const queue = this.queues.get(consumer.queue);
+    queue.consumers = queue.consumers.filter(tag => tag !== consumerTag);
+  }
+
+  /**
+   * Confirma un mensaje entregado
+   * @param {Object} message - Mensaje tal como lo recibió el consumidor
+   */
+  ack(message) {
+    const consumer = this.takeUnacked(message);
+    // El consumidor liberó capacidad: puede recibir más mensajes
+    this.scheduleDispatch(this.queues.get(consumer.queue));
+  }
+
+  /**
+   * Rechaza un mensaje entregado
+   * @param {Object} message - Mensaje tal como lo recibió el consumidor
+   * @param {boolean} requeue - Si es true el mensaje vuelve a la cola
+   */
+  nack(message, requeue = true) {
+    const consumer = this.takeUnacked(message);
+    const queue = this.queues.get(consumer.queue);
+
+    if (requeue) {
+      this.requeue(queue, [message]);
+    } else {
+      this.scheduleDispatch(queue);
+    }
+  }
+
+  /**
+   * Elimina todas las colas y consumidores (útil entre pruebas)
+   */
+  reset() {
+    for (const timer of this.delayed) {
+      clearTimeout(timer);
+    }
+    this.delayed.clear();
+    this.queues.clear();
+    this.consumers.clear();
+  }
+
+  /**
+   * Retira un mensaje de la lista de pendientes de su consumidor
+   * @param {Object} message - Mensaje entregado
+   * @returns {Object} - Consumidor que tenía el mensaje
+   */
+  takeUnacked(message) {
+    const { consumerTag, deliveryTag } = message.fields;
+    const consumer = this.consumers.get(consumerTag);
+
+    // Mismo comportamiento que RabbitMQ ante un ack duplicado o de otro canal
+    if (!consumer || !consumer.unacked.delete(deliveryTag)) {
+      throw new Error(`Delivery tag desconocido: ${deliveryTag}`);
+    }
+
+    return consumer;
+  }
+
+  /**
+   * Devuelve mensajes al inicio de la cola marcados como reentregados
+   * @param {Object} queue - Estado interno de la cola
+   * @param {Array<Object>} messages - Mensajes entregados a devolver
+   */
+  requeue(queue, messages) {
+    if (messages.length === 0) return;
+
+    const entries = messages
+      .sort((a, b) => a.fields.deliveryTag - b.fields.deliveryTag)
+      .map(message => ({
+        content: message.content,
+        properties: message.properties,
+        routingKey: message.fields.routingKey,
+        redelivered: true
+      }));
+
+    // Insertar del último al primero para conservar su orden original
+    for (const entry of entries.reverse()) {
+      this.enqueue(queue, entry, true);
+    }
+    this.scheduleDispatch(queue);
+  }
+
+  /**
+   * Programa la entrega de mensajes de una cola de forma asíncrona
+   * @param {Object} queue - Estado interno de la cola
+   */
+  scheduleDispatch(queue) {
+    if (queue.dispatchScheduled) return;
+    queue.dispatchScheduled = true;
+
+    setImmediate(() => {
+      queue.dispatchScheduled = false;
+      this.dispatch(queue);
+    });
+  }
+
+  /**
+   * Busca, en orden round-robin, el siguiente consumidor con capacidad libre
+   * @param {Object} queue - Estado interno de la cola
+   * @returns {Object|null} - Consumidor disponible o null si todos están llenos
+   */
+  nextAvailableConsumer(queue) {
+    for (let i = 0; i < queue.consumers.length; i++) {
+      queue.cursor = queue.cursor % queue.consumers.length;
+      const consumer = this.consumers.get(queue.consumers[queue.cursor]);
+      queue.cursor++;
+
+      if (consumer.unacked.size < consumer.prefetch) {
+        return consumer;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Entrega los mensajes listos de una cola repartiéndolos entre sus consumidores
+   * @param {Object} queue - Estado interno de la cola
+   */
+  dispatch(queue) {
+    // La cola pudo eliminarse con reset() mientras la entrega estaba programada
+    if (this.queues.get(queue.name) !== queue) return;
+
+    while (queue.messages.length > 0) {
+      const { expiresAt } = queue.messages[0].properties;
+      if (expiresAt && expiresAt <= Date.now()) {
+        this.deadLetterExpired(queue, queue.messages.shift());
+        continue;
+      }
+
+      const consumer = this.nextAvailableConsumer(queue);
+      if (!consumer) break;
+
+      const entry = queue.messages.shift();
+      const message = {
+        content: entry.content,
+        fields: {
+          consumerTag: consumer.tag,
+          deliveryTag: this.nextDeliveryTag++,
+          redelivered: entry.redelivered,
+          routingKey: entry.routingKey
+        },
+        properties: entry.properties
+      };
+
+      consumer.unacked.set(message.fields.deliveryTag, message);
+      consumer.onMessage(message);
+    }
+  }
+
+  /**
+   * Mueve a la cola de mensajes muertos un mensaje que caducó en la cola
+   * @param {Object} queue - Estado interno de la cola
+   * @param {Object} entry - Mensaje caducado
+   */
+  deadLetterExpired(queue, entry) {
+    // Sin la caducidad, para que no vuelva a caducar en la cola de mensajes muertos
+    const { expiresAt, ...properties } = entry.properties;
+    const headers = properties.headers || {};
+
+    this.publish(deadLetterQueueName(queue.name), entry.content, {
+      ...properties,
+      headers: deadLetterHeaders(headers, queue.name, {
+        attempts: parseInt(headers['x-retry-count'] || '0'),
+        reason: `Mensaje caducado en ${new Date(expiresAt).toISOString()}`
+      })
+    });
+  }
+}
+
+// Broker único del proceso, compartido por todos los MemoryTransport
+MemoryBroker.shared = new MemoryBroker();
+
+module.exports = MemoryBroker;
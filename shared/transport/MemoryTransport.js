@@ -0,0 +1,316 @@
+const TransportInterface = require('./TransportInterface');
+const { v4: uuidv4 } = require('uuid');
+const MemoryBroker = require('./MemoryBroker');
+const PendingRequests = require('./PendingRequests');
+const { retryHeaders, deadLetterHeaders, deadLetterQueueName } = require('./headers');
+const { serializationFromEnv, resolveSerialization, encode, decode } = require('./codecs');
+
+/**
+ * Implementación de transporte en memoria. Todos los servicios del mismo
+ * proceso comparten un broker, lo que permite ejecutar la saga completa
+ * sin RabbitMQ ni puertos TCP (por ejemplo en pruebas o CI).
+ *
+ * Los mensajes se serializan con el códec de su cola, igual que en RabbitMQ,
+ * para que cada consumidor reciba una copia y se detecten los mismos
+ * problemas de serialización.
+ */
+class MemoryTransport extends TransportInterface {
+  constructor() {
+    super();
+    this.broker = null;
+    this.initialized = false;
+    this.consumerTags = []; // Consumidores registrados por este transporte
+    this.pendingRequests = new PendingRequests(); // Peticiones esperando respuesta
+    this.replyQueue = null; // Cola de respuestas propia, creada en la primera petición
+    this.replyConsumerTag = null; // Consumidor de la cola de respuestas
+    this.config = {
+      broker: MemoryBroker.shared,
+      // Códec y compresión por defecto y por cola ({ codec, compression, queues })
+      serialization: serializationFromEnv()
+    };
+  }
+
+  /**
+   * Establece la configuración del transporte
+   * @param {Object} options - Opciones de configuración (broker: instancia de MemoryBroker)
+   */
+  setConfig(options) {
+    this.config = { ...this.config, ...options };
+  }
+
+  /**
+   * Inicializa el transporte conectándolo al broker en memoria
+   */
+  async initialize() {
+    this.broker = this.config.broker;
+    this.initialized = true;
+    console.log('Conectado al broker en memoria');
+    return true;
+  }
+
+  /**
+   * Crea una cola en el broker si no existe
+   * @param {string} queue - Nombre de la cola
+   */
+  async createQueue(queue) {
+    this.assertInitialized('createQueue');
+    this.broker.assertQueue(queue);
+    console.log(`Cola ${queue} creada o confirmada`);
+  }
+
+  /**
+   * Publica un mensaje en una cola del broker
+   * @param {string} channel - Nombre de la cola
+   * @param {Object} message - Mensaje a publicar
+   * @param {Object} properties - Propiedades adicionales (por ejemplo correlationId y
+   *   replyTo, o priority y expiresAt, que el broker aplica al encolar y entregar)
+   */
+  async publish(channel, message, properties = {}) {
+    this.assertInitialized('publish');
+
+    try {
+      const { content, contentType, contentEncoding } = encode(
+        message,
+        resolveSerialization(this.config.serialization, channel)
+      );
+      this.broker.publish(channel, content, { persistent: true, contentType, contentEncoding, ...properties });
+
+      console.log(`Mensaje enviado a ${channel}:`, message);
+    } catch (error) {
+      console.error(`Error publicando en ${channel}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Publica un evento en las colas enlazadas a su tema
+   * @param {string} topic - Tema del evento
+   * @param {Object} message - Evento a publicar
+   * @param {Object} properties - Propiedades adicionales del mensaje
+   */
+  async publishEvent(topic, message, properties = {}) {
+    this.assertInitialized('publishEvent');
+
+    const { content, contentType, contentEncoding } = encode(
+      message,
+      resolveSerialization(this.config.serialization, topic)
+    );
+    const routed = this.broker.publishTopic(topic, content, { persistent: true, contentType, contentEncoding, ...properties });
+
+    if (routed === 0) {
+      console.log(`Evento ${topic} sin suscriptores, descartado`);
+    } else {
+      console.log(`Evento publicado en ${topic} (${routed} colas):`, message);
+    }
+  }
+
+  /**
+   * Crea una cola y la enlaza a los temas que coinciden con un patrón
+   * @param {string} queue - Nombre de la cola
+   * @param {string} pattern - Patrón de temas
+   */
+  async bindTopic(queue, pattern) {
+    this.assertInitialized('bindTopic');
+    this.broker.bindQueue(queue, pattern);
+    console.log(`Cola ${queue} enlazada a ${pattern}`);
+  }
+
+  /**
+   * Publica una petición y espera la respuesta en la cola de respuestas del transporte
+   * @param {string} channel - Nombre de la cola
+   * @param {Object} message - Mensaje de la petición
+   * @param {Object} options - { timeout }
+   * @returns {Promise<Object>} - Contenido de la respuesta
+   */
+  async request(channel, message, { timeout }) {
+    this.assertInitialized('request');
+
+    if (!this.replyQueue) {
+      this.replyQueue = `reply.${uuidv4()}`;
+      this.replyConsumerTag = this.broker.consume(this.replyQueue, (reply) => {
+        this.broker.ack(reply);
+
+        const { correlationId } = reply.properties;
+        if (!this.pendingRequests.resolve(correlationId, decode(reply.content, reply.properties))) {
+          console.warn(`Respuesta ${correlationId} sin petición pendiente (tardía o duplicada), descartada`);
+        }
+      });
+      this.consumerTags.push(this.replyConsumerTag);
+    }
+
+    const correlationId = uuidv4();
+    const response = this.pendingRequests.add(correlationId, channel, timeout);
+
+    try {
+      await this.publish(channel, message, { correlationId, replyTo: this.replyQueue });
+    } catch (error) {
+      this.pendingRequests.reject(correlationId, error);
+    }
+
+    return response;
+  }
+
+  /**
+   * Responde a una petición publicando en su cola replyTo
+   * @param {Object} message - Mensaje original de la petición
+   * @param {Object} response - Contenido de la respuesta
+   */
+  async reply(message, response) {
+    this.assertInitialized('reply');
+
+    const { replyTo, correlationId } = message.properties;
+
+    if (!replyTo) {
+      throw new Error('El mensaje no es una petición: no tiene replyTo');
+    }
+
+    const { content, contentType, contentEncoding } = encode(
+      response,
+      resolveSerialization(this.config.serialization, replyTo)
+    );
+    this.broker.publish(replyTo, content, { correlationId, contentType, contentEncoding });
+    console.log(`Respuesta enviada a ${replyTo}:`, response);
+  }
+
+  /**
+   * Suscribe un handler para consumir mensajes de una cola
+   * @param {string} queue - Nombre de la cola
+   * @param {Function} handler - Función callback para procesar mensajes
+   * @param {Object} options - Opciones de la suscripción ({ prefetch })
+   */
+  async subscribe(queue, handler, options = {}) {
+    this.assertInitialized('subscribe');
+    await this.createQueue(queue);
+
+    const consumerTag = this.broker.consume(queue, (message) => {
+      // Los mensajes publicados sin cabeceras las reciben vacías, como en TCP
+      message.properties.headers = message.properties.headers || {};
+
+      try {
+        const content = decode(message.content, message.properties);
+        console.log(`Mensaje recibido de ${queue}:`, content);
+
+        // Llamar al handler con el contenido y el mensaje original
+        handler(content, message);
+      } catch (error) {
+        console.error(`Error procesando mensaje de ${queue}:`, error);
+        // Un contenido ilegible no mejora al reintentarlo: descartarlo en vez de reencolarlo
+        this.deadLetter(queue, null, message, { attempts: 1, reason: `Mensaje ilegible: ${error.message}` })
+          .catch(dlqError => console.error(`Error descartando mensaje de ${queue}:`, dlqError));
+      }
+    }, { prefetch: options.prefetch });
+
+    this.consumerTags.push(consumerTag);
+    console.log(`Consumidor registrado para ${queue}`);
+  }
+
+  /**
+   * Indica si un mensaje se recibió por un consumidor activo de este
+   * transporte. Al cancelar un consumidor sus mensajes vuelven a la cola, así
+   * que un mensaje recibido antes de close() ya no se puede confirmar.
+   * @param {Object} message - Mensaje original entregado por el broker
+   * @returns {boolean} - true si el mensaje puede confirmarse
+   */
+  isCurrentDelivery(message) {
+    if (this.broker && this.consumerTags.includes(message.fields.consumerTag)) {
+      return true;
+    }
+
+    console.warn('Mensaje recibido por un consumidor cancelado, será reentregado por el broker');
+    return false;
+  }
+
+  /**
+   * Confirma el procesamiento exitoso de un mensaje
+   * @param {Object} message - Mensaje original entregado por el broker
+   */
+  async acknowledge(message) {
+    if (!this.isCurrentDelivery(message)) return;
+
+    try {
+      this.broker.ack(message);
+    } catch (error) {
+      console.error('Error confirmando mensaje:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Deja de recibir mensajes nuevos de las colas suscritas. La cola de
+   * respuestas sigue activa para las peticiones en curso.
+   */
+  async stopConsuming() {
+    if (!this.broker) return;
+
+    for (const consumerTag of this.consumerTags) {
+      if (consumerTag !== this.replyConsumerTag) this.broker.stopConsumer(consumerTag);
+    }
+    console.log('Consumidores del broker en memoria detenidos');
+  }
+
+  /**
+   * Las publicaciones en memoria se encolan al instante: no hay nada pendiente
+   * @returns {Promise<boolean>} - Siempre true
+   */
+  async flush() {
+    return true;
+  }
+
+  /**
+   * Reintenta un mensaje publicándolo de nuevo en su cola tras la espera
+   * @param {string} queue - Cola de la que se recibió el mensaje
+   * @param {Object} content - Contenido del mensaje
+   * @param {Object} message - Mensaje original entregado por el broker
+   * @param {Object} options - { delay, attempt, reason }
+   */
+  async retry(queue, content, message, { delay, attempt, reason }) {
+    if (!this.isCurrentDelivery(message)) return;
+
+    this.broker.publishDelayed(queue, message.content, {
+      ...message.properties,
+      headers: retryHeaders(message.properties.headers, { attempt, reason })
+    }, delay);
+    this.broker.ack(message);
+  }
+
+  /**
+   * Mueve un mensaje a la cola de mensajes muertos de su cola
+   * @param {string} queue - Cola de la que se recibió el mensaje
+   * @param {Object} content - Contenido del mensaje
+   * @param {Object} message - Mensaje original entregado por el broker
+   * @param {Object} options - { attempts, reason }
+   */
+  async deadLetter(queue, content, message, { attempts, reason }) {
+    if (!this.isCurrentDelivery(message)) return;
+
+    // Sin la caducidad, para que no vuelva a caducar en la cola de mensajes muertos
+    const { expiresAt, ...properties } = message.properties;
+    this.broker.publish(deadLetterQueueName(queue), message.content, {
+      ...properties,
+      headers: deadLetterHeaders(message.properties.headers, queue, { attempts, reason })
+    });
+    this.broker.ack(message);
+  }
+
+  /**
+   * Cancela los consumidores de este transporte. Los mensajes sin confirmar
+   * vuelven a la cola para ser reentregados, como al cerrar un canal AMQP.
+   */
+  async close() {
+    this.initialized = false;
+    if (!this.broker) return;
+
+    for (const consumerTag of this.consumerTags) {
+      this.broker.cancel(consumerTag);
+    }
+    this.consumerTags = [];
+    this.replyQueue = null;
+    this.replyConsumerTag = null;
+    this.pendingRequests.rejectAll('Transporte cerrado antes de recibir la respuesta');
+    this.broker = null;
+
+    console.log('Conexión con el broker en memoria cerrada');
+  }
+}
+
+module.exports = MemoryTransport;
@@ -0,0 +1,81 @@
+/**
+ * Peticiones request/reply en espera de respuesta. Cada transporte guarda
+ * aquí sus peticiones por correlationId y las resuelve al recibir la
+ * respuesta correlacionada, o las rechaza al vencer el timeout.
+ */
+class PendingRequests {
+  constructor() {
+    this.requests = new Map(); // Map de correlationId a petición pendiente
+  }
+
+  /**
+   * Registra una petición y devuelve la promesa de su respuesta
+   * @param {string} correlationId - Identificador de la petición
+   * @param {string} channel - Cola a la que se envió (para los mensajes de error)
+   * @param {number} timeout - Milisegundos de espera antes de rechazar la petición
+   * @returns {Promise<Object>} - Se resuelve con el contenido de la respuesta
+   */
+  add(correlationId, channel, timeout) {
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        this.requests.delete(correlationId);
+
+        const error = new Error(`Sin respuesta de ${channel} en ${timeout} ms`);
+        error.code = 'REQUEST_TIMEOUT';
+        reject(error);
+      }, timeout);
+
+      this.requests.set(correlationId, { resolve, reject, timer });
+    });
+  }
+
+  /**
+   * Resuelve una petición con su respuesta
+   * @param {string} correlationId - Identificador de la petición
+   * @param {Object} content - Contenido de la respuesta
+   * @returns {boolean} - false si la petición ya no estaba pendiente (respuesta tardía o duplicada)
+   */
+  resolve(correlationId, content) {
+    const request = this.take(correlationId);
+    if (!request) return false;
+
+    request.resolve(content);
+    return true;
+  }
+
+  /**
+   * Rechaza una petición, por ejemplo si no se pudo enviar
+   * @param {string} correlationId - Identificador de la petición
+   * @param {Error} error - Motivo del rechazo
+   */
+  reject(correlationId, error) {
+    const request = this.take(correlationId);
+    if (request) request.reject(error);
+  }
+
+  /**
+   * Rechaza todas las peticiones pendientes
+   * @param {string} reason - Motivo del rechazo
+   */
+  rejectAll(reason) {
+    for (const correlationId of [...this.requests.keys()]) {
+      this.reject(correlationId, new Error(reason));
+    }
+  }
+
+  /**
+   * Retira una petición pendiente cancelando su timeout
+   * @param {string} correlationId - Identificador de la petición
+   * @returns {Object|undefined} - Petición retirada
+   */
+  take(correlationId) {
+    const request = this.requests.get(correlationId);
+    if (!request) return undefined;
+
+    clearTimeout(request.timer);
+    this.requests.delete(correlationId);
+    return request;
+  }
+}
+
+module.exports = PendingRequests;
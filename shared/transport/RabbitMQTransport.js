@@ -1,17 +1,85 @@
 const amqp = require('amqplib');
+const { v4: uuidv4 } = require('uuid');
 const TransportInterface = require('./TransportInterface');
+const PendingRequests = require('./PendingRequests');
+const { serializationFromEnv, resolveSerialization, encode, decode } = require('./codecs');
+const { retryHeaders, deadLetterHeaders, deadLetterQueueName } = require('./headers');
 
 /**
- * Implementación de transporte usando RabbitMQ
+ * Milisegundos que le quedan a un mensaje antes de caducar, en el formato de
+ * la propiedad AMQP `expiration`
+ * @param {number} expiresAt - Instante de caducidad en milisegundos desde epoch
+ * @returns {string} - TTL restante (0 si ya caducó)
+ */
+function remainingTtl(expiresAt) {
+  return String(Math.max(0, expiresAt - Date.now()));
+}
+
+/**
+ * Implementación de transporte usando RabbitMQ.
+ *
+ * Si la conexión o el canal se cierran (reinicio del broker, error de
+ * protocolo, etc.) el transporte se reconecta con backoff exponencial y
+ * vuelve a declarar el exchange, las colas y los consumidores registrados.
+ * Mientras está desconectado, las publicaciones se guardan en un buffer que
+ * se vacía al reconectar, o se rechazan si el buffer está lleno.
+ *
+ * Con `confirm` habilitado se usa un canal de confirmación y los mensajes se
+ * publican con `mandatory`: `publish` solo se resuelve cuando el broker
+ * confirma el mensaje y se rechaza si el broker lo descarta (nack) o si no
+ * hay ninguna cola enlazada a la routing key (basic.return).
+ *
+ * Los reintentos usan colas `<cola>.retry.<ms>` con TTL que, al vencer,
+ * devuelven el mensaje a la cola original mediante dead-lettering. Los
+ * mensajes descartados se guardan en `<cola>.dlq` con el motivo del fallo.
+ *
+ * Las peticiones request/reply se publican con `correlationId` y `replyTo`
+ * apuntando a una cola exclusiva de respuestas, creada en la primera
+ * petición de cada conexión.
+ *
+ * Cada mensaje se serializa con el códec de su cola y anuncia el formato en
+ * las propiedades AMQP `contentType` y `contentEncoding`.
+ *
+ * Las colas se declaran con `x-max-priority` y con dead-lettering hacia
+ * `<cola>.dlq`: la prioridad de un mensaje se publica como la propiedad AMQP
+ * `priority` y su caducidad (`expiresAt`) como `expiration`, de modo que el
+ * broker descarta en la cola de mensajes muertos los que caducan sin
+ * entregarse. El instante absoluto viaja en la cabecera `x-expires-at` para
+ * descontar el tiempo ya transcurrido al reintentar.
  */
 class RabbitMQTransport extends TransportInterface {
   constructor() {
     super();
     this.connection = null;
     this.channel = null;
+    this.connected = false;
+    this.initialized = false;
+    this.closing = false;
+    this.generation = 0; // Se incrementa en cada conexión para ignorar eventos de conexiones anteriores
+    this.reconnectTimer = null;
+    this.reconnectAttempts = 0;
+    this.queues = new Map(); // Map de colas declaradas a su routing key
+    this.topicBindings = []; // Enlaces { queue, pattern } de colas a temas de eventos
+    this.consumers = []; // Consumidores registrados con subscribe
+    this.pendingPublishes = []; // Publicaciones en espera de reconexión
+    this.deliveryChannels = new WeakMap(); // Map de mensajes recibidos al canal que los entregó
+    this.unconfirmed = new Map(); // Map de messageId a publicaciones pendientes de confirmación
+    this.pendingRequests = new PendingRequests(); // Peticiones esperando respuesta
+    this.replyQueueSetup = null; // Promesa con el nombre de la cola de respuestas de la conexión actual
     this.config = {
       url: process.env.RABBITMQ_URL || 'amqp://localhost',
-      exchange: process.env.RABBITMQ_EXCHANGE || 'saga_exchange'
+      exchange: process.env.RABBITMQ_EXCHANGE || 'saga_exchange',
+      // Espera inicial entre reintentos de conexión (se duplica hasta maxReconnectDelay)
+      reconnectDelay: parseInt(process.env.RABBITMQ_RECONNECT_DELAY || '1000'),
+      maxReconnectDelay: parseInt(process.env.RABBITMQ_MAX_RECONNECT_DELAY || '30000'),
+      // Publicaciones que se guardan mientras no hay conexión (0 = rechazarlas)
+      publishBufferSize: parseInt(process.env.RABBITMQ_PUBLISH_BUFFER_SIZE || '1000'),
+      // Esperar la confirmación del broker en cada publicación
+      confirm: process.env.RABBITMQ_CONFIRM === 'true',
+      // Prioridad máxima de las colas (x-max-priority); 0 declara colas sin prioridades
+      maxPriority: parseInt(process.env.RABBITMQ_MAX_PRIORITY || '9'),
+      // Códec y compresión por defecto y por cola ({ codec, compression, queues })
+      serialization: serializationFromEnv()
     };
   }
 
@@ -27,36 +95,217 @@ class RabbitMQTransport extends TransportInterface {
    * Inicializa la conexión con RabbitMQ
    */
   async initialize() {
+    this.closing = false;
+
     try {
-      this.connection = await amqp.connect(this.config.url);
-      this.channel = await this.connection.createChannel();
-      
-      // Crear un exchange para el modo publish/subscribe si está configurado
-      if (this.config.exchange) {
-        await this.channel.assertExchange(this.config.exchange, 'topic', { durable: true });
-      }
-      
-      console.log('Conectado a RabbitMQ');
+      await this.connect();
+      this.initialized = true;
     } catch (error) {
       console.error('Error conectando a RabbitMQ:', error);
       throw error;
     }
   }
 
+  /**
+   * Abre la conexión y el canal, registra los manejadores de cierre y
+   * restablece la topología conocida (exchange, colas y consumidores)
+   */
+  async connect() {
+    const connection = await amqp.connect(this.config.url);
+    const generation = ++this.generation;
+
+    connection.on('error', (error) => {
+      console.error('Error en la conexión con RabbitMQ:', error);
+    });
+    connection.on('close', () => this.handleDisconnect(generation, 'conexión'));
+
+    try {
+      const channel = this.config.confirm
+        ? await connection.createConfirmChannel()
+        : await connection.createChannel();
+
+      channel.on('error', (error) => {
+        console.error('Error en el canal de RabbitMQ:', error);
+      });
+      channel.on('close', () => this.handleDisconnect(generation, 'canal'));
+      channel.on('return', (message) => this.handleReturn(message));
+
+      this.connection = connection;
+      this.channel = channel;
+
+      await this.setupTopology(channel);
+    } catch (error) {
+      // No dejar la conexión abierta si el canal o la topología fallaron
+      this.generation++;
+      await connection.close().catch(() => {});
+      throw error;
+    }
+
+    this.connected = true;
+    this.reconnectAttempts = 0;
+    console.log('Conectado a RabbitMQ');
+
+    this.flushPendingPublishes();
+  }
+
+  /**
+   * Declara el exchange, las colas y los consumidores registrados en un canal
+   * @param {Object} channel - Canal de amqplib recién creado
+   */
+  async setupTopology(channel) {
+    // Crear un exchange para el modo publish/subscribe si está configurado
+    if (this.config.exchange) {
+      await channel.assertExchange(this.config.exchange, 'topic', { durable: true });
+    }
+
+    for (const [queue, routingKey] of this.queues) {
+      await this.assertQueue(channel, queue, routingKey);
+    }
+
+    for (const { queue, pattern } of this.topicBindings) {
+      await channel.bindQueue(queue, this.config.exchange, pattern);
+    }
+
+    for (const consumer of this.consumers) {
+      await this.consume(channel, consumer);
+    }
+  }
+
+  /**
+   * Maneja el cierre de la conexión o del canal programando la reconexión
+   * @param {number} generation - Conexión a la que pertenece el evento
+   * @param {string} source - Origen del cierre (para el log)
+   */
+  handleDisconnect(generation, source) {
+    // Ignorar eventos de conexiones anteriores o repetidos (canal y conexión)
+    if (generation !== this.generation || !this.connected) return;
+
+    this.connected = false;
+    const connection = this.connection;
+    this.connection = null;
+    this.channel = null;
+    this.replyQueueSetup = null;
+
+    // El broker ya no confirmará las publicaciones enviadas por este canal
+    this.rejectUnconfirmed(`Se perdió el ${source} con RabbitMQ antes de confirmar la publicación`);
+    // La cola exclusiva de respuestas desapareció con la conexión
+    this.pendingRequests.rejectAll(`Se perdió el ${source} con RabbitMQ antes de recibir la respuesta`);
+
+    if (this.closing) return;
+
+    console.warn(`Se perdió el ${source} con RabbitMQ, reconectando...`);
+
+    // Si solo se cerró el canal, cerrar también la conexión antes de reconectar
+    if (connection) {
+      connection.close().catch(() => {});
+    }
+
+    this.scheduleReconnect();
+  }
+
+  /**
+   * Programa un intento de reconexión con backoff exponencial
+   */
+  scheduleReconnect() {
+    if (this.closing || this.reconnectTimer) return;
+
+    const delay = Math.min(
+      this.config.reconnectDelay * Math.pow(2, this.reconnectAttempts),
+      this.config.maxReconnectDelay
+    );
+    this.reconnectAttempts++;
+
+    this.reconnectTimer = setTimeout(async () => {
+      this.reconnectTimer = null;
+      try {
+        await this.connect();
+        console.log('Reconectado a RabbitMQ');
+      } catch (error) {
+        console.error(`Reintento de conexión a RabbitMQ fallido (intento ${this.reconnectAttempts}):`, error.message);
+        this.scheduleReconnect();
+      }
+    }, delay);
+  }
+
+  /**
+   * Declara una cola y la bindea al exchange si está configurado. La cola
+   * de mensajes muertos se declara antes para que el broker no pierda los
+   * mensajes que caducan.
+   * @param {Object} channel - Canal de amqplib
+   * @param {string} queue - Nombre de la cola
+   * @param {string} routingKey - Clave de enrutamiento
+   */
+  async assertQueue(channel, queue, routingKey) {
+    if (queue.endsWith('.dlq')) {
+      // Una cola de mensajes muertos (por ejemplo, para inspeccionarla) se
+      // declara sin argumentos, igual que en deadLetter
+      await channel.assertQueue(queue, { durable: true });
+    } else {
+      const dlq = deadLetterQueueName(queue);
+      await channel.assertQueue(dlq, { durable: true });
+
+      const args = {
+        // Los mensajes que caducan en la cola pasan a su cola de mensajes muertos
+        'x-dead-letter-exchange': '',
+        'x-dead-letter-routing-key': dlq
+      };
+      if (this.config.maxPriority > 0) {
+        args['x-max-priority'] = this.config.maxPriority;
+      }
+      await this.assertQueueWithArguments(channel, queue, args);
+    }
+
+    // Si hay un exchange configurado, bindear la cola
+    if (this.config.exchange) {
+      await channel.bindQueue(queue, this.config.exchange, routingKey);
+    }
+  }
+
+  /**
+   * Declara una cola durable con argumentos. Si la cola ya existe con otros
+   * argumentos (por ejemplo, la declaró sin prioridad ni dead-lettering una
+   * versión anterior), RabbitMQ rechaza la declaración con PRECONDITION_FAILED
+   * (406) y cierra el canal. Por eso se declara en un canal aparte y, ante un
+   * 406, se usa la cola existente tal como está: el servicio arranca, pero sus
+   * mensajes no tendrán prioridad y el broker descartará los caducados sin
+   * moverlos a `<cola>.dlq` hasta que la cola se vuelva a crear
+   * @param {Object} channel - Canal de amqplib de la topología
+   * @param {string} queue - Nombre de la cola
+   * @param {Object} args - Argumentos de la cola (`x-max-priority`, `x-dead-letter-*`)
+   */
+  async assertQueueWithArguments(channel, queue, args) {
+    const probe = await this.connection.createChannel();
+    // El cierre por el 406 llega también como rechazo de assertQueue
+    probe.on('error', () => {});
+
+    try {
+      await probe.assertQueue(queue, { durable: true, arguments: args });
+    } catch (error) {
+      if (error.code !== 406) throw error;
+
+      console.warn(`La cola ${queue} ya existe con otros argumentos; se usa sin ${Object.keys(args).join(', ')}. Vacíela y elimínela para volver a crearla con ellos (ver "Prioridad y caducidad de los mensajes" en el README)`);
+      await channel.checkQueue(queue);
+    } finally {
+      await probe.close().catch(() => {});
+    }
+  }
+
   /**
    * Crea una cola y la bindea al exchange si está configurado
    * @param {string} queue - Nombre de la cola
    * @param {string} routingKey - Clave de enrutamiento (opcional, por defecto usa el nombre de la cola)
    */
   async createQueue(queue, routingKey = queue) {
+    this.assertInitialized('createQueue');
+
     try {
-      await this.channel.assertQueue(queue, { durable: true });
-      
-      // Si hay un exchange configurado, bindear la cola
-      if (this.config.exchange) {
-        await this.channel.bindQueue(queue, this.config.exchange, routingKey);
+      // Recordar la cola para volver a declararla al reconectar
+      this.queues.set(queue, routingKey);
+
+      if (this.connected) {
+        await this.assertQueue(this.channel, queue, routingKey);
       }
-      
+
       console.log(`Cola ${queue} creada o confirmada`);
     } catch (error) {
       console.error(`Error creando cola ${queue}:`, error);
@@ -65,31 +314,53 @@ class RabbitMQTransport extends TransportInterface {
   }
 
   /**
-   * Publica un mensaje en una cola o exchange
+   * Publica un mensaje en una cola o exchange. Si no hay conexión, el mensaje
+   * se guarda hasta reconectar y la promesa se resuelve cuando se publica.
    * @param {string} channel - Nombre de la cola o routing key para el exchange
    * @param {Object} message - Mensaje a publicar
+   * @param {Object} properties - Propiedades AMQP adicionales (por ejemplo correlationId y
+   *   replyTo) y `expiresAt`, que se convierte en la propiedad `expiration`
    */
-  async publish(channel, message) {
+  async publish(channel, message, properties = {}) {
+    this.assertInitialized('publish');
+
+    if (!this.connected) {
+      return this.bufferPublish(channel, message, properties);
+    }
+
     try {
-      const content = Buffer.from(JSON.stringify(message));
-      
-      if (this.config.exchange) {
+      const { content, contentType, contentEncoding } = encode(
+        message,
+        resolveSerialization(this.config.serialization, channel)
+      );
+      const { expiresAt, ...amqpProperties } = properties;
+      const messageProperties = { contentType, contentEncoding, ...amqpProperties };
+
+      if (expiresAt) {
+        // expiration es relativa: se calcula al publicar, no al llamar a publish
+        messageProperties.expiration = remainingTtl(expiresAt);
+        messageProperties.headers = { ...amqpProperties.headers, 'x-expires-at': expiresAt };
+      }
+
+      if (this.config.confirm) {
+        await this.publishConfirmed(channel, content, messageProperties);
+      } else if (this.config.exchange) {
         // Publicar en el exchange usando el canal como routing key
         await this.channel.publish(
           this.config.exchange,
           channel,
           content,
-          { persistent: true }
+          { persistent: true, ...messageProperties }
         );
       } else {
         // Publicar directamente en una cola
         await this.channel.sendToQueue(
           channel,
           content,
-          { persistent: true }
+          { persistent: true, ...messageProperties }
         );
       }
-      
+
       console.log(`Mensaje enviado a ${channel}:`, message);
     } catch (error) {
       console.error(`Error publicando en ${channel}:`, error);
@@ -97,32 +368,322 @@ class RabbitMQTransport extends TransportInterface {
     }
   }
 
+  /**
+   * Publica un evento en el exchange con su tema como routing key. Con
+   * RABBITMQ_CONFIRM=true, un evento sin colas enlazadas no es un error.
+   * @param {string} topic - Tema del evento
+   * @param {Object} message - Evento a publicar
+   * @param {Object} properties - Propiedades AMQP adicionales
+   */
+  async publishEvent(topic, message, properties = {}) {
+    this.assertInitialized('publishEvent');
+    this.assertExchange('publishEvent');
+
+    try {
+      await this.publish(topic, message, properties);
+    } catch (error) {
+      if (error.code !== 'UNROUTABLE') throw error;
+      console.log(`Evento ${topic} sin suscriptores, descartado`);
+    }
+  }
+
+  /**
+   * Crea una cola y la enlaza al exchange con un patrón de temas
+   * @param {string} queue - Nombre de la cola
+   * @param {string} pattern - Patrón de temas (`*` una palabra, `#` cero o más)
+   */
+  async bindTopic(queue, pattern) {
+    this.assertInitialized('bindTopic');
+    this.assertExchange('bindTopic');
+
+    await this.createQueue(queue);
+
+    // Recordar el enlace para restablecerlo al reconectar
+    if (!this.topicBindings.some(binding => binding.queue === queue && binding.pattern === pattern)) {
+      this.topicBindings.push({ queue, pattern });
+    }
+
+    if (this.connected) {
+      await this.channel.bindQueue(queue, this.config.exchange, pattern);
+    }
+    console.log(`Cola ${queue} enlazada a ${pattern} en ${this.config.exchange}`);
+  }
+
+  /**
+   * Comprueba que haya un exchange configurado para enrutar eventos
+   * @param {string} operation - Operación que lo necesita
+   * @throws {Error} - Si RABBITMQ_EXCHANGE está vacío
+   */
+  assertExchange(operation) {
+    if (!this.config.exchange) {
+      throw new Error(`${operation} requiere un exchange de tipo topic: defina RABBITMQ_EXCHANGE`);
+    }
+  }
+
+  /**
+   * Publica un mensaje en el canal de confirmación y espera la respuesta del broker
+   * @param {string} channel - Nombre de la cola o routing key para el exchange
+   * @param {Buffer} content - Contenido serializado del mensaje
+   * @param {Object} properties - Propiedades AMQP adicionales
+   * @returns {Promise<void>} - Se resuelve con el ack del broker
+   */
+  publishConfirmed(channel, content, properties = {}) {
+    const messageId = uuidv4();
+    const options = { persistent: true, ...properties, mandatory: true, messageId };
+
+    return new Promise((resolve, reject) => {
+      this.unconfirmed.set(messageId, { channel, returned: false, reject });
+
+      const onConfirm = (error) => {
+        const pending = this.unconfirmed.get(messageId);
+        // Ya rechazada al cerrarse el canal
+        if (!pending) return;
+        this.unconfirmed.delete(messageId);
+
+        if (error) {
+          const nackError = new Error(`El broker rechazó (nack) el mensaje publicado en ${channel}`);
+          nackError.code = 'PUBLISH_NACKED';
+          reject(nackError);
+        } else if (pending.returned) {
+          const returnError = new Error(`Mensaje no enrutable: ninguna cola enlazada a ${channel}`);
+          returnError.code = 'UNROUTABLE';
+          reject(returnError);
+        } else {
+          resolve();
+        }
+      };
+
+      if (this.config.exchange) {
+        this.channel.publish(this.config.exchange, channel, content, options, onConfirm);
+      } else {
+        this.channel.sendToQueue(channel, content, options, onConfirm);
+      }
+    });
+  }
+
+  /**
+   * Marca como devuelta una publicación que el broker no pudo enrutar.
+   * RabbitMQ envía el basic.return antes que la confirmación del mensaje.
+   * @param {Object} message - Mensaje devuelto por el broker
+   */
+  handleReturn(message) {
+    const pending = this.unconfirmed.get(message.properties.messageId);
+
+    if (pending) {
+      pending.returned = true;
+    }
+    console.warn(`Mensaje devuelto por RabbitMQ (routing key ${message.fields.routingKey}): ${message.fields.replyText || 'sin ruta'}`);
+  }
+
+  /**
+   * Rechaza las publicaciones que esperaban confirmación del broker
+   * @param {string} reason - Motivo del rechazo
+   */
+  rejectUnconfirmed(reason) {
+    const pending = [...this.unconfirmed.values()];
+    this.unconfirmed.clear();
+
+    for (const { reject } of pending) {
+      reject(new Error(reason));
+    }
+  }
+
+  /**
+   * Guarda una publicación hasta que se recupere la conexión
+   * @param {string} channel - Nombre de la cola o routing key
+   * @param {Object} message - Mensaje a publicar
+   * @param {Object} properties - Propiedades AMQP adicionales
+   * @returns {Promise<void>} - Se resuelve cuando el mensaje se publica
+   */
+  bufferPublish(channel, message, properties) {
+    if (this.closing || this.pendingPublishes.length >= this.config.publishBufferSize) {
+      const error = new Error(`RabbitMQ desconectado: no se pudo publicar en ${channel}`);
+      console.error(error.message);
+      return Promise.reject(error);
+    }
+
+    console.warn(`RabbitMQ desconectado, mensaje para ${channel} en espera de reconexión`);
+
+    return new Promise((resolve, reject) => {
+      this.pendingPublishes.push({ channel, message, properties, resolve, reject });
+    });
+  }
+
+  /**
+   * Publica los mensajes que quedaron en espera durante la desconexión
+   */
+  flushPendingPublishes() {
+    const pending = this.pendingPublishes;
+    this.pendingPublishes = [];
+
+    if (pending.length > 0) {
+      console.log(`Publicando ${pending.length} mensajes en espera de reconexión`);
+    }
+
+    for (const { channel, message, properties, resolve, reject } of pending) {
+      this.publish(channel, message, properties).then(resolve, reject);
+    }
+  }
+
+  /**
+   * Publica una petición con correlationId y replyTo, y espera la respuesta
+   * en la cola exclusiva de respuestas. Requiere conexión: la cola de
+   * respuestas no sobrevive a una reconexión, así que la petición no se
+   * guarda en el buffer de publicaciones.
+   * @param {string} channel - Nombre de la cola o routing key para el exchange
+   * @param {Object} message - Mensaje de la petición
+   * @param {Object} options - { timeout }
+   * @returns {Promise<Object>} - Contenido de la respuesta
+   */
+  async request(channel, message, { timeout }) {
+    this.assertInitialized('request');
+
+    if (!this.connected) {
+      throw new Error(`RabbitMQ desconectado: no se pudo enviar la petición a ${channel}`);
+    }
+
+    const replyTo = await this.ensureReplyQueue();
+    const correlationId = uuidv4();
+    const response = this.pendingRequests.add(correlationId, channel, timeout);
+
+    try {
+      await this.publish(channel, message, { correlationId, replyTo });
+    } catch (error) {
+      this.pendingRequests.reject(correlationId, error);
+    }
+
+    return response;
+  }
+
+  /**
+   * Crea, una vez por conexión, la cola exclusiva donde se reciben las respuestas
+   * @returns {Promise<string>} - Nombre de la cola de respuestas
+   */
+  ensureReplyQueue() {
+    if (!this.replyQueueSetup) {
+      const channel = this.channel;
+
+      this.replyQueueSetup = (async () => {
+        // Cola con nombre generado por el broker que se elimina al cerrar la conexión
+        const { queue } = await channel.assertQueue('', { exclusive: true, autoDelete: true });
+        await channel.consume(queue, (message) => this.handleReply(message), { noAck: true });
+        return queue;
+      })();
+
+      // Permitir reintentarlo en la siguiente petición si falló
+      this.replyQueueSetup.catch(() => {
+        if (this.channel === channel) this.replyQueueSetup = null;
+      });
+    }
+
+    return this.replyQueueSetup;
+  }
+
+  /**
+   * Resuelve la petición pendiente a la que corresponde una respuesta
+   * @param {Object} message - Respuesta recibida en la cola de respuestas
+   */
+  handleReply(message) {
+    // null indica que el broker canceló el consumidor
+    if (!message) return;
+
+    try {
+      const content = decode(message.content, message.properties);
+      const { correlationId } = message.properties;
+
+      if (!this.pendingRequests.resolve(correlationId, content)) {
+        console.warn(`Respuesta ${correlationId} sin petición pendiente (tardía o duplicada), descartada`);
+      }
+    } catch (error) {
+      console.error('Error procesando respuesta de RabbitMQ:', error);
+    }
+  }
+
+  /**
+   * Responde a una petición enviando la respuesta a su cola replyTo
+   * @param {Object} message - Mensaje original de la petición
+   * @param {Object} response - Contenido de la respuesta
+   */
+  async reply(message, response) {
+    this.assertInitialized('reply');
+
+    const { replyTo, correlationId } = message.properties;
+
+    if (!replyTo) {
+      throw new Error('El mensaje no es una petición: no tiene replyTo');
+    }
+    if (!this.connected) {
+      throw new Error(`RabbitMQ desconectado: no se pudo responder a la petición ${correlationId}`);
+    }
+
+    const { content, contentType, contentEncoding } = encode(
+      response,
+      resolveSerialization(this.config.serialization, replyTo)
+    );
+    await this.sendToQueue(replyTo, content, { correlationId, contentType, contentEncoding });
+    console.log(`Respuesta enviada a ${replyTo}:`, response);
+  }
+
+  /**
+   * Registra un consumidor en un canal
+   * @param {Object} channel - Canal de amqplib
+   * @param {Object} consumer - Consumidor con { queue, handler, prefetch }
+   */
+  async consume(channel, consumer) {
+    const { queue, handler, prefetch } = consumer;
+
+    // Limitar los mensajes sin confirmar que el broker entrega a este consumidor
+    if (prefetch) {
+      await channel.prefetch(prefetch);
+    }
+
+    const { consumerTag } = await channel.consume(queue, (message) => {
+      // null indica que el broker canceló el consumidor
+      if (!message) return;
+
+      this.deliveryChannels.set(message, channel);
+      // amqplib deja headers sin definir si el mensaje se publicó sin cabeceras
+      message.properties.headers = message.properties.headers || {};
+
+      try {
+        const content = decode(message.content, message.properties);
+        console.log(`Mensaje recibido de ${queue}:`, content);
+
+        // Llamar al handler con el contenido y el mensaje original
+        handler(content, message);
+      } catch (error) {
+        console.error(`Error procesando mensaje de ${queue}:`, error);
+        // Un contenido ilegible no mejora al reintentarlo: descartarlo en vez de reencolarlo
+        this.deadLetter(queue, null, message, { attempts: 1, reason: `Mensaje ilegible: ${error.message}` })
+          .catch(dlqError => console.error(`Error descartando mensaje de ${queue}:`, dlqError));
+      }
+    }, { noAck: false });
+
+    // Necesario para cancelarlo con stopConsuming
+    consumer.consumerTag = consumerTag;
+  }
+
   /**
    * Suscribe un handler para consumir mensajes de una cola
    * @param {string} queue - Nombre de la cola
    * @param {Function} handler - Función callback para procesar mensajes
+   * @param {Object} options - Opciones de la suscripción ({ prefetch })
    */
-  async subscribe(queue, handler) {
+  async subscribe(queue, handler, options = {}) {
+    this.assertInitialized('subscribe');
+
     try {
       // Asegurar que la cola exista
       await this.createQueue(queue);
-      
-      await this.channel.consume(queue, (message) => {
-        if (message) {
-          try {
-            const content = JSON.parse(message.content.toString());
-            console.log(`Mensaje recibido de ${queue}:`, content);
-            
-            // Llamar al handler con el contenido y el mensaje original
-            handler(content, message);
-          } catch (error) {
-            console.error(`Error procesando mensaje de ${queue}:`, error);
-            // En caso de error, rechazar el mensaje para que vuelva a la cola
-            this.channel.nack(message, false, true);
-          }
-        }
-      }, { noAck: false });
-      
+
+      // Recordar el consumidor para registrarlo de nuevo al reconectar
+      const consumer = { queue, handler, prefetch: options.prefetch };
+      this.consumers.push(consumer);
+
+      if (this.connected) {
+        await this.consume(this.channel, consumer);
+      }
+
       console.log(`Consumidor registrado para ${queue}`);
     } catch (error) {
       console.error(`Error consumiendo de ${queue}:`, error);
@@ -130,11 +691,144 @@ class RabbitMQTransport extends TransportInterface {
     }
   }
 
+  /**
+   * Cancela los consumidores de las colas suscritas. Los mensajes entregados
+   * siguen pendientes en el canal y se pueden confirmar; la cola de
+   * respuestas sigue activa para las peticiones en curso.
+   */
+  async stopConsuming() {
+    const consumers = this.consumers;
+    // No volver a registrarlos si se reconecta antes de cerrar
+    this.consumers = [];
+
+    if (!this.connected) return;
+
+    for (const { queue, consumerTag } of consumers) {
+      if (!consumerTag) continue;
+      await this.channel.cancel(consumerTag);
+      console.log(`Consumidor de ${queue} cancelado`);
+    }
+  }
+
+  /**
+   * Espera a que se publiquen los mensajes retenidos durante una reconexión
+   * y, con confirmaciones, a que el broker confirme los enviados
+   * @param {number} timeout - Milisegundos máximos de espera
+   * @returns {Promise<boolean>} - true si no queda ninguna publicación pendiente
+   */
+  async flush(timeout) {
+    return this.waitUntil(
+      () => this.pendingPublishes.length === 0 && this.unconfirmed.size === 0,
+      timeout
+    );
+  }
+
+  /**
+   * Indica si un mensaje se recibió por el canal actual. Un mensaje entregado
+   * por un canal ya cerrado no se puede confirmar: el broker lo reentregará
+   * por el canal nuevo.
+   * @param {Object} message - Mensaje original de RabbitMQ
+   * @returns {boolean} - true si el mensaje puede confirmarse
+   */
+  isCurrentDelivery(message) {
+    if (this.connected && this.deliveryChannels.get(message) === this.channel) {
+      return true;
+    }
+
+    console.warn('Mensaje recibido por un canal anterior, será reentregado por RabbitMQ');
+    return false;
+  }
+
+  /**
+   * Envía un mensaje directamente a una cola por el canal actual, esperando
+   * la confirmación del broker si el canal es de confirmación
+   * @param {string} queue - Cola destino
+   * @param {Buffer} content - Contenido serializado
+   * @param {Object} properties - Propiedades AMQP del mensaje
+   */
+  async sendToQueue(queue, content, properties) {
+    if (!this.config.confirm) {
+      this.channel.sendToQueue(queue, content, properties);
+      return;
+    }
+
+    await new Promise((resolve, reject) => {
+      this.channel.sendToQueue(queue, content, properties, (error) => {
+        if (error) reject(new Error(`El broker rechazó (nack) el mensaje enviado a ${queue}`));
+        else resolve();
+      });
+    });
+  }
+
+  /**
+   * Reintenta un mensaje a través de una cola con TTL que lo devuelve a la
+   * cola original al vencer la espera
+   * @param {string} queue - Cola de la que se recibió el mensaje
+   * @param {Object} content - Contenido del mensaje
+   * @param {Object} message - Mensaje original de RabbitMQ
+   * @param {Object} options - { delay, attempt, reason }
+   */
+  async retry(queue, content, message, { delay, attempt, reason }) {
+    if (!this.isCurrentDelivery(message)) return;
+
+    const retryQueue = `${queue}.retry.${delay}`;
+    await this.channel.assertQueue(retryQueue, {
+      durable: true,
+      arguments: {
+        'x-message-ttl': delay,
+        // Al expirar, el mensaje vuelve a la cola original por el exchange por defecto
+        'x-dead-letter-exchange': '',
+        'x-dead-letter-routing-key': queue
+      }
+    });
+
+    const properties = {
+      ...message.properties,
+      persistent: true,
+      headers: retryHeaders(message.properties.headers, { attempt, reason })
+    };
+    // Descontar el tiempo que el mensaje ya pasó en la cola. Si caduca en la
+    // cola de reintentos, vuelve a la original sin expiration y MessageService
+    // lo descarta al recibirlo
+    const expiresAt = message.properties.headers['x-expires-at'];
+    if (expiresAt) {
+      properties.expiration = remainingTtl(expiresAt);
+    }
+
+    await this.sendToQueue(retryQueue, message.content, properties);
+    this.channel.ack(message);
+  }
+
+  /**
+   * Mueve un mensaje a la cola de mensajes muertos de su cola
+   * @param {string} queue - Cola de la que se recibió el mensaje
+   * @param {Object} content - Contenido del mensaje
+   * @param {Object} message - Mensaje original de RabbitMQ
+   * @param {Object} options - { attempts, reason }
+   */
+  async deadLetter(queue, content, message, { attempts, reason }) {
+    if (!this.isCurrentDelivery(message)) return;
+
+    const dlq = deadLetterQueueName(queue);
+    await this.channel.assertQueue(dlq, { durable: true });
+
+    await this.sendToQueue(dlq, message.content, {
+      ...message.properties,
+      persistent: true,
+      // Sin caducidad: la cola de mensajes muertos conserva el mensaje
+      expiration: undefined,
+      headers: deadLetterHeaders(message.properties.headers, queue, { attempts, reason })
+    });
+    this.channel.ack(message);
+  }
+
   /**
    * Confirma el procesamiento exitoso de un mensaje
    * @param {Object} message - Mensaje original de RabbitMQ a confirmar
    */
   async acknowledge(message) {
+    if (!this.isCurrentDelivery(message)) return;
+
     try {
       this.channel.ack(message);
     } catch (error) {
@@ -147,9 +841,34 @@ class RabbitMQTransport extends TransportInterface {
    * Cierra la conexión con RabbitMQ
    */
   async close() {
+    this.closing = true;
+    this.initialized = false;
+    clearTimeout(this.reconnectTimer);
+    this.reconnectTimer = null;
+
+    // Rechazar las publicaciones que no llegaron a enviarse
+    const pending = this.pendingPublishes;
+    this.pendingPublishes = [];
+    for (const { channel, reject } of pending) {
+      reject(new Error(`Transporte cerrado antes de publicar en ${channel}`));
+    }
+
     try {
-      if (this.channel) await this.channel.close();
-      if (this.connection) await this.connection.close();
+      const { channel, connection } = this;
+      this.connected = false;
+      this.channel = null;
+      this.connection = null;
+
+      // Esperar las confirmaciones pendientes antes de cerrar el canal
+      if (channel && this.config.confirm && this.unconfirmed.size > 0) {
+        await channel.waitForConfirms().catch(() => {});
+      }
+      this.rejectUnconfirmed('Transporte cerrado antes de confirmar la publicación');
+      this.pendingRequests.rejectAll('Transporte cerrado antes de recibir la respuesta');
+      this.replyQueueSetup = null;
+
+      if (channel) await channel.close();
+      if (connection) await connection.close();
       console.log('Conexión con RabbitMQ cerrada');
     } catch (error) {
       console.error('Error cerrando conexión con RabbitMQ:', error);
@@ -158,4 +877,4 @@ class RabbitMQTransport extends TransportInterface {
   }
 }
 
-module.exports = RabbitMQTransport;
\ No newline at end of file
+module.exports = RabbitMQTransport;
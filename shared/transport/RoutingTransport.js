@@ -0,0 +1,278 @@
+const TransportInterface = require('./TransportInterface');
+
+/**
+ * Lee las rutas por cola de TRANSPORT_ROUTES, por ejemplo
+ * `payment_service_queue=tcp,orchestrator_queue=rabbitmq`
+ * @returns {Object} - Map de nombre de cola a tipo de transporte
+ */
+function routesFromEnv() {
+  const routes = {};
+
+  for (const rule of (process.env.TRANSPORT_ROUTES || '').split(',')) {
+    if (!rule.trim()) continue;
+
+    const [queue, type] = rule.split('=').map(part => part.trim());
+    if (!queue || !type) {
+      throw new Error(`Ruta de transporte inválida: "${rule}" (use cola=tipo)`);
+    }
+    routes[queue] = type.toLowerCase();
+  }
+
+  return routes;
+}
+
+/**
+ * Transporte que elige, para cada cola, el transporte que la atiende. Las
+ * colas sin ruta usan el transporte por defecto (TRANSPORT_TYPE), de modo
+ * que se puede migrar un servicio a otro transporte cambiando solo la ruta
+ * de su cola en todos los servicios.
+ *
+ * Se crea una sola instancia de cada tipo de transporte usado. Las
+ * operaciones sobre un mensaje recibido (ack, reintento, respuesta) se
+ * delegan en el transporte que lo entregó.
+ */
+class RoutingTransport extends TransportInterface {
+  /**
+   * @param {Function} createTransport - (tipo) => instancia del transporte de ese tipo
+   */
+  constructor(createTransport) {
+    super();
+    this.createTransport = createTransport;
+    this.initialized = false;
+    this.transports = {}; // Map de tipo de transporte a su instancia
+    this.deliveries = new WeakMap(); // Map de mensaje recibido al transporte que lo entregó
+    this.config = {
+      defaultType: (process.env.TRANSPORT_TYPE || 'rabbitmq').toLowerCase(),
+      // Map de nombre de cola a tipo de transporte
+      routes: routesFromEnv(),
+      // Configuración adicional de cada transporte, por tipo
+      transports: {}
+    };
+  }
+
+  /**
+   * Establece la configuración del transporte
+   * @param {Object} options - { defaultType, routes, transports }
+   */
+  setConfig(options) {
+    this.config = { ...this.config, ...options };
+
+    for (const [type, transport] of Object.entries(this.transports)) {
+      if (this.config.transports[type]) transport.setConfig(this.config.transports[type]);
+    }
+  }
+
+  /**
+   * Inicializa el transporte por defecto y todos los que aparecen en las rutas
+   * @param {string} serviceName - Nombre del servicio actual
+   */
+  async initialize(serviceName) {
+    const types = new Set([this.config.defaultType, ...Object.values(this.config.routes)]);
+
+    try {
+      for (const type of types) {
+        await this.getTransport(type).initialize(serviceName);
+      }
+    } catch (error) {
+      // No dejar conexiones abiertas de los transportes que sí se inicializaron
+      await this.closeTransports().catch(() => {});
+      throw error;
+    }
+
+    this.initialized = true;
+    console.log(`Transporte con rutas inicializado (por defecto ${this.config.defaultType}, rutas: ${JSON.stringify(this.config.routes)})`);
+    return true;
+  }
+
+  /**
+   * Obtiene (creándola si no existe) la instancia de un tipo de transporte
+   * @param {string} type - Tipo de transporte
+   * @returns {Object} - Instancia del transporte
+   */
+  getTransport(type) {
+    if (!this.transports[type]) {
+      const transport = this.createTransport(type);
+      if (this.config.transports[type]) transport.setConfig(this.config.transports[type]);
+      this.transports[type] = transport;
+    }
+    return this.transports[type];
+  }
+
+  /**
+   * Obtiene el transporte que atiende una cola
+   * @param {string} queue - Nombre de la cola
+   * @returns {Object} - Instancia del transporte
+   */
+  transportFor(queue) {
+    return this.getTransport(this.config.routes[queue] || this.config.defaultType);
+  }
+
+  /**
+   * Obtiene el transporte que entregó un mensaje
+   * @param {Object} message - Mensaje original del transporte
+   * @returns {Object} - Instancia del transporte
+   */
+  deliveryTransport(message) {
+    const transport = this.deliveries.get(message);
+    if (!transport) {
+      throw new Error('El mensaje no fue entregado por este transporte');
+    }
+    return transport;
+  }
+
+  /**
+   * Crea una cola en el transporte que la atiende
+   * @param {string} queue - Nombre de la cola
+   * @param {...*} args - Argumentos adicionales del transporte (por ejemplo la routing key)
+   */
+  async createQueue(queue, ...args) {
+    this.assertInitialized('createQueue');
+    await this.transportFor(queue).createQueue(queue, ...args);
+  }
+
+  /**
+   * Publica un mensaje por el transporte de su cola
+   * @param {string} channel - Nombre de la cola
+   * @param {Object} message - Mensaje a publicar
+   * @param {Object} properties - Propiedades adicionales del mensaje
+   */
+  async publish(channel, message, properties = {}) {
+    this.assertInitialized('publish');
+    await this.transportFor(channel).publish(channel, message, properties);
+  }
+
+  /**
+   * Publica un evento en todos los transportes: cada uno lo entrega a las
+   * colas que atiende, y una cola solo se enlaza en el transporte de su ruta
+   * @param {string} topic - Tema del evento
+   * @param {Object} message - Evento a publicar
+   * @param {Object} properties - Propiedades adicionales del mensaje
+   */
+  async publishEvent(topic, message, properties = {}) {
+    this.assertInitialized('publishEvent');
+    await Promise.all(
+      Object.values(this.transports).map(transport => transport.publishEvent(topic, message, properties))
+    );
+  }
+
+  /**
+   * Enlaza una cola a un patrón de temas en el transporte que la atiende
+   * @param {string} queue - Nombre de la cola
+   * @param {string} pattern - Patrón de temas
+   */
+  async bindTopic(queue, pattern) {
+    this.assertInitialized('bindTopic');
+    await this.transportFor(queue).bindTopic(queue, pattern);
+  }
+
+  /**
+   * Publica una petición por el transporte de su cola y espera la respuesta
+   * @param {string} channel - Nombre de la cola
+   * @param {Object} message - Mensaje de la petición
+   * @param {Object} options - { timeout }
+   * @returns {Promise<Object>} - Contenido de la respuesta
+   */
+  async request(channel, message, options) {
+    this.assertInitialized('request');
+    return this.transportFor(channel).request(channel, message, options);
+  }
+
+  /**
+   * Responde a una petición por el transporte que la entregó
+   * @param {Object} message - Mensaje original de la petición
+   * @param {Object} response - Contenido de la respuesta
+   */
+  async reply(message, response) {
+    this.assertInitialized('reply');
+    await this.deliveryTransport(message).reply(message, response);
+  }
+
+  /**
+   * Suscribe un handler a una cola en el transporte que la atiende
+   * @param {string} queue - Nombre de la cola
+   * @param {Function} handler - Función callback para procesar mensajes
+   * @param {Object} options - Opciones de la suscripción ({ prefetch })
+   */
+  async subscribe(queue, handler, options = {}) {
+    this.assertInitialized('subscribe');
+    const transport = this.transportFor(queue);
+
+    await transport.subscribe(queue, (content, message) => {
+      this.deliveries.set(message, transport);
+      return handler(content, message);
+    }, options);
+  }
+
+  /**
+   * Confirma un mensaje en el transporte que lo entregó
+   * @param {Object} message - Mensaje original del transporte
+   */
+  async acknowledge(message) {
+    await this.deliveryTransport(message).acknowledge(message);
+  }
+
+  /**
+   * Deja de recibir mensajes nuevos en todos los transportes
+   */
+  async stopConsuming() {
+    for (const transport of Object.values(this.transports)) {
+      await transport.stopConsuming();
+    }
+  }
+
+  /**
+   * Espera a que todos los transportes entreguen sus publicaciones pendientes
+   * @param {number} timeout - Milisegundos máximos de espera
+   * @returns {Promise<boolean>} - true si ningún transporte tiene publicaciones pendientes
+   */
+  async flush(timeout) {
+    const results = await Promise.all(
+      Object.values(this.transports).map(transport => transport.flush(timeout))
+    );
+    return results.every(Boolean);
+  }
+
+  /**
+   * Reintenta un mensaje en el transporte que lo entregó
+   * @param {string} queue - Cola de la que se recibió el mensaje
+   * @param {Object} content - Contenido del mensaje
+   * @param {Object} message - Mensaje original del transporte
+   * @param {Object} options - { delay, attempt, reason }
+   */
+  async retry(queue, content, message, options) {
+    await this.deliveryTransport(message).retry(queue, content, message, options);
+  }
+
+  /**
+   * Mueve un mensaje a la cola de mensajes muertos del transporte que lo entregó
+   * @param {string} queue - Cola de la que se recibió el mensaje
+   * @param {Object} content - Contenido del mensaje
+   * @param {Object} message - Mensaje original del transporte
+   * @param {Object} options - { attempts, reason }
+   */
+  async deadLetter(queue, content, message, options) {
+    await this.deliveryTransport(message).deadLetter(queue, content, message, options);
+  }
+
+  /**
+   * Cierra todos los transportes
+   */
+  async close() {
+    this.initialized = false;
+    await this.closeTransports();
+  }
+
+  /**
+   * Cierra los transportes creados, aunque alguno falle al cerrarse
+   */
+  async closeTransports() {
+    const results = await Promise.allSettled(
+      Object.values(this.transports).map(transport => transport.close())
+    );
+
+    const failed = results.find(result => result.status === 'rejected');
+    if (failed) throw failed.reason;
+  }
+}
+
+module.exports = RoutingTransport;
@@ -0,0 +1,227 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { matchesTopic } = require('./topics');
+
+/**
+ * Registro de servicios para el transporte TCP basado en un directorio
+ * compartido con leases.
+ *
+ * Cada instancia escribe su propio archivo `<servicio>-<instanceId>.json`
+ * con el host por el que se la alcanza y el puerto de cada cola que
+ * atiende. El archivo incluye un `expiresAt` que la instancia renueva
+ * periódicamente: si el proceso muere, su entrada deja de ser válida al
+ * vencer el lease. Como cada instancia solo escribe su propio archivo, no
+ * hay escrituras concurrentes sobre el mismo archivo.
+ *
+ * El lease también anuncia los patrones de temas enlazados a cada cola,
+ * con los que los publicadores emulan un exchange de tipo topic.
+ *
+ * Para servicios en distintos hosts basta con que el directorio esté en un
+ * volumen compartido y que cada instancia anuncie un host alcanzable
+ * (`TCP_ADVERTISE_HOST`).
+ */
+class ServiceRegistry {
+  /**
+   * @param {Object} options - Opciones del registro
+   * @param {string} options.directory - Directorio compartido del registro
+   * @param {number} options.leaseTtl - Duración del lease en ms
+   */
+  constructor(options = {}) {
+    this.directory = options.directory || path.join(os.tmpdir(), 'saga-tcp-registry');
+    this.leaseTtl = options.leaseTtl || 15000;
+    this.instance = null;
+    this.endpoints = {}; // Map de colas a puertos de esta instancia
+    this.bindings = {}; // Map de colas a los patrones de temas enlazados
+    this.renewTimer = null;
+  }
+
+  /**
+   * Registra esta instancia y comienza a renovar su lease
+   * @param {Object} instance - Datos de la instancia
+   * @param {string} instance.instanceId - Identificador único de la instancia
+   * @param {string} instance.service - Nombre del servicio
+   * @param {string} instance.host - Host por el que otros servicios la alcanzan
+   */
+  register(instance) {
+    this.instance = instance;
+    fs.mkdirSync(this.directory, { recursive: true });
+    this.writeLease();
+
+    this.renewTimer = setInterval(() => this.writeLease(), Math.floor(this.leaseTtl / 3));
+    this.renewTimer.unref();
+  }
+
+  /**
+   * Anuncia que esta instancia atiende una cola en un puerto
+   * @param {string} queue - Nombre de la cola
+   * @param {number} port - Puerto en el que escucha el servidor de la cola
+   */
+  addEndpoint(queue, port) {
+    this.endpoints[queue] = port;
+    this.writeLease();
+  }
+
+  /**
+   * Deja de anunciar que esta instancia atiende una cola
+   * @param {string} queue - Nombre de la cola
+   */
+  removeEndpoint(queue) {
+    delete this.endpoints[queue];
+    this.writeLease();
+  }
+
+  /**
+   * Anuncia que una cola recibe los eventos de los temas que coinciden con un patrón
+   * @param {string} queue - Nombre de la cola
+   * @param {string} pattern - Patrón de temas
+   */
+  addBinding(queue, pattern) {
+    const patterns = this.bindings[queue] || [];
+    if (patterns.includes(pattern)) return;
+
+    this.bindings[queue] = [...patterns, pattern];
+    this.writeLease();
+  }
+
+  /**
+   * Busca las colas que deben recibir un evento según los enlaces de las
+   * instancias vivas. Las instancias de un mismo servicio comparten cola,
+   * así que cada cola aparece una sola vez.
+   * @param {string} topic - Tema del evento
+   * @returns {Array<string>} - Nombres de las colas enlazadas
+   */
+  resolveTopic(topic) {
+    const now = Date.now();
+    const queues = new Set();
+
+    for (const lease of this.readLeases()) {
+      if (lease.expiresAt < now) continue;
+
+      for (const [queue, patterns] of Object.entries(lease.bindings || {})) {
+        if (patterns.some(pattern => matchesTopic(pattern, topic))) {
+          queues.add(queue);
+        }
+      }
+    }
+
+    return [...queues];
+  }
+
+  /**
+   * Busca las instancias vivas que atienden una cola
+   * @param {string} queue - Nombre de la cola
+   * @returns {Array<Object>} - Instancias con { instanceId, service, host, port }
+   */
+  resolve(queue) {
+    const now = Date.now();
+    const instances = [];
+
+    for (const lease of this.readLeases()) {
+      if (lease.expiresAt < now) continue;
+
+      const port = lease.endpoints[queue];
+      if (port) {
+        instances.push({
+          instanceId: lease.instanceId,
+          service: lease.service,
+          host: lease.host,
+          port
+        });
+      }
+    }
+
+    return instances;
+  }
+
+  /**
+   * Elimina esta instancia del registro
+   */
+  deregister() {
+    clearInterval(this.renewTimer);
+    this.renewTimer = null;
+
+    if (!this.instance) return;
+
+    try {
+      fs.unlinkSync(this.getLeasePath(this.instance));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error('Error eliminando registro de la instancia:', error);
+      }
+    }
+    this.instance = null;
+  }
+
+  /**
+   * Lee todos los leases del directorio, eliminando los que vencieron hace
+   * más de un periodo completo
+   * @returns {Array<Object>} - Leases registrados
+   */
+  readLeases() {
+    let files;
+    try {
+      files = fs.readdirSync(this.directory).filter(file => file.endsWith('.json'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+
+    const leases = [];
+    for (const file of files) {
+      const filePath = path.join(this.directory, file);
+      try {
+        const lease = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+
+        if (lease.expiresAt + this.leaseTtl < Date.now()) {
+          fs.unlinkSync(filePath);
+          continue;
+        }
+
+        leases.push(lease);
+      } catch (error) {
+        // El archivo pudo desaparecer o estar a medio renombrar: ignorarlo
+        if (error.code !== 'ENOENT') {
+          console.warn(`Registro inválido ignorado: ${filePath}`);
+        }
+      }
+    }
+
+    return leases;
+  }
+
+  /**
+   * Escribe (o renueva) el lease de esta instancia
+   */
+  writeLease() {
+    if (!this.instance) return;
+
+    const leasePath = this.getLeasePath(this.instance);
+    const lease = {
+      ...this.instance,
+      endpoints: this.endpoints,
+      bindings: this.bindings,
+      expiresAt: Date.now() + this.leaseTtl
+    };
+
+    try {
+      // Escribir en un archivo temporal y renombrar para que nunca se lea a medias
+      const tempPath = `${leasePath}.tmp`;
+      fs.writeFileSync(tempPath, JSON.stringify(lease));
+      fs.renameSync(tempPath, leasePath);
+    } catch (error) {
+      console.error(`Error renovando registro en ${leasePath}:`, error);
+    }
+  }
+
+  /**
+   * Ruta del archivo de lease de una instancia
+   * @param {Object} instance - Datos de la instancia
+   * @returns {string} - Ruta del archivo
+   */
+  getLeasePath(instance) {
+    return path.join(this.directory, `${instance.service}-${instance.instanceId}.json`);
+  }
+}
+
+module.exports = ServiceRegistry;
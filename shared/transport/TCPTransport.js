@@ -1,21 +1,139 @@
 const net = require('net');
+const tls = require('tls');
+const fs = require('fs');
+const path = require('path');
 const { v4: uuidv4 } = require('uuid');
 const TransportInterface = require('./TransportInterface');
+const PendingRequests = require('./PendingRequests');
+const ServiceRegistry = require('./ServiceRegistry');
+const { retryHeaders, deadLetterHeaders, deadLetterQueueName } = require('./headers');
+const { encodeFrame, FrameDecoder } = require('./FrameCodec');
+const { serializationFromEnv, resolveSerialization, encode, decode } = require('./codecs');
+const {
+  tlsFromEnv, loadTlsOptions, authFromEnv, requiresAuth, clientKey, serverKey, createNonce, sign, verify
+} = require('./tcpSecurity');
 
 /**
- * Implementación de transporte usando sockets TCP
+ * Crea el error de un saludo de autenticación fallido
+ * @param {string} message - Descripción del fallo
+ * @returns {Error} - Error con código TCP_AUTH_FAILED (no reintentable)
+ */
+function authError(message) {
+  const error = new Error(message);
+  error.code = 'TCP_AUTH_FAILED';
+  error.retryable = false;
+  return error;
+}
+
+/**
+ * Implementación de transporte usando sockets TCP.
+ *
+ * La entrega es "al menos una vez": cada mensaje publicado se guarda en un
+ * outbox con su id hasta que el servidor responde con un ACK. Los mensajes
+ * sin confirmar se reenvían (marcados como `redelivered`) cuando vence el
+ * tiempo de espera, cuando se recupera la conexión o cuando el consumidor
+ * responde con un NACK con requeue, igual que haría RabbitMQ.
+ *
+ * Los servidores escuchan en puertos asignados por el sistema operativo y se
+ * anuncian en el ServiceRegistry; los publicadores resuelven cada cola a
+ * host:puerto consultando el registro en lugar de adivinar el puerto.
+ *
+ * Varias instancias pueden atender la misma cola (consumidores en
+ * competencia): el publicador conecta con todas las registradas y reparte
+ * los mensajes por turnos (`round-robin`) o a la que tiene menos mensajes
+ * sin confirmar (`least-busy`). Cada mensaje solo se da por confirmado con
+ * el ACK de la instancia a la que se envió, y si su conexión se cierra se
+ * reenvía a las demás.
+ *
+ * Los reintentos se emulan con un NACK que indica la espera y las cabeceras
+ * nuevas: el publicador conserva el mensaje en su outbox y lo reenvía al
+ * vencer la espera. Los mensajes descartados se guardan en la cola de
+ * mensajes muertos del consumidor (`<cola>.dlq.jsonl` en TCP_DEAD_LETTER_DIR).
+ *
+ * La prioridad y la caducidad viajan en cada trama MESSAGE. El publicador
+ * envía primero los mensajes pendientes de más prioridad y el servidor
+ * entrega antes los de más prioridad que esperan capacidad del handler. Un
+ * mensaje que llega caducado no se entrega: el servidor lo guarda en su
+ * cola de mensajes muertos, aunque haya esperado en el outbox a que el
+ * consumidor volviera a estar disponible.
+ *
+ * Tramas del protocolo:
+ * - `{ type: 'MESSAGE', id, content, headers, redelivered, correlationId, topic, priority, expiresAt }`
+ *   publicador → servidor
+ * - `{ type: 'ACK', messageId }` servidor → publicador
+ * - `{ type: 'NACK', messageId, requeue, delay, headers }` servidor → publicador
+ * - `{ type: 'REPLY', correlationId, content }` servidor → publicador
+ *
+ * Con un códec distinto de JSON sin comprimir, MESSAGE y REPLY viajan en
+ * tramas de versión 2: `content` se sustituye por el cuerpo binario y la
+ * trama anuncia su `contentType` y `contentEncoding`.
+ *
+ * Las peticiones request/reply llevan `correlationId` y su respuesta vuelve
+ * por la misma conexión en una trama REPLY.
+ *
+ * Los eventos por tema se emulan con el registro: cada instancia anuncia los
+ * patrones enlazados a sus colas y el publicador envía una copia del evento,
+ * con su `topic`, a cada cola cuyo patrón coincide.
+ *
+ * Las conexiones pueden cifrarse con TLS y autenticarse con un saludo
+ * previo (ver tcpSecurity.js). Con autenticación, el servidor no acepta
+ * ninguna trama hasta completar el saludo:
+ * - `{ type: 'CHALLENGE', nonce }` servidor → cliente
+ * - `{ type: 'AUTH', service, nonce, signature }` cliente → servidor
+ * - `{ type: 'AUTH_OK', signature }` o `{ type: 'AUTH_FAILED', reason }` servidor → cliente
  */
 class TCPTransport extends TransportInterface {
   constructor() {
     super();
+    this.serviceName = null;
+    this.instanceId = uuidv4();
+    this.registry = null;
+    this.initialized = false;
     this.servers = {}; // Map de canales a servidores TCP
-    this.clients = {}; // Map de canales a clientes conectados
-    this.handlers = {}; // Map de canales a funciones de manejo de mensajes
-    this.messageQueue = {}; // Cola de mensajes para canales sin conexiones activas
-    this.serviceRegistry = {}; // Registro de servicios y sus puertos
+    this.sockets = new Set(); // Conexiones aceptadas por los servidores
+    this.clients = {}; // Map de canales a sus conexiones, por instanceId
+    this.connecting = {}; // Map de `canal/instancia` a conexiones en curso
+    this.dispatchCursors = {}; // Map de canales a su posición en el reparto por turnos
+    this.discoveredAt = {}; // Map de canales a la última consulta del registro
+    this.reconnectTimers = {}; // Map de canales a reintentos de conexión programados
+    this.reconnectAttempts = {}; // Map de canales a intentos de conexión fallidos
+    this.consumers = {}; // Map de canales a su handler, prefetch y mensajes en espera
+    this.outbox = new Map(); // Mensajes publicados pendientes de ACK, por id
+    this.retryTimers = new Set(); // Reenvíos diferidos pendientes
+    this.outboxWrite = null; // Escritura del outbox en curso
+    this.outboxPersist = null; // Próxima escritura del outbox, con los cambios acumulados desde la anterior
+    this.deadLetters = {}; // Map de colas a mensajes descartados (si no hay TCP_DEAD_LETTER_DIR)
+    this.pendingRequests = new PendingRequests(); // Peticiones esperando respuesta
+    this.redeliveryTimer = null;
+    this.closing = false;
+    this.tlsOptions = null; // Certificados TLS cargados al inicializar
     this.config = {
+      // Interfaz en la que escuchan los servidores
       host: process.env.TCP_HOST || 'localhost',
-      portBase: parseInt(process.env.TCP_PORT_BASE || '4000')
+      // Host que se anuncia en el registro para que otros servicios conecten
+      advertiseHost: process.env.TCP_ADVERTISE_HOST || process.env.TCP_HOST || 'localhost',
+      // Directorio compartido del registro de servicios y duración de los leases
+      registryDir: process.env.TCP_REGISTRY_DIR || null,
+      leaseTtl: parseInt(process.env.TCP_REGISTRY_LEASE_TTL || '15000'),
+      // Tiempo máximo de espera de un ACK antes de reenviar el mensaje
+      ackTimeout: parseInt(process.env.TCP_ACK_TIMEOUT || '30000'),
+      // Espera inicial entre reintentos de conexión (se duplica hasta maxReconnectDelay)
+      reconnectDelay: parseInt(process.env.TCP_RECONNECT_DELAY || '1000'),
+      maxReconnectDelay: parseInt(process.env.TCP_MAX_RECONNECT_DELAY || '30000'),
+      // Reparto entre las instancias de una cola: round-robin o least-busy
+      dispatch: process.env.TCP_DISPATCH || 'round-robin',
+      // Cada cuánto se consulta el registro para descubrir instancias nuevas o retiradas
+      discoveryInterval: parseInt(process.env.TCP_DISCOVERY_INTERVAL || '5000'),
+      // Carpeta donde persistir el outbox (deshabilitado si no se define)
+      outboxDir: process.env.TCP_OUTBOX_DIR || null,
+      // Carpeta donde guardar los mensajes descartados (en memoria si no se define)
+      deadLetterDir: process.env.TCP_DEAD_LETTER_DIR || null,
+      // Códec y compresión por defecto y por cola ({ codec, compression, queues })
+      serialization: serializationFromEnv(),
+      // Rutas de los certificados TLS (sin cifrar si no se definen)
+      tls: tlsFromEnv(),
+      // Claves del saludo de autenticación ({ secret, token, tokens, timeout })
+      auth: authFromEnv()
     };
   }
 
@@ -33,15 +151,44 @@ class TCPTransport extends TransportInterface {
    */
   async initialize(serviceName) {
     try {
-      // El nombre del servicio es necesario para TCP para definir puertos
+      // El nombre del servicio es necesario para TCP para anunciarse en el registro
       if (!serviceName) {
         throw new Error('El nombre del servicio es necesario para inicializar el transporte TCP');
       }
 
-      // Registrar este servicio
-      this.registerService(serviceName);
+      this.serviceName = serviceName;
+      this.closing = false;
+
+      // Cargar los certificados antes de anunciarse para fallar pronto si faltan
+      this.tlsOptions = loadTlsOptions(this.config.tls);
 
-      console.log(`Transporte TCP inicializado para ${serviceName}`);
+      // Registrar esta instancia en el registro de servicios
+      this.registry = new ServiceRegistry({
+        directory: this.config.registryDir,
+        leaseTtl: this.config.leaseTtl
+      });
+      this.registry.register({
+        instanceId: this.instanceId,
+        service: serviceName,
+        host: this.config.advertiseHost
+      });
+
+      // Recuperar los mensajes que quedaron sin confirmar en una ejecución anterior
+      this.loadOutbox();
+
+      // Revisar periódicamente los mensajes cuyo ACK no llegó a tiempo
+      this.redeliveryTimer = setInterval(
+        () => this.redeliverExpired(),
+        Math.max(Math.floor(this.config.ackTimeout / 2), 100)
+      );
+      this.redeliveryTimer.unref();
+
+      this.initialized = true;
+      const security = [
+        this.tlsOptions ? 'TLS' : null,
+        requiresAuth(this.config.auth) ? 'autenticación' : null
+      ].filter(Boolean);
+      console.log(`Transporte TCP inicializado para ${serviceName}${security.length ? ` (${security.join(' y ')})` : ''}`);
       return true;
     } catch (error) {
       console.error('Error inicializando transporte TCP:', error);
@@ -50,201 +197,1067 @@ class TCPTransport extends TransportInterface {
   }
 
   /**
-   * Registra un servicio y configura su puerto TCP basado en un mapeo conocido
-   * @param {string} serviceName - Nombre del servicio
-   * @returns {number} - Puerto asignado al servicio
+   * Busca en el registro las instancias que atienden un canal
+   * @param {string} channel - Nombre del canal (cola)
+   * @returns {Array<Object>} - Instancias con { instanceId, host, port }
    */
-  registerService(serviceName) {
-    // Asignar puertos basados en nombres conocidos de servicios
-    const portMapping = {
-      'orchestrator': 0, // El orquestador siempre es el puerto base
-      'order-service': 1,
-      'inventory-service': 2,
-      'payment-service': 3
-    };
+  resolveInstances(channel) {
+    const instances = this.registry.resolve(channel);
 
-    if (!portMapping.hasOwnProperty(serviceName)) {
-      // Si es un servicio desconocido, usar un offset aleatorio mayor que los conocidos
-      const offset = 10 + Object.keys(this.serviceRegistry).length;
-      this.serviceRegistry[serviceName] = this.config.portBase + offset;
-    } else {
-      const offset = portMapping[serviceName];
-      this.serviceRegistry[serviceName] = this.config.portBase + offset;
+    if (instances.length === 0) {
+      throw new Error(`No hay instancias registradas para el canal ${channel}`);
+    }
+
+    return instances;
+  }
+
+  /**
+   * Conexiones abiertas con las instancias de un canal a las que se pueden
+   * enviar mensajes (excluye las instancias retiradas del registro)
+   * @param {string} channel - Nombre del canal
+   * @returns {Array<Object>} - Conexiones { instanceId, socket, unacked }
+   */
+  getConnections(channel) {
+    return Object.values(this.clients[channel] || {}).filter(connection => !connection.retired);
+  }
+
+  /**
+   * Consulta el registro y conecta con las instancias del canal que aún no
+   * tienen conexión. Las conexiones con instancias que ya no están
+   * registradas (por ejemplo, cerrándose) dejan de recibir mensajes nuevos
+   * pero se mantienen abiertas para recibir sus ACK.
+   * @param {string} channel - Canal al que conectar
+   */
+  async connectToChannel(channel) {
+    this.discoveredAt[channel] = Date.now();
+    const instances = this.resolveInstances(channel);
+
+    const registered = new Set(instances.map(instance => instance.instanceId));
+    for (const connection of Object.values(this.clients[channel] || {})) {
+      connection.retired = !registered.has(connection.instanceId);
     }
 
-    console.log(`Servicio ${serviceName} registrado con puerto ${this.serviceRegistry[serviceName]}`);
-    return this.serviceRegistry[serviceName];
+    const attempts = instances
+      .filter(instance => !(this.clients[channel] || {})[instance.instanceId])
+      .map(instance => this.connectToServer(channel, instance));
+
+    // Una instancia caída que aún conserva su lease no impide usar las demás
+    const results = await Promise.allSettled(attempts);
+
+    if (this.getConnections(channel).length === 0) {
+      const failure = results.find(result => result.status === 'rejected');
+      throw failure ? failure.reason : new Error(`No hay instancias disponibles para el canal ${channel}`);
+    }
   }
 
   /**
-   * Obtiene el puerto para un canal/servicio específico
-   * @param {string} channel - Nombre del canal (normalmente es el nombre del servicio)
-   * @returns {number} - Puerto asignado
+   * Elige la conexión por la que enviar el siguiente mensaje de un canal
+   * @param {string} channel - Nombre del canal
+   * @returns {Object|null} - Conexión elegida o null si no hay ninguna
    */
-  getPortForChannel(channel) {
-    // Extraer el nombre del servicio de la convención de nombres de colas
-    // Por ejemplo, "order_service_queue" -> "order-service"
-    const serviceName = channel
-      .replace('_queue', '')
-      .replace(/_/g, '-');
+  pickConnection(channel) {
+    const connections = this.getConnections(channel);
+    if (connections.length === 0) return null;
+
+    // Empezar en el turno siguiente también reparte los empates de least-busy
+    const cursor = (this.dispatchCursors[channel] || 0) % connections.length;
+    this.dispatchCursors[channel] = cursor + 1;
+    const ordered = [...connections.slice(cursor), ...connections.slice(0, cursor)];
 
-    if (!this.serviceRegistry[serviceName]) {
-      this.registerService(serviceName);
+    if (this.config.dispatch === 'least-busy') {
+      return ordered.reduce((best, connection) =>
+        connection.unacked.size < best.unacked.size ? connection : best);
     }
 
-    return this.serviceRegistry[serviceName];
+    return ordered[0];
+  }
+
+  /**
+   * En TCP no hay colas que declarar: el servidor de cada canal se crea al
+   * suscribirse y se anuncia en el registro de servicios
+   * @param {string} queueName - Nombre de la cola/canal
+   */
+  async createQueue(queueName) {
+    this.assertInitialized('createQueue');
+    console.log(`Canal ${queueName} disponible`);
   }
 
   /**
    * Crea un servidor TCP para un canal específico
    * @param {string} channel - Canal para el que crear un servidor
    * @param {Function} handler - Función para manejar mensajes entrantes
+   * @param {Object} options - Opciones del consumidor ({ prefetch })
    */
-  async createServer(channel, handler) {
-    const port = this.getPortForChannel(channel);
-    
-    // Guardar el handler para este canal
-    this.handlers[channel] = handler;
+  async createServer(channel, handler, options = {}) {
+    // Guardar el consumidor de este canal
+    this.consumers[channel] = {
+      handler,
+      prefetch: options.prefetch || Infinity,
+      unacked: 0, // Mensajes entregados al handler sin confirmar
+      backlog: [], // Mensajes recibidos esperando capacidad del handler
+      pausedSockets: new Set() // Conexiones pausadas mientras hay mensajes en espera
+    };
 
     // Crear servidor TCP si no existe
     if (!this.servers[channel]) {
-      const server = net.createServer((socket) => {
+      const onConnection = (socket) => {
+        const decoder = new FrameDecoder();
+        const session = this.startServerHandshake(channel, socket);
+        this.sockets.add(socket);
+
         socket.on('data', (data) => {
+          let frames;
           try {
-            const message = JSON.parse(data.toString());
-            console.log(`Servidor ${channel} recibió mensaje:`, message);
-            
-            // Generar un identificador único para este mensaje
-            const messageId = uuidv4();
-            const wrappedMessage = { 
-              content: message, 
-              id: messageId,
-              // Método para confirmar este mensaje
-              ack: () => {
-                socket.write(JSON.stringify({ type: 'ACK', messageId }));
-              }
-            };
-            
-            // Llamar al handler con el mensaje
-            if (handler) {
-              handler(message, wrappedMessage);
-            } else if (this.handlers[channel]) {
-              this.handlers[channel](message, wrappedMessage);
-            }
+            frames = decoder.push(data);
           } catch (error) {
-            console.error(`Error procesando mensaje en servidor ${channel}:`, error);
+            // Una trama inválida desincroniza el flujo: cerrar la conexión
+            console.error(`Trama inválida en servidor ${channel}, cerrando conexión:`, error);
+            socket.destroy();
+            return;
+          }
+
+          for (const frame of frames) {
+            if (socket.destroyed || session.rejected) return;
+
+            if (session.authenticated) {
+              this.handleIncomingFrame(channel, socket, frame);
+            } else {
+              this.handleAuthFrame(channel, socket, session, frame);
+            }
           }
         });
 
+        socket.on('close', () => {
+          clearTimeout(session.timer);
+          this.sockets.delete(socket);
+        });
+
         socket.on('error', (err) => {
           console.error(`Error en socket servidor ${channel}:`, err);
         });
-      });
+      };
+
+      const server = this.tlsOptions
+        ? tls.createServer({
+          cert: this.tlsOptions.cert,
+          key: this.tlsOptions.key,
+          ca: this.tlsOptions.ca,
+          requestCert: this.tlsOptions.requireClientCert,
+          rejectUnauthorized: this.tlsOptions.requireClientCert
+        }, onConnection)
+        : net.createServer(onConnection);
 
-      server.listen(port, this.config.host, () => {
-        console.log(`Servidor TCP para ${channel} escuchando en ${this.config.host}:${port}`);
+      if (this.tlsOptions) {
+        // Clientes sin certificado válido o que no hablan TLS
+        server.on('tlsClientError', (err, socket) => {
+          console.warn(`Conexión TLS rechazada en servidor ${channel} (${socket.remoteAddress}): ${err.message}`);
+        });
+      }
+
+      this.servers[channel] = server;
+
+      // Escuchar en un puerto libre asignado por el sistema operativo
+      await new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(0, this.config.host, () => {
+          server.removeListener('error', reject);
+          resolve();
+        });
       });
 
       server.on('error', (err) => {
         console.error(`Error en servidor ${channel}:`, err);
       });
 
-      this.servers[channel] = server;
+      const { port } = server.address();
+      this.registry.addEndpoint(channel, port);
+      console.log(`Servidor TCP para ${channel} escuchando en ${this.config.host}:${port}`);
+    }
+  }
+
+  /**
+   * Inicia el saludo de autenticación de una conexión aceptada. Si no hay
+   * claves configuradas la conexión queda autenticada desde el principio.
+   * @param {string} channel - Canal del servidor
+   * @param {net.Socket} socket - Conexión aceptada
+   * @returns {Object} - Sesión { authenticated, rejected, nonce, timer }
+   */
+  startServerHandshake(channel, socket) {
+    if (!requiresAuth(this.config.auth)) {
+      return { authenticated: true, rejected: false };
+    }
+
+    const session = { authenticated: false, rejected: false, nonce: createNonce() };
+
+    // Un cliente que no completa el saludo a tiempo no ocupa la conexión
+    session.timer = setTimeout(() => {
+      console.warn(`Conexión sin autenticar en servidor ${channel} (${socket.remoteAddress}), cerrando`);
+      socket.destroy();
+    }, this.config.auth.timeout);
+    session.timer.unref();
+
+    socket.write(encodeFrame({ type: 'CHALLENGE', nonce: session.nonce }));
+    return session;
+  }
+
+  /**
+   * Procesa la respuesta del cliente al reto. Cualquier trama distinta de
+   * AUTH o una firma incorrecta cierra la conexión sin procesar mensajes.
+   * @param {string} channel - Canal del servidor
+   * @param {net.Socket} socket - Conexión aceptada
+   * @param {Object} session - Sesión del saludo
+   * @param {Object} frame - Trama recibida antes de autenticar
+   */
+  handleAuthFrame(channel, socket, session, frame) {
+    const reject = (reason) => {
+      console.warn(`Autenticación rechazada en servidor ${channel} (${socket.remoteAddress}): ${reason}`);
+      session.rejected = true;
+      // El temporizador del saludo destruye la conexión si el cliente no la cierra
+      socket.end(encodeFrame({ type: 'AUTH_FAILED', reason }));
+    };
+
+    if (frame.type !== 'AUTH') {
+      reject(`trama ${frame.type} antes de autenticarse`);
+      return;
+    }
+
+    const key = serverKey(this.config.auth, frame.service);
+    if (!key) {
+      reject(`servicio ${frame.service} sin clave`);
+      return;
+    }
+
+    const signed = ['client', session.nonce, frame.nonce, frame.service, channel];
+    if (typeof frame.nonce !== 'string' || !verify(key, signed, frame.signature)) {
+      reject(`firma inválida para el servicio ${frame.service}`);
+      return;
+    }
+
+    session.authenticated = true;
+    clearTimeout(session.timer);
+
+    // Demostrar al cliente que este servidor también conoce la clave
+    socket.write(encodeFrame({
+      type: 'AUTH_OK',
+      signature: sign(key, ['server', frame.nonce, session.nonce, frame.service, channel])
+    }));
+    console.log(`Servicio ${frame.service} autenticado en servidor ${channel}`);
+  }
+
+  /**
+   * Encola un mensaje recibido por el servidor hasta que el handler tenga
+   * capacidad. Mientras haya mensajes en espera la conexión se pausa para
+   * que TCP aplique contrapresión al publicador.
+   * @param {string} channel - Canal que recibió el mensaje
+   * @param {net.Socket} socket - Conexión por la que llegó el mensaje
+   * @param {Object} frame - Trama MESSAGE recibida
+   */
+  handleIncomingFrame(channel, socket, frame) {
+    if (frame.type !== 'MESSAGE') {
+      console.warn(`Trama desconocida en servidor ${channel}: ${frame.type}`);
+      return;
+    }
+
+    const consumer = this.consumers[channel];
+
+    // Detrás de los mensajes en espera con su misma prioridad o más
+    const priority = frame.priority || 0;
+    const index = consumer.backlog.findIndex(waiting => (waiting.frame.priority || 0) < priority);
+    consumer.backlog.splice(index === -1 ? consumer.backlog.length : index, 0, { socket, frame });
+
+    if (consumer.backlog.length >= consumer.prefetch && !consumer.pausedSockets.has(socket)) {
+      socket.pause();
+      consumer.pausedSockets.add(socket);
+    }
+
+    this.drainBacklog(channel);
+  }
+
+  /**
+   * Entrega mensajes en espera mientras no se supere el prefetch del canal
+   * @param {string} channel - Canal a procesar
+   */
+  drainBacklog(channel) {
+    const consumer = this.consumers[channel];
+    // Tras stopConsuming los mensajes recibidos se quedan sin confirmar
+    if (consumer.stopped) return;
+
+    while (consumer.unacked < consumer.prefetch && consumer.backlog.length > 0) {
+      const { socket, frame } = consumer.backlog.shift();
+
+      // Si la conexión se cerró, el publicador reenviará el mensaje
+      if (socket.destroyed) continue;
+
+      this.deliver(channel, socket, frame);
+    }
+
+    if (consumer.backlog.length === 0) {
+      for (const socket of consumer.pausedSockets) {
+        socket.resume();
+      }
+      consumer.pausedSockets.clear();
+    }
+  }
+
+  /**
+   * Entrega al handler del canal un mensaje recibido por el servidor
+   * @param {string} channel - Canal que recibió el mensaje
+   * @param {net.Socket} socket - Conexión por la que llegó el mensaje
+   * @param {Object} frame - Trama MESSAGE recibida
+   */
+  deliver(channel, socket, frame) {
+    const consumer = this.consumers[channel];
+    consumer.unacked++;
+
+    let content;
+    let decodeError = null;
+    try {
+      content = this.decodeContent(frame);
+    } catch (error) {
+      decodeError = error;
+      // Conservar el cuerpo original para la cola de mensajes muertos
+      content = frame.body.toString('base64');
+    }
+
+    console.log(`Servidor ${channel} recibió mensaje:`, content);
+
+    // Cada mensaje se confirma o rechaza una sola vez
+    let settled = false;
+    const settle = (reply) => {
+      if (settled) return;
+      settled = true;
+
+      // Si la conexión ya se cerró, el publicador reenviará el mensaje
+      if (!socket.destroyed) {
+        socket.write(encodeFrame(reply));
+      }
+
+      // El handler liberó capacidad para el siguiente mensaje en espera
+      consumer.unacked--;
+      this.drainBacklog(channel);
+    };
+
+    const wrappedMessage = {
+      content,
+      id: frame.id,
+      redelivered: Boolean(frame.redelivered),
+      // Mismos campos de entrega que los mensajes de RabbitMQ
+      fields: {
+        redelivered: Boolean(frame.redelivered),
+        // Los eventos se entregan con su tema, como en un exchange de tipo topic
+        routingKey: frame.topic || channel
+      },
+      properties: {
+        headers: frame.headers || {},
+        correlationId: frame.correlationId,
+        contentType: frame.contentType,
+        contentEncoding: frame.contentEncoding,
+        priority: frame.priority,
+        expiresAt: frame.expiresAt
+      },
+      // Método para responder a una petición por la misma conexión
+      reply: (response) => {
+        if (socket.destroyed) {
+          throw new Error(`Conexión cerrada: no se pudo responder a la petición ${frame.correlationId}`);
+        }
+        socket.write(this.encodeContentFrame(channel, { type: 'REPLY', correlationId: frame.correlationId }, response));
+      },
+      // Método para confirmar este mensaje
+      ack: () => settle({ type: 'ACK', messageId: frame.id }),
+      // Método para rechazar este mensaje, opcionalmente devolviéndolo a la cola
+      // tras una espera (options.delay) y con cabeceras nuevas (options.headers)
+      nack: (requeue = true, options = {}) => settle({ type: 'NACK', messageId: frame.id, requeue, ...options })
+    };
+
+    if (decodeError) {
+      console.error(`Mensaje ilegible en servidor ${channel}:`, decodeError);
+      // Un contenido ilegible no mejora al reintentarlo: descartarlo en vez de reencolarlo
+      this.deadLetter(channel, null, wrappedMessage, { attempts: 1, reason: `Mensaje ilegible: ${decodeError.message}` })
+        .catch(dlqError => console.error(`Error descartando mensaje de ${channel}:`, dlqError));
+      return;
+    }
+
+    if (frame.expiresAt && frame.expiresAt <= Date.now()) {
+      const expiredAt = new Date(frame.expiresAt).toISOString();
+      console.warn(`Mensaje ${frame.id} de ${channel} caducado (${expiredAt}), enviado a la cola de mensajes muertos`);
+      this.deadLetter(channel, content, wrappedMessage, {
+        attempts: parseInt(wrappedMessage.properties.headers['x-retry-count'] || '0'),
+        reason: `Mensaje caducado en ${expiredAt}`
+      }).catch(dlqError => console.error(`Error descartando mensaje de ${channel}:`, dlqError));
+      return;
+    }
+
+    try {
+      consumer.handler(content, wrappedMessage);
+    } catch (error) {
+      console.error(`Error procesando mensaje en servidor ${channel}:`, error);
+      // En caso de error, rechazar el mensaje para que sea reenviado
+      wrappedMessage.nack(true);
     }
   }
 
   /**
-   * Conecta con un servidor TCP para un canal específico
+   * Conecta con una de las instancias que atienden un canal
    * @param {string} channel - Canal (servicio) al que conectar
+   * @param {Object} instance - Instancia del registro { instanceId, host, port }
+   * @returns {Promise<Object>} - Conexión { instanceId, socket, unacked }
    */
-  async connectToServer(channel) {
-    if (this.clients[channel]) return; // Ya existe una conexión
+  async connectToServer(channel, instance) {
+    const { instanceId, host, port } = instance;
+    const existing = (this.clients[channel] || {})[instanceId];
+    if (existing) return existing; // Ya existe una conexión
 
-    const port = this.getPortForChannel(channel);
-    
-    return new Promise((resolve, reject) => {
-      const client = new net.Socket();
+    const key = `${channel}/${instanceId}`;
+    if (this.connecting[key]) return this.connecting[key]; // Conexión en curso
 
-      client.connect(port, this.config.host, () => {
-        console.log(`Conectado a servidor ${channel} en ${this.config.host}:${port}`);
-        this.clients[channel] = client;
+    this.connecting[key] = new Promise((resolve, reject) => {
+      const decoder = new FrameDecoder();
+      const authKey = clientKey(this.config.auth);
+      let connected = false;
+      let handshake = null; // Saludo de autenticación en curso
+      let connection = null;
 
-        // Enviar los mensajes en cola para este canal
-        if (this.messageQueue[channel] && this.messageQueue[channel].length > 0) {
-          console.log(`Enviando ${this.messageQueue[channel].length} mensajes en cola para ${channel}`);
-          while (this.messageQueue[channel].length > 0) {
-            const message = this.messageQueue[channel].shift();
-            client.write(JSON.stringify(message));
-          }
+      const ready = () => {
+        console.log(`Conectado a servidor ${channel} en ${host}:${port}`);
+        connected = true;
+        connection = {
+          instanceId,
+          socket: client,
+          unacked: new Set(), // Ids de los mensajes enviados por esta conexión sin confirmar
+          retired: false
+        };
+        this.clients[channel] = { ...this.clients[channel], [instanceId]: connection };
+        this.reconnectAttempts[channel] = 0;
+
+        // Enviar los mensajes pendientes para este canal
+        this.flushOutbox(channel);
+
+        resolve(connection);
+      };
+
+      const client = this.openConnection(host, port, () => {
+        if (!authKey) {
+          ready();
+          return;
         }
 
-        resolve(client);
+        // Sin AUTH_OK a tiempo, el servidor no acepta a este servicio
+        handshake = { nonce: createNonce() };
+        handshake.timer = setTimeout(() => {
+          client.destroy(authError(`Saludo con el servidor ${channel} sin respuesta`));
+        }, this.config.auth.timeout);
       });
 
       client.on('data', (data) => {
         try {
-          const message = JSON.parse(data.toString());
-          // Aquí se procesarían las confirmaciones (ACK) si es necesario
-          if (message.type === 'ACK') {
-            console.log(`Recibido ACK para mensaje ${message.messageId} de ${channel}`);
+          for (const frame of decoder.push(data)) {
+            if (!connected) {
+              this.handleClientHandshake(channel, client, handshake, frame, authKey, ready);
+            } else {
+              this.handleReplyFrame(channel, frame, connection);
+            }
           }
         } catch (error) {
-          console.error(`Error procesando respuesta de ${channel}:`, error);
+          console.error(`Error procesando respuesta de ${channel}, cerrando conexión:`, error);
+          client.destroy();
         }
       });
 
       client.on('close', () => {
-        console.log(`Conexión con servidor ${channel} cerrada`);
-        delete this.clients[channel];
+        if (handshake) clearTimeout(handshake.timer);
+        // El servidor puede cerrar durante el saludo sin que haya error en el socket
+        if (!connected) {
+          reject(new Error(`Conexión con servidor ${channel} cerrada antes de completar el saludo`));
+        }
+        const connections = this.clients[channel] || {};
+        if (connection && connections[instanceId] === connection) {
+          console.log(`Conexión con servidor ${channel} en ${host}:${port} cerrada`);
+          delete connections[instanceId];
+
+          // Los mensajes enviados por esta conexión pudieron perderse: reenviarlos
+          // por las conexiones que queden con otras instancias
+          this.markInFlightForRedelivery(channel, instanceId);
+          if (this.getConnections(channel).length > 0) {
+            this.flushOutbox(channel);
+          }
+        }
+        this.scheduleReconnect(channel);
       });
 
       client.on('error', (err) => {
         console.error(`Error en conexión con servidor ${channel}:`, err);
-        if (!this.clients[channel]) {
+        if (!connected) {
           reject(err);
         }
       });
     });
+
+    try {
+      return await this.connecting[key];
+    } finally {
+      delete this.connecting[key];
+    }
+  }
+
+  /**
+   * Abre una conexión con un servidor, cifrada si hay TLS configurado
+   * @param {string} host - Host del servidor
+   * @param {number} port - Puerto del servidor
+   * @param {Function} onConnect - Se llama al conectar (tras el saludo TLS, si lo hay)
+   * @returns {net.Socket} - Conexión en curso
+   */
+  openConnection(host, port, onConnect) {
+    if (!this.tlsOptions) {
+      return net.connect({ host, port }, onConnect);
+    }
+
+    // Se verifica el certificado del servidor contra la CA y se presenta el propio
+    return tls.connect({
+      host,
+      port,
+      cert: this.tlsOptions.cert,
+      key: this.tlsOptions.key,
+      ca: this.tlsOptions.ca
+    }, onConnect);
+  }
+
+  /**
+   * Procesa las tramas del saludo de autenticación en el cliente: responde
+   * al reto del servidor y comprueba que el servidor conoce la misma clave
+   * @param {string} channel - Canal del servidor
+   * @param {net.Socket} client - Conexión con el servidor
+   * @param {Object} handshake - Saludo en curso { nonce, timer, challenge }
+   * @param {Object} frame - Trama recibida
+   * @param {string} key - Clave de este servicio
+   * @param {Function} ready - Se llama al completar el saludo
+   */
+  handleClientHandshake(channel, client, handshake, frame, key, ready) {
+    switch (frame.type) {
+      case 'CHALLENGE':
+        handshake.challenge = frame.nonce;
+        client.write(encodeFrame({
+          type: 'AUTH',
+          service: this.serviceName,
+          nonce: handshake.nonce,
+          signature: sign(key, ['client', frame.nonce, handshake.nonce, this.serviceName, channel])
+        }));
+        break;
+
+      case 'AUTH_OK': {
+        const signed = ['server', handshake.nonce, handshake.challenge, this.serviceName, channel];
+        clearTimeout(handshake.timer);
+        if (!handshake.challenge || !verify(key, signed, frame.signature)) {
+          client.destroy(authError(`El servidor de ${channel} no demostró conocer la clave del servicio`));
+          return;
+        }
+        ready();
+        break;
+      }
+
+      case 'AUTH_FAILED':
+        clearTimeout(handshake.timer);
+        client.destroy(authError(`El servidor de ${channel} rechazó la autenticación: ${frame.reason}`));
+        break;
+
+      default:
+        // Un servidor sin autenticación no envía reto: no entregarle mensajes
+        clearTimeout(handshake.timer);
+        client.destroy(authError(`El servidor de ${channel} respondió ${frame.type} sin completar el saludo`));
+    }
+  }
+
+  /**
+   * Procesa las tramas de confirmación que devuelve un servidor
+   * @param {string} channel - Canal del servidor
+   * @param {Object} frame - Trama ACK o NACK recibida
+   * @param {Object} connection - Conexión con la instancia que envió la trama
+   */
+  handleReplyFrame(channel, frame, connection) {
+    let entry = this.outbox.get(frame.messageId);
+
+    // Solo cuenta la confirmación de la instancia que tiene el mensaje: tras
+    // reenviarlo a otra, un ACK tardío de la primera no lo da por entregado
+    if (entry && entry.instanceId !== connection.instanceId) {
+      if (frame.type === 'ACK' || frame.type === 'NACK') {
+        console.log(`${frame.type} de ${frame.messageId} ignorado: el mensaje se reenvió a otra instancia de ${channel}`);
+      }
+      entry = null;
+    }
+
+    switch (frame.type) {
+      case 'REPLY':
+        try {
+          if (!this.pendingRequests.resolve(frame.correlationId, this.decodeContent(frame))) {
+            console.warn(`Respuesta ${frame.correlationId} de ${channel} sin petición pendiente (tardía o duplicada), descartada`);
+          }
+        } catch (error) {
+          console.error(`Respuesta ${frame.correlationId} de ${channel} ilegible:`, error);
+        }
+        break;
+
+      case 'ACK':
+        if (entry) {
+          this.releaseEntry(entry);
+          this.outbox.delete(frame.messageId);
+          this.persistOutbox();
+        }
+        console.log(`Recibido ACK para mensaje ${frame.messageId} de ${channel}`);
+        break;
+
+      case 'NACK':
+        if (!entry) break;
+        this.releaseEntry(entry);
+
+        if (frame.requeue && frame.delay) {
+          // Reintento diferido: es una entrega nueva con las cabeceras del consumidor
+          console.log(`Mensaje ${frame.messageId} se reintentará en ${frame.delay} ms`);
+          entry.headers = frame.headers || entry.headers;
+          entry.redelivered = false;
+          entry.sentAt = null;
+          entry.availableAt = Date.now() + frame.delay;
+          this.persistOutbox();
+          this.scheduleDelayedSend(entry, frame.delay);
+        } else if (frame.requeue) {
+          console.log(`Mensaje ${frame.messageId} rechazado por ${channel}, reenviando`);
+          entry.redelivered = true;
+          entry.sentAt = null;
+          this.sendEntry(entry);
+        } else {
+          console.log(`Mensaje ${frame.messageId} rechazado por ${channel} sin reencolar, descartado`);
+          this.outbox.delete(frame.messageId);
+          this.persistOutbox();
+        }
+        break;
+
+      case 'CHALLENGE':
+      case 'AUTH_FAILED':
+        // El servidor exige autenticación y este servicio no tiene clave
+        console.error(`El servidor de ${channel} exige autenticación: defina TCP_AUTH_SECRET o TCP_AUTH_TOKEN`);
+        connection.socket.destroy();
+        break;
+
+      default:
+        console.warn(`Trama desconocida de ${channel}: ${frame.type}`);
+    }
   }
 
   /**
-   * Publica un mensaje en un canal específico
+   * Envía una entrada del outbox a una de las instancias de su canal
+   * @param {Object} entry - Entrada del outbox
+   * @returns {boolean} - true si se pudo escribir en el socket
+   */
+  sendEntry(entry) {
+    const connection = this.pickConnection(entry.channel);
+    if (!connection) return false;
+
+    connection.socket.write(this.encodeContentFrame(entry.channel, {
+      type: 'MESSAGE',
+      id: entry.id,
+      headers: entry.headers,
+      redelivered: entry.redelivered,
+      correlationId: entry.correlationId,
+      topic: entry.topic,
+      priority: entry.priority,
+      expiresAt: entry.expiresAt
+    }, entry.content));
+    entry.sentAt = Date.now();
+    entry.availableAt = null;
+    entry.attempts++;
+    entry.instanceId = connection.instanceId;
+    connection.unacked.add(entry.id);
+
+    return true;
+  }
+
+  /**
+   * Desvincula una entrada de la instancia a la que se envió, al
+   * confirmarse o antes de reenviarla
+   * @param {Object} entry - Entrada del outbox
+   */
+  releaseEntry(entry) {
+    const connection = (this.clients[entry.channel] || {})[entry.instanceId];
+    if (connection) connection.unacked.delete(entry.id);
+    entry.instanceId = null;
+  }
+
+  /**
+   * Codifica una trama con contenido usando el códec del canal. En JSON sin
+   * comprimir el contenido va dentro de la trama (versión 1), legible por
+   * los pares anteriores a los códecs.
+   * @param {string} channel - Canal cuyo códec se usa
+   * @param {Object} frame - Campos de la trama (sin el contenido)
+   * @param {Object} content - Contenido a serializar
+   * @returns {Buffer} - Trama lista para escribir
+   */
+  encodeContentFrame(channel, frame, content) {
+    const serialization = resolveSerialization(this.config.serialization, channel);
+
+    if (serialization.codec === 'json' && !serialization.compression) {
+      return encodeFrame({ ...frame, content });
+    }
+
+    const encoded = encode(content, serialization);
+    return encodeFrame({
+      ...frame,
+      contentType: encoded.contentType,
+      contentEncoding: encoded.contentEncoding
+    }, encoded.content);
+  }
+
+  /**
+   * Obtiene el contenido de una trama MESSAGE o REPLY de cualquier versión
+   * @param {Object} frame - Trama recibida
+   * @returns {Object} - Contenido decodificado
+   */
+  decodeContent(frame) {
+    return frame.body ? decode(frame.body, frame) : frame.content;
+  }
+
+  /**
+   * Programa el envío de una entrada del outbox cuando venza su espera
+   * @param {Object} entry - Entrada del outbox
+   * @param {number} delay - Espera en milisegundos
+   */
+  scheduleDelayedSend(entry, delay) {
+    const timer = setTimeout(() => {
+      this.retryTimers.delete(timer);
+
+      // La entrada pudo confirmarse o enviarse al reconectar mientras tanto
+      if (!this.outbox.has(entry.id) || entry.sentAt !== null) return;
+
+      if (!this.sendEntry(entry)) {
+        this.scheduleReconnect(entry.channel);
+      }
+    }, delay);
+    this.retryTimers.add(timer);
+  }
+
+  /**
+   * Envía todos los mensajes pendientes de envío de un canal
+   * @param {string} channel - Canal a vaciar
+   */
+  flushOutbox(channel) {
+    const now = Date.now();
+    const pending = [...this.outbox.values()]
+      .filter(entry => entry.channel === channel && entry.sentAt === null)
+      .filter(entry => !entry.availableAt || entry.availableAt <= now)
+      // Primero los de más prioridad; sort es estable, así que se conserva el orden de publicación
+      .sort((a, b) => (b.priority || 0) - (a.priority || 0));
+
+    if (pending.length > 0) {
+      console.log(`Enviando ${pending.length} mensajes pendientes para ${channel}`);
+    }
+
+    for (const entry of pending) {
+      this.sendEntry(entry);
+    }
+  }
+
+  /**
+   * Marca para reenvío los mensajes enviados a una instancia que esperaban ACK
+   * @param {string} channel - Canal cuya conexión se perdió
+   * @param {string} instanceId - Instancia con la que se perdió la conexión
+   */
+  markInFlightForRedelivery(channel, instanceId) {
+    for (const entry of this.outbox.values()) {
+      if (entry.channel === channel && entry.sentAt !== null && entry.instanceId === instanceId) {
+        entry.sentAt = null;
+        entry.redelivered = true;
+        entry.instanceId = null;
+      }
+    }
+  }
+
+  /**
+   * Reenvía los mensajes cuyo ACK no llegó dentro de ackTimeout
+   */
+  redeliverExpired() {
+    const now = Date.now();
+
+    for (const entry of this.outbox.values()) {
+      if (entry.sentAt !== null && now - entry.sentAt > this.config.ackTimeout) {
+        console.log(`ACK no recibido para mensaje ${entry.id} de ${entry.channel}, reenviando`);
+        this.releaseEntry(entry);
+        entry.redelivered = true;
+        entry.sentAt = null;
+
+        if (!this.sendEntry(entry)) {
+          this.scheduleReconnect(entry.channel);
+        }
+      }
+    }
+  }
+
+  /**
+   * Programa un reintento de conexión si el canal tiene mensajes pendientes
+   * @param {string} channel - Canal a reconectar
+   */
+  scheduleReconnect(channel) {
+    if (this.closing || this.getConnections(channel).length > 0 || this.reconnectTimers[channel]) return;
+
+    const hasPending = [...this.outbox.values()].some(entry => entry.channel === channel);
+    if (!hasPending) return;
+
+    const attempts = this.reconnectAttempts[channel] || 0;
+    const delay = Math.min(
+      this.config.reconnectDelay * Math.pow(2, attempts),
+      this.config.maxReconnectDelay
+    );
+    this.reconnectAttempts[channel] = attempts + 1;
+
+    this.reconnectTimers[channel] = setTimeout(() => {
+      delete this.reconnectTimers[channel];
+      this.connectToChannel(channel).catch(() => {
+        // Si el socket llegó a crearse, su evento 'close' reprograma el reintento
+        this.scheduleReconnect(channel);
+      });
+    }, delay);
+  }
+
+  /**
+   * Ruta del archivo donde se persiste el outbox de este servicio
+   * @returns {string|null} - Ruta del archivo o null si no hay persistencia
+   */
+  getOutboxPath() {
+    if (!this.config.outboxDir) return null;
+    return path.join(this.config.outboxDir, `${this.serviceName}.outbox.json`);
+  }
+
+  /**
+   * Guarda en disco los mensajes pendientes de confirmación. Los cambios de
+   * una misma vuelta del bucle de eventos, y los que llegan mientras se
+   * escribe, se guardan juntos en la siguiente escritura: con muchos mensajes
+   * pendientes, el archivo no se reescribe entero en cada publicación y cada
+   * ACK, y la escritura no bloquea el bucle de eventos
+   * @returns {Promise<void>} - Se resuelve cuando el estado actual del outbox está en disco
+   */
+  persistOutbox() {
+    if (!this.getOutboxPath()) return Promise.resolve();
+
+    if (!this.outboxPersist) {
+      this.outboxPersist = new Promise(resolve => setImmediate(resolve)).then(async () => {
+        // Nunca hay dos escrituras a la vez sobre el mismo archivo temporal
+        await this.outboxWrite;
+        // Los cambios desde este momento van a la siguiente escritura
+        this.outboxPersist = null;
+        this.outboxWrite = this.writeOutbox();
+        await this.outboxWrite;
+      });
+    }
+    return this.outboxPersist;
+  }
+
+  /**
+   * Escribe el outbox en su archivo con su contenido en este momento
+   */
+  async writeOutbox() {
+    const outboxPath = this.getOutboxPath();
+
+    // Las peticiones no se persisten: tras un reinicio nadie espera su respuesta
+    const entries = [...this.outbox.values()].filter(entry => !entry.correlationId).map(({ id, channel, content, headers, attempts, availableAt, topic, priority, expiresAt }) => ({
+      id,
+      channel,
+      content,
+      headers,
+      attempts,
+      availableAt,
+      topic,
+      priority,
+      expiresAt
+    }));
+
+    try {
+      // Escribir en un archivo temporal y renombrar para no dejar el outbox a medias
+      await fs.promises.mkdir(this.config.outboxDir, { recursive: true });
+      const tempPath = `${outboxPath}.tmp`;
+      await fs.promises.writeFile(tempPath, JSON.stringify(entries));
+      await fs.promises.rename(tempPath, outboxPath);
+    } catch (error) {
+      console.error(`Error persistiendo outbox en ${outboxPath}:`, error);
+    }
+  }
+
+  /**
+   * Carga el outbox persistido y programa el reenvío de sus mensajes
+   */
+  loadOutbox() {
+    const outboxPath = this.getOutboxPath();
+    if (!outboxPath || !fs.existsSync(outboxPath)) return;
+
+    try {
+      const entries = JSON.parse(fs.readFileSync(outboxPath, 'utf8'));
+
+      for (const entry of entries) {
+        // No se sabe si llegaron antes del reinicio: reenviar como reentregados
+        const restored = { headers: {}, ...entry, sentAt: null, redelivered: true };
+        this.outbox.set(entry.id, restored);
+
+        if (restored.availableAt && restored.availableAt > Date.now()) {
+          this.scheduleDelayedSend(restored, restored.availableAt - Date.now());
+        }
+      }
+
+      console.log(`Recuperados ${entries.length} mensajes pendientes del outbox`);
+
+      const channels = new Set(entries.map(entry => entry.channel));
+      for (const channel of channels) {
+        this.scheduleReconnect(channel);
+      }
+    } catch (error) {
+      console.error(`Error cargando outbox desde ${outboxPath}:`, error);
+    }
+  }
+
+  /**
+   * Publica un mensaje en un canal específico. El mensaje queda en el outbox
+   * hasta que el servidor lo confirma, por lo que sobrevive a desconexiones.
    * @param {string} channel - Canal donde publicar
    * @param {Object} message - Mensaje a publicar
+   * @param {Object} properties - Propiedades adicionales ({ correlationId } en las
+   *   peticiones, { topic } en las copias de un evento, { priority, expiresAt })
    */
-  async publish(channel, message) {
+  async publish(channel, message, properties = {}) {
+    this.assertInitialized('publish');
+
     try {
+      const entry = {
+        id: uuidv4(),
+        channel,
+        content: message,
+        headers: {},
+        attempts: 0,
+        sentAt: null,
+        availableAt: null,
+        redelivered: false,
+        correlationId: properties.correlationId,
+        topic: properties.topic,
+        priority: properties.priority,
+        expiresAt: properties.expiresAt
+      };
+      this.outbox.set(entry.id, entry);
+      const persisted = this.persistOutbox();
+
       // Intentar conectar si no hay conexión establecida
-      if (!this.clients[channel]) {
+      if (this.getConnections(channel).length === 0) {
         try {
-          await this.connectToServer(channel);
+          await this.connectToChannel(channel);
         } catch (error) {
-          // Si no se puede conectar, encolar el mensaje para envío posterior
-          if (!this.messageQueue[channel]) {
-            this.messageQueue[channel] = [];
-          }
-          this.messageQueue[channel].push(message);
-          console.log(`Mensaje para ${channel} encolado para envío posterior`);
+          // Si no se puede conectar, el mensaje queda en el outbox para envío posterior
+          console.log(`Mensaje para ${channel} encolado para envío posterior: ${error.message}`);
+          this.scheduleReconnect(channel);
+          await persisted;
           return;
         }
+      } else if (Date.now() - (this.discoveredAt[channel] || 0) > this.config.discoveryInterval) {
+        // Descubrir instancias nuevas o retiradas sin retrasar esta publicación
+        this.connectToChannel(channel).catch(error => {
+          console.warn(`Error consultando las instancias de ${channel}: ${error.message}`);
+        });
+      }
+
+      // Al conectar se envían los pendientes, incluido este mensaje
+      if (entry.sentAt === null) {
+        this.sendEntry(entry);
       }
-      
-      // Enviar mensaje
-      this.clients[channel].write(JSON.stringify(message));
       console.log(`Mensaje enviado a ${channel}:`, message);
+
+      // La publicación termina cuando el mensaje ya sobreviviría a un reinicio
+      await persisted;
     } catch (error) {
       console.error(`Error enviando mensaje a ${channel}:`, error);
       throw error;
     }
   }
 
+  /**
+   * Publica un evento enviando una copia a cada cola enlazada a su tema en
+   * el registro. Cada copia se entrega con las mismas garantías que publish.
+   * @param {string} topic - Tema del evento
+   * @param {Object} message - Evento a publicar
+   * @param {Object} properties - Propiedades adicionales del mensaje
+   */
+  async publishEvent(topic, message, properties = {}) {
+    this.assertInitialized('publishEvent');
+
+    const queues = this.registry.resolveTopic(topic);
+    if (queues.length === 0) {
+      console.log(`Evento ${topic} sin suscriptores, descartado`);
+      return;
+    }
+
+    for (const queue of queues) {
+      await this.publish(queue, message, { ...properties, topic });
+    }
+  }
+
+  /**
+   * Anuncia en el registro que una cola recibe los eventos de un patrón. El
+   * servidor de la cola se crea al suscribirse, como en cualquier cola.
+   * @param {string} queue - Nombre de la cola
+   * @param {string} pattern - Patrón de temas
+   */
+  async bindTopic(queue, pattern) {
+    this.assertInitialized('bindTopic');
+    this.registry.addBinding(queue, pattern);
+    console.log(`Cola ${queue} enlazada a ${pattern}`);
+  }
+
+  /**
+   * Publica una petición y espera la trama REPLY correlacionada
+   * @param {string} channel - Canal (servicio) destino
+   * @param {Object} message - Mensaje de la petición
+   * @param {Object} options - { timeout }
+   * @returns {Promise<Object>} - Contenido de la respuesta
+   */
+  async request(channel, message, { timeout }) {
+    this.assertInitialized('request');
+
+    const correlationId = uuidv4();
+    const response = this.pendingRequests.add(correlationId, channel, timeout);
+
+    // Si nadie respondió a tiempo, dejar de reenviar la petición
+    response.catch(() => {
+      for (const entry of this.outbox.values()) {
+        if (entry.correlationId !== correlationId) continue;
+        this.releaseEntry(entry);
+        this.outbox.delete(entry.id);
+      }
+    });
+
+    try {
+      await this.publish(channel, message, { correlationId });
+    } catch (error) {
+      this.pendingRequests.reject(correlationId, error);
+    }
+
+    return response;
+  }
+
+  /**
+   * Responde a una petición por la conexión por la que llegó
+   * @param {Object} message - Mensaje original de la petición
+   * @param {Object} response - Contenido de la respuesta
+   */
+  async reply(message, response) {
+    this.assertInitialized('reply');
+
+    if (!message.properties.correlationId) {
+      throw new Error('El mensaje no es una petición: no tiene correlationId');
+    }
+
+    message.reply(response);
+    console.log(`Respuesta enviada a la petición ${message.properties.correlationId}:`, response);
+  }
+
   /**
    * Suscribe a un canal para recibir mensajes
    * @param {string} channel - Canal al que suscribirse
    * @param {Function} handler - Función callback para procesar mensajes
+   * @param {Object} options - Opciones de la suscripción ({ prefetch })
    */
-  async subscribe(channel, handler) {
-    await this.createServer(channel, handler);
+  async subscribe(channel, handler, options = {}) {
+    this.assertInitialized('subscribe');
+    await this.createServer(channel, handler, options);
     console.log(`Suscrito a canal ${channel}`);
   }
 
@@ -259,20 +1272,119 @@ class TCPTransport extends TransportInterface {
   }
 
   /**
-   * Cierra todas las conexiones TCP
+   * Deja de recibir mensajes nuevos: retira los canales del registro, deja
+   * de aceptar conexiones y de leer de las aceptadas. Los mensajes que
+   * lleguen sin entregarse no se confirman, así que el publicador los
+   * reenviará a otra instancia cuando se cierre la conexión.
+   */
+  async stopConsuming() {
+    for (const channel in this.servers) {
+      this.consumers[channel].stopped = true;
+      if (this.registry) this.registry.removeEndpoint(channel);
+      this.servers[channel].close();
+    }
+    this.servers = {};
+
+    // Las confirmaciones de los mensajes en curso se siguen escribiendo
+    for (const socket of this.sockets) {
+      socket.pause();
+    }
+    console.log('Servidores TCP detenidos');
+  }
+
+  /**
+   * Espera a que el destino confirme todos los mensajes del outbox
+   * @param {number} timeout - Milisegundos máximos de espera
+   * @returns {Promise<boolean>} - true si no queda ningún mensaje sin confirmar
+   */
+  async flush(timeout) {
+    return this.waitUntil(() => this.outbox.size === 0, timeout);
+  }
+
+  /**
+   * Reintenta un mensaje pidiendo al publicador que lo reenvíe tras la espera
+   * @param {string} channel - Canal del que se recibió el mensaje
+   * @param {Object} content - Contenido del mensaje
+   * @param {Object} message - Mensaje recibido (con método nack())
+   * @param {Object} options - { delay, attempt, reason }
+   */
+  async retry(channel, content, message, { delay, attempt, reason }) {
+    message.nack(true, {
+      delay,
+      headers: retryHeaders(message.properties.headers, { attempt, reason })
+    });
+  }
+
+  /**
+   * Guarda un mensaje en la cola de mensajes muertos del canal y lo confirma
+   * @param {string} channel - Canal del que se recibió el mensaje
+   * @param {Object} content - Contenido del mensaje
+   * @param {Object} message - Mensaje recibido (con método ack())
+   * @param {Object} options - { attempts, reason }
+   */
+  async deadLetter(channel, content, message, { attempts, reason }) {
+    const dlq = deadLetterQueueName(channel);
+    const deadLetter = {
+      id: message.id,
+      content: message.content,
+      headers: deadLetterHeaders(message.properties.headers, channel, { attempts, reason })
+    };
+
+    if (this.config.deadLetterDir) {
+      fs.mkdirSync(this.config.deadLetterDir, { recursive: true });
+      fs.appendFileSync(
+        path.join(this.config.deadLetterDir, `${dlq}.jsonl`),
+        `${JSON.stringify(deadLetter)}\n`
+      );
+    } else {
+      this.deadLetters[dlq] = this.deadLetters[dlq] || [];
+      this.deadLetters[dlq].push(deadLetter);
+    }
+
+    message.ack();
+  }
+
+  /**
+   * Cierra todas las conexiones TCP. Los mensajes sin confirmar quedan en el
+   * outbox persistido (si está habilitado) para la próxima ejecución.
    */
   async close() {
     try {
+      this.closing = true;
+      this.initialized = false;
+      clearInterval(this.redeliveryTimer);
+      for (const timer of this.retryTimers) {
+        clearTimeout(timer);
+      }
+      this.retryTimers.clear();
+      for (const channel in this.reconnectTimers) {
+        clearTimeout(this.reconnectTimers[channel]);
+        delete this.reconnectTimers[channel];
+      }
+
       // Cerrar todos los clientes
       for (const channel in this.clients) {
-        this.clients[channel].end();
+        for (const connection of Object.values(this.clients[channel])) {
+          connection.socket.end();
+        }
       }
 
-      // Cerrar todos los servidores
+      // Cerrar las conexiones aceptadas y todos los servidores
+      for (const socket of this.sockets) {
+        socket.destroy();
+      }
       for (const channel in this.servers) {
         this.servers[channel].close();
       }
-      
+      this.servers = {};
+
+      // Dejar de anunciar esta instancia en el registro
+      if (this.registry) this.registry.deregister();
+
+      // Guardar los últimos cambios del outbox (ACK recibidos hasta el cierre)
+      await this.persistOutbox();
+      this.pendingRequests.rejectAll('Transporte cerrado antes de recibir la respuesta');
+
       console.log('Todas las conexiones TCP cerradas');
     } catch (error) {
       console.error('Error cerrando conexiones TCP:', error);
@@ -281,4 +1393,4 @@ class TCPTransport extends TransportInterface {
   }
 }
 
-module.exports = TCPTransport;
\ No newline at end of file
+module.exports = TCPTransport;
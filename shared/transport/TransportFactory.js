@@ -1,26 +1,44 @@
 require('dotenv').config();
 const RabbitMQTransport = require('./RabbitMQTransport');
 const TCPTransport = require('./TCPTransport');
+const MemoryTransport = require('./MemoryTransport');
+const RoutingTransport = require('./RoutingTransport');
 
 /**
  * Fábrica para crear instancias del transporte configurado
  */
 class TransportFactory {
   /**
-   * Crea y devuelve una instancia del transporte configurado en .env
+   * Crea y devuelve una instancia del transporte configurado en .env. Si
+   * TRANSPORT_ROUTES define rutas por cola, devuelve un RoutingTransport que
+   * usa TRANSPORT_TYPE para las colas sin ruta.
    * @param {string} serviceName - Nombre del servicio (necesario para TCP)
    * @returns {Object} - Instancia del transporte
    */
   static createTransport(serviceName) {
-    const transportType = process.env.TRANSPORT_TYPE || 'rabbitmq';
-    
+    if (process.env.TRANSPORT_ROUTES) {
+      console.log(`Creando transporte con rutas por cola: ${process.env.TRANSPORT_ROUTES}`);
+      return new RoutingTransport(type => TransportFactory.createTransportOfType(type));
+    }
+
+    return TransportFactory.createTransportOfType(process.env.TRANSPORT_TYPE || 'rabbitmq');
+  }
+
+  /**
+   * Crea una instancia de un tipo de transporte concreto
+   * @param {string} transportType - rabbitmq, tcp o memory
+   * @returns {Object} - Instancia del transporte
+   */
+  static createTransportOfType(transportType) {
     console.log(`Creando transporte de tipo: ${transportType}`);
-    
+
     switch (transportType.toLowerCase()) {
       case 'rabbitmq':
         return new RabbitMQTransport();
       case 'tcp':
         return new TCPTransport();
+      case 'memory':
+        return new MemoryTransport();
       default:
         console.warn(`Tipo de transporte desconocido: ${transportType}, usando RabbitMQ por defecto`);
         return new RabbitMQTransport();
@@ -28,4 +46,4 @@ class TransportFactory {
   }
 }
 
-module.exports = TransportFactory;
\ No newline at end of file
+module.exports = TransportFactory;
@@ -2,6 +2,23 @@
  * Interfaz abstracta para implementaciones de transporte de mensajes.
  * Cada transporte debe implementar estos métodos para ser compatible
  * con el sistema de mensajería.
+ *
+ * Semántica común que verifica la suite de conformidad
+ * (`shared/transport/conformance`):
+ * - createQueue, publish, request, reply y subscribe fallan con el código
+ *   TRANSPORT_NOT_INITIALIZED antes de initialize() y después de close()
+ * - close() puede llamarse en cualquier momento y más de una vez
+ * - el handler recibe `(content, message)`, donde `message` incluye
+ *   `fields.redelivered`, `fields.routingKey` y `properties.headers`
+ * - los mensajes sin confirmar al cerrarse el consumidor se reentregan con
+ *   `fields.redelivered` en true
+ * - tras stopConsuming() no se entregan mensajes nuevos, pero los ya
+ *   entregados se pueden seguir confirmando
+ * - publishEvent entrega una copia del evento a cada cola enlazada con un
+ *   patrón que coincide con su tema, con el tema en `fields.routingKey`
+ * - de los mensajes que esperan en una cola se entregan antes los de más
+ *   `priority`, y los que pasan su `expiresAt` van a `<cola>.dlq` sin llegar
+ *   al handler
  */
 class TransportInterface {
   /**
@@ -34,19 +51,72 @@ class TransportInterface {
    * Publica un mensaje en una cola/canal específico
    * @param {string} queueName - Nombre de la cola/canal
    * @param {Object} message - Mensaje a publicar
+   * @param {Object} properties - Propiedades de entrega (opcionales):
+   * @param {number} properties.priority - Prioridad de 0 a 9 (0 si no se indica)
+   * @param {number} properties.expiresAt - Milisegundos desde epoch a partir de
+   *   los cuales el mensaje ya no se entrega y pasa a la cola de mensajes muertos
    * @returns {Promise<void>}
    */
-  async publish(queueName, message) {
+  async publish(queueName, message, properties = {}) {
     throw new Error('El método publish debe ser implementado por la clase concreta');
   }
 
+  /**
+   * Publica una petición y espera la respuesta correlacionada
+   * @param {string} queueName - Nombre de la cola/canal
+   * @param {Object} message - Mensaje de la petición
+   * @param {Object} options - Opciones de la petición
+   * @param {number} options.timeout - Milisegundos de espera de la respuesta
+   * @returns {Promise<Object>} - Contenido de la respuesta
+   */
+  async request(queueName, message, options) {
+    throw new Error('El método request debe ser implementado por la clase concreta');
+  }
+
+  /**
+   * Responde a una petición recibida con request
+   * @param {Object} message - Mensaje original de la petición
+   * @param {Object} response - Contenido de la respuesta
+   * @returns {Promise<void>}
+   */
+  async reply(message, response) {
+    throw new Error('El método reply debe ser implementado por la clase concreta');
+  }
+
+  /**
+   * Publica un evento en un tema. Cada cola enlazada con un patrón que
+   * coincide con el tema recibe una copia; sin colas enlazadas el evento se
+   * descarta sin error, como en un exchange de tipo topic.
+   * @param {string} topic - Tema del evento (por ejemplo `order.created`)
+   * @param {Object} message - Evento a publicar
+   * @param {Object} properties - Propiedades adicionales del mensaje
+   * @returns {Promise<void>}
+   */
+  async publishEvent(topic, message, properties = {}) {
+    throw new Error('El método publishEvent debe ser implementado por la clase concreta');
+  }
+
+  /**
+   * Crea una cola si no existe y la enlaza a los eventos cuyo tema coincide
+   * con un patrón (`*` sustituye a una palabra y `#` a cero o más)
+   * @param {string} queueName - Nombre de la cola
+   * @param {string} pattern - Patrón de temas, por ejemplo `order.*`
+   * @returns {Promise<void>}
+   */
+  async bindTopic(queueName, pattern) {
+    throw new Error('El método bindTopic debe ser implementado por la clase concreta');
+  }
+
   /**
    * Suscribe a una cola/canal para recibir mensajes
    * @param {string} queueName - Nombre de la cola/canal
    * @param {Function} handler - Función callback para procesar mensajes
+   * @param {Object} options - Opciones de la suscripción
+   * @param {number} options.prefetch - Máximo de mensajes entregados al handler
+   *   sin confirmar; el transporte no entrega más hasta que se confirmen
    * @returns {Promise<void>}
    */
-  async subscribe(queueName, handler) {
+  async subscribe(queueName, handler, options = {}) {
     throw new Error('El método subscribe debe ser implementado por la clase concreta');
   }
 
@@ -59,6 +129,86 @@ class TransportInterface {
     throw new Error('El método acknowledge debe ser implementado por la clase concreta');
   }
 
+  /**
+   * Deja de recibir mensajes nuevos de todas las suscripciones sin cerrar el
+   * transporte. Los mensajes ya entregados se pueden seguir confirmando y las
+   * respuestas de las peticiones en curso se siguen recibiendo; los que
+   * lleguen sin entregarse vuelven a la cola al cerrar.
+   * @returns {Promise<void>}
+   */
+  async stopConsuming() {
+    throw new Error('El método stopConsuming debe ser implementado por la clase concreta');
+  }
+
+  /**
+   * Espera a que las publicaciones pendientes lleguen a su destino (por
+   * ejemplo las retenidas durante una reconexión o sin confirmar)
+   * @param {number} timeout - Milisegundos máximos de espera
+   * @returns {Promise<boolean>} - true si no queda ninguna publicación pendiente
+   */
+  async flush(timeout) {
+    throw new Error('El método flush debe ser implementado por la clase concreta');
+  }
+
+  /**
+   * Vuelve a entregar un mensaje en la misma cola tras una espera y confirma
+   * la entrega original. El mensaje reenviado debe incluir la cabecera
+   * `x-retry-count` con el número de intento en `properties.headers`.
+   * @param {string} queueName - Cola de la que se recibió el mensaje
+   * @param {Object} content - Contenido del mensaje
+   * @param {Object} message - Mensaje original del transporte
+   * @param {Object} options - { delay, attempt, reason }
+   * @returns {Promise<void>}
+   */
+  async retry(queueName, content, message, options) {
+    throw new Error('El método retry debe ser implementado por la clase concreta');
+  }
+
+  /**
+   * Mueve un mensaje a la cola de mensajes muertos `<cola>.dlq` registrando
+   * el motivo del fallo, y confirma la entrega original
+   * @param {string} queueName - Cola de la que se recibió el mensaje
+   * @param {Object} content - Contenido del mensaje
+   * @param {Object} message - Mensaje original del transporte
+   * @param {Object} options - { attempts, reason }
+   * @returns {Promise<void>}
+   */
+  async deadLetter(queueName, content, message, options) {
+    throw new Error('El método deadLetter debe ser implementado por la clase concreta');
+  }
+
+  /**
+   * Comprueba que el transporte esté inicializado y no se haya cerrado. Las
+   * implementaciones lo llaman al inicio de las operaciones para que todas
+   * fallen igual, en vez de con errores internos distintos.
+   * @param {string} operation - Nombre de la operación solicitada
+   * @throws {Error} - Con código TRANSPORT_NOT_INITIALIZED
+   */
+  assertInitialized(operation) {
+    if (this.initialized) return;
+
+    const error = new Error(`No se puede ejecutar ${operation}: el transporte no está inicializado o ya se cerró`);
+    error.code = 'TRANSPORT_NOT_INITIALIZED';
+    error.retryable = false;
+    throw error;
+  }
+
+  /**
+   * Espera a que se cumpla una condición comprobándola periódicamente
+   * @param {Function} condition - () => boolean
+   * @param {number} timeout - Milisegundos máximos de espera
+   * @returns {Promise<boolean>} - true si la condición se cumplió a tiempo
+   */
+  async waitUntil(condition, timeout) {
+    const deadline = Date.now() + timeout;
+
+    while (!condition()) {
+      if (Date.now() >= deadline) return false;
+      await new Promise(resolve => setTimeout(resolve, 50));
+    }
+    return true;
+  }
+
   /**
    * Cierra las conexiones del transporte
    * @returns {Promise<void>}
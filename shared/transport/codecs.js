@@ -0,0 +1,201 @@
+const zlib = require('zlib');
+const msgpack = require('@msgpack/msgpack');
+const { MAX_FRAME_SIZE } = require('./FrameCodec');
+
+/**
+ * Códecs de serialización y compresión de los mensajes.
+ *
+ * Los transportes serializan cada mensaje con el códec elegido para su cola
+ * y anuncian el formato en el propio mensaje (`contentType` y
+ * `contentEncoding`), de modo que un consumidor decodifica correctamente el
+ * tráfico mixto mientras se cambia de códec. Un mensaje sin `contentType`
+ * se considera JSON sin comprimir, el formato anterior a los códecs.
+ */
+
+// Códecs de serialización por nombre
+const CODECS = {
+  json: {
+    contentType: 'application/json',
+    encode: (message) => Buffer.from(JSON.stringify(message), 'utf8'),
+    decode: (buffer) => JSON.parse(buffer.toString('utf8'))
+  },
+  // Binario y compacto; conserva los Date como fechas en vez de convertirlos en texto
+  msgpack: {
+    contentType: 'application/msgpack',
+    encode: (message) => Buffer.from(msgpack.encode(message)),
+    decode: (buffer) => msgpack.decode(buffer)
+  }
+};
+
+// Tamaño máximo de un mensaje descomprimido: el mismo que el de una trama,
+// para que un mensaje pequeño no se expanda hasta agotar la memoria. zlib
+// aplica el límite (maxOutputLength) desde Node 14.10, la versión mínima en
+// `engines`; las anteriores lo ignoran sin avisar
+const MAX_DECOMPRESSED_SIZE = MAX_FRAME_SIZE;
+
+/**
+ * Descomprime un mensaje sin superar MAX_DECOMPRESSED_SIZE
+ * @param {Function} method - zlib.gunzipSync o zlib.inflateSync
+ * @param {Buffer} buffer - Contenido comprimido
+ * @returns {Buffer} - Contenido descomprimido
+ * @throws {Error} - Si el contenido descomprimido excede el tamaño máximo
+ */
+function decompressLimited(method, buffer) {
+  try {
+    return method(buffer, { maxOutputLength: MAX_DECOMPRESSED_SIZE });
+  } catch (error) {
+    if (error.code === 'ERR_BUFFER_TOO_LARGE') {
+      throw new Error(`Mensaje descomprimido demasiado grande (máximo ${MAX_DECOMPRESSED_SIZE} bytes)`);
+    }
+    throw error;
+  }
+}
+
+// Compresiones por nombre (el nombre es el contentEncoding anunciado)
+const COMPRESSIONS = {
+  gzip: {
+    compress: (buffer) => zlib.gzipSync(buffer),
+    decompress: (buffer) => decompressLimited(zlib.gunzipSync, buffer)
+  },
+  deflate: {
+    compress: (buffer) => zlib.deflateSync(buffer),
+    decompress: (buffer) => decompressLimited(zlib.inflateSync, buffer)
+  }
+};
+
+/**
+ * Comprueba que un códec y una compresión configurados existen
+ * @param {string} where - Origen de la configuración, para el error
+ * @param {string} codec - Nombre del códec
+ * @param {string|null} compression - Nombre de la compresión (o null)
+ * @throws {Error} - Si el códec o la compresión son desconocidos
+ */
+function assertSerialization(where, codec, compression) {
+  if (!CODECS[codec]) {
+    throw new Error(`Códec desconocido en ${where}: "${codec}" (disponibles: ${Object.keys(CODECS).join(', ')})`);
+  }
+  if (compression && !COMPRESSIONS[compression]) {
+    throw new Error(`Compresión desconocida en ${where}: "${compression}" (disponibles: ${Object.keys(COMPRESSIONS).join(', ')})`);
+  }
+}
+
+/**
+ * Lee la serialización configurada por variables de entorno:
+ * - MESSAGE_CODEC: códec por defecto (json)
+ * - MESSAGE_COMPRESSION: compresión por defecto (ninguna)
+ * - MESSAGE_QUEUE_CODECS: excepciones por cola, por ejemplo
+ *   `order_service_queue=msgpack+gzip,payment_service_queue=json`
+ * @returns {Object} - { codec, compression, queues }
+ * @throws {Error} - Si una regla está mal formada o nombra un códec o una
+ *   compresión desconocidos
+ */
+function serializationFromEnv() {
+  const queues = {};
+
+  for (const rule of (process.env.MESSAGE_QUEUE_CODECS || '').split(',')) {
+    if (!rule.trim()) continue;
+
+    const [queue, format] = rule.split('=').map(part => part.trim());
+    if (!queue || !format) {
+      throw new Error(`Códec por cola inválido en MESSAGE_QUEUE_CODECS: "${rule}" (use cola=códec[+compresión])`);
+    }
+
+    const [codec, compression] = format.split('+').map(part => part.trim());
+    assertSerialization(`MESSAGE_QUEUE_CODECS (${queue})`, codec, compression);
+    queues[queue] = { codec, compression: compression || null };
+  }
+
+  const codec = process.env.MESSAGE_CODEC || 'json';
+  const compression = process.env.MESSAGE_COMPRESSION || null;
+  assertSerialization('MESSAGE_CODEC/MESSAGE_COMPRESSION', codec, compression);
+
+  return { codec, compression, queues };
+}
+
+/**
+ * Obtiene el códec y la compresión que se usan para publicar en una cola
+ * @param {Object} serialization - Configuración { codec, compression, queues }
+ * @param {string} queue - Nombre de la cola
+ * @returns {Object} - { codec, compression }
+ */
+function resolveSerialization(serialization, queue) {
+  const { codec, compression } = { ...serialization, ...(serialization.queues || {})[queue] };
+  return { codec, compression };
+}
+
+/**
+ * Serializa un mensaje
+ * @param {Object} message - Mensaje a serializar
+ * @param {Object} options - { codec, compression }
+ * @returns {Object} - { content: Buffer, contentType, contentEncoding }
+ */
+function encode(message, { codec = 'json', compression = null } = {}) {
+  const selected = CODECS[codec];
+  if (!selected) {
+    throw new Error(`Códec desconocido: ${codec}`);
+  }
+
+  let content = selected.encode(message);
+
+  if (compression) {
+    if (!COMPRESSIONS[compression]) {
+      throw new Error(`Compresión desconocida: ${compression}`);
+    }
+    content = COMPRESSIONS[compression].compress(content);
+  }
+
+  return {
+    content,
+    contentType: selected.contentType,
+    contentEncoding: compression || undefined
+  };
+}
+
+/**
+ * Deserializa un mensaje según el formato que anuncia
+ * @param {Buffer} content - Contenido recibido
+ * @param {Object} properties - { contentType, contentEncoding } del mensaje
+ * @returns {Object} - Mensaje decodificado
+ * @throws {Error} - Si el formato es desconocido, el contenido es ilegible o
+ *   descomprimido excede el tamaño máximo de una trama
+ */
+function decode(content, { contentType, contentEncoding } = {}) {
+  let buffer = content;
+
+  if (contentEncoding) {
+    if (!COMPRESSIONS[contentEncoding]) {
+      throw new Error(`Compresión desconocida: ${contentEncoding}`);
+    }
+    buffer = COMPRESSIONS[contentEncoding].decompress(buffer);
+  }
+
+  const codec = contentType
+    ? Object.values(CODECS).find(candidate => candidate.contentType === contentType)
+    : CODECS.json;
+
+  if (!codec) {
+    throw new Error(`Tipo de contenido desconocido: ${contentType}`);
+  }
+
+  return codec.decode(buffer);
+}
+
+/**
+ * Registra un códec adicional. Debe registrarse antes de crear los
+ * transportes, que comprueban los códecs configurados al crearse
+ * @param {string} name - Nombre con el que se selecciona (MESSAGE_CODEC)
+ * @param {Object} codec - { contentType, encode(message) => Buffer, decode(Buffer) => message }
+ */
+function registerCodec(name, codec) {
+  CODECS[name] = codec;
+}
+
+module.exports = {
+  CODECS,
+  COMPRESSIONS,
+  serializationFromEnv,
+  resolveSerialization,
+  encode,
+  decode,
+  registerCodec
+};
@@ -0,0 +1,438 @@
+const assert = require('assert');
+
+/**
+ * Comprobaciones de la suite de conformidad. Cada caso recibe un contexto
+ * con utilidades para crear transportes y colas aisladas (ver index.js) y
+ * falla lanzando un error de `assert`.
+ */
+
+// Mensaje con los tipos de valor que los transportes deben conservar
+const SAMPLE_MESSAGE = {
+  type: 'CONFORMANCE_CHECK',
+  data: {
+    orderId: 'orden-ñ-1',
+    items: [{ id: 'item1', quantity: 2 }],
+    total: 99.95,
+    paid: false,
+    notes: null
+  }
+};
+
+module.exports = [
+  {
+    name: 'las operaciones fallan antes de initialize()',
+    async run(t) {
+      const transport = await t.create();
+      const queue = t.queue('uninitialized');
+      const notInitialized = { code: 'TRANSPORT_NOT_INITIALIZED' };
+
+      await assert.rejects(transport.createQueue(queue), notInitialized);
+      await assert.rejects(transport.publish(queue, SAMPLE_MESSAGE), notInitialized);
+      await assert.rejects(transport.subscribe(queue, () => {}), notInitialized);
+      await assert.rejects(transport.request(queue, SAMPLE_MESSAGE, { timeout: 100 }), notInitialized);
+
+      // Cerrar un transporte sin inicializar no es un error
+      await transport.close();
+    }
+  },
+
+  {
+    name: 'publish entrega el contenido intacto a subscribe',
+    async run(t) {
+      const queue = t.queue('roundtrip');
+      const consumer = await t.open('conformance-consumer');
+      const publisher = await t.open('conformance-publisher');
+      const received = [];
+
+      await consumer.createQueue(queue);
+      await consumer.subscribe(queue, (content, message) => {
+        received.push({ content, message });
+        consumer.acknowledge(message);
+      });
+      await publisher.publish(queue, SAMPLE_MESSAGE);
+
+      await t.waitFor(() => received.length === 1, 'el mensaje publicado');
+      const [{ content, message }] = received;
+
+      assert.deepStrictEqual(content, SAMPLE_MESSAGE);
+      assert.strictEqual(typeof message.properties.headers, 'object');
+      assert.strictEqual(message.fields.redelivered, false);
+      assert.strictEqual(message.fields.routingKey, queue);
+    }
+  },
+
+  {
+    name: 'un mensaje confirmado no se reentrega',
+    async run(t) {
+      const queue = t.queue('ack');
+      const consumer = await t.open('conformance-consumer');
+      const publisher = await t.open('conformance-publisher');
+      let deliveries = 0;
+
+      await consumer.subscribe(queue, (content, message) => {
+        deliveries++;
+        consumer.acknowledge(message);
+      });
+      await publisher.publish(queue, SAMPLE_MESSAGE);
+
+      await t.waitFor(() => deliveries === 1, 'el mensaje publicado');
+      await t.sleep(t.settleTime);
+      assert.strictEqual(deliveries, 1);
+    }
+  },
+
+  {
+    name: 'un mensaje sin confirmar se reentrega al cerrar el consumidor',
+    async run(t) {
+      const queue = t.queue('redelivery');
+      const publisher = await t.open('conformance-publisher');
+      const first = await t.open('conformance-consumer');
+      const firstDeliveries = [];
+
+      // El primer consumidor recibe el mensaje pero no lo confirma
+      await first.subscribe(queue, (content, message) => firstDeliveries.push(message));
+      await publisher.publish(queue, SAMPLE_MESSAGE);
+      await t.waitFor(() => firstDeliveries.length === 1, 'la primera entrega');
+      await first.close();
+
+      const second = await t.open('conformance-consumer');
+      const secondDeliveries = [];
+
+      await second.subscribe(queue, (content, message) => {
+        secondDeliveries.push({ content, message });
+        second.acknowledge(message);
+      });
+
+      await t.waitFor(() => secondDeliveries.length === 1, 'la reentrega');
+      assert.deepStrictEqual(secondDeliveries[0].content, SAMPLE_MESSAGE);
+      assert.strictEqual(secondDeliveries[0].message.fields.redelivered, true);
+    }
+  },
+
+  {
+    name: 'los consumidores de una cola se reparten los mensajes y se sustituyen al caer',
+    async run(t) {
+      const queue = t.queue('competing');
+      const first = await t.open('conformance-consumer');
+      const second = await t.open('conformance-consumer');
+      const publisher = await t.open('conformance-publisher');
+      const held = []; // Entregas al primer consumidor, que nunca confirma
+      const confirmed = [];
+
+      await first.subscribe(queue, (content) => held.push(content.data.sequence));
+      await second.subscribe(queue, (content, message) => {
+        confirmed.push({ sequence: content.data.sequence, redelivered: message.fields.redelivered });
+        second.acknowledge(message);
+      });
+
+      for (let sequence = 0; sequence < 6; sequence++) {
+        await publisher.publish(queue, { type: 'CONFORMANCE_SEQUENCE', data: { sequence } });
+      }
+      await t.waitFor(() => held.length + confirmed.length === 6, 'las seis entregas');
+      assert.ok(held.length > 0 && confirmed.length > 0, `reparto desigual: ${held.length} y ${confirmed.length}`);
+
+      // Los mensajes sin confirmar del consumidor caído pasan al otro
+      await first.close();
+      await t.waitFor(() => confirmed.length === 6, 'la reentrega al otro consumidor');
+
+      const sequences = confirmed.map(({ sequence }) => sequence).sort((a, b) => a - b);
+      assert.deepStrictEqual(sequences, [0, 1, 2, 3, 4, 5]);
+      for (const { sequence, redelivered } of confirmed) {
+        assert.strictEqual(redelivered, held.includes(sequence));
+      }
+    }
+  },
+
+  {
+    name: 'retry vuelve a entregar el mensaje con x-retry-count',
+    async run(t) {
+      const queue = t.queue('retry');
+      const consumer = await t.open('conformance-consumer');
+      const publisher = await t.open('conformance-publisher');
+      const deliveries = [];
+
+      await consumer.subscribe(queue, (content, message) => {
+        deliveries.push(message);
+
+        if (deliveries.length === 1) {
+          consumer.retry(queue, content, message, { delay: 50, attempt: 1, reason: 'prueba de conformidad' });
+        } else {
+          consumer.acknowledge(message);
+        }
+      });
+      await publisher.publish(queue, SAMPLE_MESSAGE);
+
+      await t.waitFor(() => deliveries.length === 2, 'el reintento');
+      assert.strictEqual(Number(deliveries[1].properties.headers['x-retry-count']), 1);
+
+      await t.sleep(t.settleTime);
+      assert.strictEqual(deliveries.length, 2);
+    }
+  },
+
+  {
+    name: 'deadLetter confirma la entrega original',
+    async run(t) {
+      const queue = t.queue('dead-letter');
+      const consumer = await t.open('conformance-consumer');
+      const publisher = await t.open('conformance-publisher');
+      let deliveries = 0;
+
+      await consumer.subscribe(queue, (content, message) => {
+        deliveries++;
+        consumer.deadLetter(queue, content, message, { attempts: 1, reason: 'prueba de conformidad' });
+      });
+      await publisher.publish(queue, SAMPLE_MESSAGE);
+
+      await t.waitFor(() => deliveries === 1, 'el mensaje publicado');
+      await t.sleep(t.settleTime);
+      assert.strictEqual(deliveries, 1);
+    }
+  },
+
+  {
+    name: 'los mensajes de un publicador llegan en orden',
+    async run(t) {
+      const queue = t.queue('ordering');
+      const consumer = await t.open('conformance-consumer');
+      const publisher = await t.open('conformance-publisher');
+      const total = 20;
+      const received = [];
+
+      await consumer.subscribe(queue, (content, message) => {
+        received.push(content.data.sequence);
+        consumer.acknowledge(message);
+      }, { prefetch: 1 });
+
+      for (let sequence = 0; sequence < total; sequence++) {
+        await publisher.publish(queue, { type: 'CONFORMANCE_SEQUENCE', data: { sequence } });
+      }
+
+      await t.waitFor(() => received.length === total, `${total} mensajes`);
+      assert.deepStrictEqual(received, [...Array(total).keys()]);
+    }
+  },
+
+  {
+    name: 'los mensajes en espera con más prioridad se entregan antes',
+    async run(t) {
+      const queue = t.queue('priority');
+      const consumer = await t.open('conformance-consumer');
+      const publisher = await t.open('conformance-publisher');
+      const received = [];
+
+      // Publicar antes de suscribirse para que todos esperen a la vez
+      await consumer.createQueue(queue);
+      const priorities = [0, 5, 1, 9, 5];
+      for (const [index, priority] of priorities.entries()) {
+        await publisher.publish(queue, { ...SAMPLE_MESSAGE, data: { index } }, { priority });
+      }
+
+      await consumer.subscribe(queue, (content, message) => {
+        received.push(content.data.index);
+        consumer.acknowledge(message);
+      }, { prefetch: 1 });
+
+      await t.waitFor(() => received.length === priorities.length, 'los mensajes publicados');
+      // Mayor prioridad primero y, con la misma prioridad, en orden de publicación
+      assert.deepStrictEqual(received, [3, 1, 4, 2, 0]);
+    }
+  },
+
+  {
+    name: 'los mensajes caducados no se entregan',
+    async run(t) {
+      const queue = t.queue('expiration');
+      const consumer = await t.open('conformance-consumer');
+      const publisher = await t.open('conformance-publisher');
+      const received = [];
+
+      await consumer.createQueue(queue);
+      await publisher.publish(queue, { ...SAMPLE_MESSAGE, data: { index: 0 } }, { expiresAt: Date.now() + 100 });
+      await publisher.publish(queue, { ...SAMPLE_MESSAGE, data: { index: 1 } }, { expiresAt: Date.now() + 60000 });
+      await publisher.publish(queue, { ...SAMPLE_MESSAGE, data: { index: 2 } });
+      await t.sleep(200);
+
+      await consumer.subscribe(queue, (content, message) => {
+        received.push(content.data.index);
+        consumer.acknowledge(message);
+      });
+
+      await t.waitFor(() => received.length === 2, 'los mensajes sin caducar');
+      await t.sleep(t.settleTime);
+      assert.deepStrictEqual(received, [1, 2]);
+    }
+  },
+
+  {
+    name: 'prefetch limita los mensajes sin confirmar',
+    async run(t) {
+      const queue = t.queue('prefetch');
+      const consumer = await t.open('conformance-consumer');
+      const publisher = await t.open('conformance-publisher');
+      const pending = [];
+
+      await consumer.subscribe(queue, (content, message) => pending.push(message), { prefetch: 2 });
+      for (let sequence = 0; sequence < 5; sequence++) {
+        await publisher.publish(queue, { type: 'CONFORMANCE_SEQUENCE', data: { sequence } });
+      }
+
+      await t.waitFor(() => pending.length === 2, 'las dos primeras entregas');
+      await t.sleep(t.settleTime);
+      assert.strictEqual(pending.length, 2);
+
+      // Confirmar uno libera capacidad para exactamente un mensaje más
+      await consumer.acknowledge(pending[0]);
+      await t.waitFor(() => pending.length === 3, 'la entrega tras el ack');
+      await t.sleep(t.settleTime);
+      assert.strictEqual(pending.length, 3);
+    }
+  },
+
+  {
+    name: 'request recibe la respuesta de reply',
+    async run(t) {
+      const queue = t.queue('request');
+      const responder = await t.open('conformance-responder');
+      const requester = await t.open('conformance-requester');
+
+      await responder.subscribe(queue, async (content, message) => {
+        await responder.reply(message, { echo: content.data });
+        await responder.acknowledge(message);
+      });
+
+      const response = await requester.request(queue, SAMPLE_MESSAGE, { timeout: t.timeout });
+      assert.deepStrictEqual(response, { echo: SAMPLE_MESSAGE.data });
+    }
+  },
+
+  {
+    name: 'request sin respuesta falla con REQUEST_TIMEOUT',
+    async run(t) {
+      const requester = await t.open('conformance-requester');
+
+      await assert.rejects(
+        requester.request(t.queue('request-timeout'), SAMPLE_MESSAGE, { timeout: 100 }),
+        { code: 'REQUEST_TIMEOUT' }
+      );
+    }
+  },
+
+  {
+    name: 'publishEvent entrega a las colas con un patrón que coincide',
+    async run(t) {
+      // Prefijo único para que los patrones no reciban eventos de otros casos
+      const prefix = t.queue('topics').replace(/\./g, '-');
+      const consumer = await t.open('conformance-consumer');
+      const publisher = await t.open('conformance-publisher');
+      const received = { one: [], many: [], payments: [] };
+
+      const bindings = [
+        ['one', `${prefix}.order.*`],
+        ['many', `${prefix}.order.#`],
+        ['payments', `${prefix}.payment.*`]
+      ];
+      for (const [label, pattern] of bindings) {
+        const queue = t.queue(`topics-${label}`);
+        await consumer.bindTopic(queue, pattern);
+        await consumer.subscribe(queue, (content, message) => {
+          received[label].push(message.fields.routingKey);
+          consumer.acknowledge(message);
+        });
+      }
+
+      await publisher.publishEvent(`${prefix}.order.created`, SAMPLE_MESSAGE);
+      await publisher.publishEvent(`${prefix}.order.item.added`, SAMPLE_MESSAGE);
+      // Un evento sin suscripciones se descarta sin error
+      await publisher.publishEvent(`${prefix}.shipping.sent`, SAMPLE_MESSAGE);
+
+      await t.waitFor(() => received.one.length === 1 && received.many.length === 2, 'los eventos publicados');
+      await t.sleep(t.settleTime);
+
+      assert.deepStrictEqual(received.one, [`${prefix}.order.created`]);
+      assert.deepStrictEqual(received.many.sort(), [`${prefix}.order.created`, `${prefix}.order.item.added`]);
+      assert.deepStrictEqual(received.payments, []);
+    }
+  },
+
+  {
+    name: 'stopConsuming detiene las entregas nuevas sin perder mensajes',
+    async run(t) {
+      const queue = t.queue('stop-consuming');
+      const publisher = await t.open('conformance-publisher');
+      const first = await t.open('conformance-consumer');
+      const firstDeliveries = [];
+
+      await first.subscribe(queue, (content, message) => firstDeliveries.push(message));
+      await publisher.publish(queue, { type: 'CONFORMANCE_SEQUENCE', data: { sequence: 0 } });
+      await t.waitFor(() => firstDeliveries.length === 1, 'la primera entrega');
+
+      await first.stopConsuming();
+      await publisher.publish(queue, { type: 'CONFORMANCE_SEQUENCE', data: { sequence: 1 } });
+      await t.sleep(t.settleTime);
+      assert.strictEqual(firstDeliveries.length, 1);
+
+      // El mensaje que estaba en curso todavía se puede confirmar
+      await first.acknowledge(firstDeliveries[0]);
+      await first.close();
+
+      // El mensaje publicado tras stopConsuming lo recibe otro consumidor
+      const second = await t.open('conformance-consumer');
+      const received = [];
+
+      await second.subscribe(queue, (content, message) => {
+        received.push(content.data.sequence);
+        second.acknowledge(message);
+      });
+
+      await t.waitFor(() => received.length === 1, 'el mensaje publicado tras stopConsuming');
+      await t.sleep(t.settleTime);
+      assert.deepStrictEqual(received, [1]);
+    }
+  },
+
+  {
+    name: 'flush espera a que se entreguen las publicaciones',
+    async run(t) {
+      const queue = t.queue('flush');
+      const consumer = await t.open('conformance-consumer');
+      const publisher = await t.open('conformance-publisher');
+
+      await consumer.subscribe(queue, (content, message) => consumer.acknowledge(message));
+      for (let sequence = 0; sequence < 5; sequence++) {
+        await publisher.publish(queue, { type: 'CONFORMANCE_SEQUENCE', data: { sequence } });
+      }
+
+      assert.strictEqual(await publisher.flush(t.timeout), true);
+    }
+  },
+
+  {
+    name: 'close detiene las entregas y las operaciones posteriores fallan',
+    async run(t) {
+      const queue = t.queue('close');
+      const consumer = await t.open('conformance-consumer');
+      const publisher = await t.open('conformance-publisher');
+      let deliveries = 0;
+
+      await consumer.subscribe(queue, (content, message) => {
+        deliveries++;
+        consumer.acknowledge(message);
+      });
+      await publisher.publish(queue, SAMPLE_MESSAGE);
+      await t.waitFor(() => deliveries === 1, 'el mensaje publicado');
+
+      await consumer.close();
+      // Cerrar dos veces no es un error
+      await consumer.close();
+
+      // El consumidor cerrado ya no recibe lo que se publica después
+      await publisher.publish(queue, SAMPLE_MESSAGE).catch(() => {});
+      await t.sleep(t.settleTime);
+      assert.strictEqual(deliveries, 1);
+
+      await assert.rejects(consumer.publish(queue, SAMPLE_MESSAGE), { code: 'TRANSPORT_NOT_INITIALIZED' });
+      await assert.rejects(consumer.subscribe(queue, () => {}), { code: 'TRANSPORT_NOT_INITIALIZED' });
+    }
+  }
+];
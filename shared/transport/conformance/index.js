@@ -0,0 +1,149 @@
+const { v4: uuidv4 } = require('uuid');
+const cases = require('./cases');
+
+/**
+ * Suite de conformidad de los transportes. Comprueba que una implementación
+ * de TransportInterface cumple la semántica que espera MessageService:
+ * publish/subscribe, ack, reentrega, reintentos, orden, prioridad,
+ * caducidad, prefetch, request/reply, eventos por tema, close y el
+ * comportamiento antes de initialize().
+ *
+ * Uso desde un transporte nuevo:
+ *
+ *   const { runConformance } = require('shared/transport/conformance');
+ *
+ *   const report = await runConformance({
+ *     name: 'mi-transporte',
+ *     createTransport: () => new MiTransporte()
+ *   });
+ *
+ * Cada caso se ejecuta con sus propias colas y transportes, que se cierran
+ * al terminar el caso aunque falle.
+ */
+
+/**
+ * Ejecuta la suite contra un transporte
+ * @param {Object} options - Opciones de la ejecución
+ * @param {string} options.name - Nombre del transporte en el informe
+ * @param {Function} options.createTransport - (state, options) => transporte sin inicializar;
+ *   `options` son los ajustes de configuración que pide el caso (opcional)
+ * @param {Function} options.setup - async () => state, se ejecuta antes de cada caso (opcional)
+ * @param {Function} options.teardown - async (state) => void, se ejecuta después de cada caso (opcional)
+ * @param {number} options.timeout - Milisegundos máximos por espera y por caso (5000 por defecto)
+ * @param {number} options.settleTime - Milisegundos que se espera para confirmar que algo NO ocurre (300 por defecto)
+ * @param {Function} options.onResult - Callback que recibe el resultado de cada caso (opcional)
+ * @param {Object[]} options.extraCases - Casos propios del transporte que se ejecutan tras los comunes (opcional)
+ * @returns {Promise<Object>} - { name, passed, failed, results: [{ name, ok, error, duration }] }
+ */
+async function runConformance(options) {
+  const {
+    name,
+    createTransport,
+    setup = async () => ({}),
+    teardown = async () => {},
+    timeout = 5000,
+    settleTime = 300,
+    onResult = () => {},
+    extraCases = []
+  } = options;
+
+  const results = [];
+
+  for (const testCase of [...cases, ...extraCases]) {
+    const state = await setup();
+    const transports = [];
+    const context = createContext({ state, transports, createTransport, timeout, settleTime });
+    const startedAt = Date.now();
+    let error = null;
+
+    try {
+      await withTimeout(testCase.run(context), timeout * 2, `El caso no terminó en ${timeout * 2} ms`);
+    } catch (caseError) {
+      error = caseError;
+    } finally {
+      for (const transport of transports) {
+        await transport.close().catch(() => {});
+      }
+      await teardown(state);
+    }
+
+    const result = { name: testCase.name, ok: !error, error, duration: Date.now() - startedAt };
+    results.push(result);
+    onResult(result);
+  }
+
+  return {
+    name,
+    passed: results.filter(result => result.ok).length,
+    failed: results.filter(result => !result.ok).length,
+    results
+  };
+}
+
+/**
+ * Crea el contexto que reciben los casos
+ * @param {Object} options - { state, transports, createTransport, timeout, settleTime }
+ * @returns {Object} - Contexto del caso
+ */
+function createContext({ state, transports, createTransport, timeout, settleTime }) {
+  return {
+    timeout,
+    settleTime,
+
+    // Crea un transporte sin inicializar que se cerrará al terminar el caso
+    async create(options) {
+      const transport = await createTransport(state, options);
+      transports.push(transport);
+      return transport;
+    },
+
+    // Crea e inicializa un transporte para un servicio
+    async open(serviceName, options) {
+      const transport = await this.create(options);
+      await transport.initialize(serviceName);
+      return transport;
+    },
+
+    // Nombre de cola único para no mezclar mensajes entre casos
+    queue(label) {
+      return `conformance.${label}.${uuidv4().slice(0, 8)}`;
+    },
+
+    sleep(ms) {
+      return new Promise(resolve => setTimeout(resolve, ms));
+    },
+
+    // Espera a que se cumpla una condición o falla al agotar el timeout
+    async waitFor(condition, description) {
+      const deadline = Date.now() + timeout;
+
+      while (!condition()) {
+        if (Date.now() > deadline) {
+          throw new Error(`No se recibió ${description} en ${timeout} ms`);
+        }
+        await this.sleep(10);
+      }
+    }
+  };
+}
+
+/**
+ * Rechaza una promesa que no termina a tiempo
+ * @param {Promise} promise - Promesa a esperar
+ * @param {number} ms - Milisegundos máximos de espera
+ * @param {string} message - Mensaje del error por timeout
+ * @returns {Promise} - Resultado de la promesa original
+ */
+function withTimeout(promise, ms, message) {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(message)), ms);
+  });
+
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+module.exports = {
+  cases,
+  runConformance
+};
@@ -0,0 +1,168 @@
+#!/usr/bin/env node
+require('dotenv').config();
+const { execFileSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const MemoryBroker = require('../MemoryBroker');
+const MemoryTransport = require('../MemoryTransport');
+const TCPTransport = require('../TCPTransport');
+const RabbitMQTransport = require('../RabbitMQTransport');
+const RoutingTransport = require('../RoutingTransport');
+const { runConformance } = require('./index');
+const tcpSecurityCases = require('./tcpSecurityCases');
+
+/**
+ * Ejecuta la suite de conformidad contra los transportes indicados:
+ *
+ *   node transport/conformance/run.js [memory] [tcp] [tcp-tls] [routing] [rabbitmq] [--verbose]
+ *
+ * Sin argumentos se ejecuta contra `memory`, `tcp`, `tcp-tls` y `routing`
+ * (rutas sobre memoria), que no necesitan servicios externos. `tcp-tls` usa
+ * TLS con autenticación mutua y el saludo de autenticación, con certificados
+ * autofirmados que genera scripts/generate-tcp-certs.sh (requiere openssl).
+ * `rabbitmq` usa el broker de RABBITMQ_URL. Los logs de los transportes se
+ * ocultan salvo con --verbose. Termina con código 1 si algún caso falla.
+ */
+
+// Secreto compartido del saludo de autenticación en el target tcp-tls
+const AUTH_SECRET = 'secreto-de-conformidad';
+
+// Directorio de los certificados de tcp-tls, generados una vez por ejecución
+let certsDir = null;
+
+/**
+ * Genera los certificados autofirmados de tcp-tls en un directorio temporal,
+ * que se borra al terminar el proceso
+ * @returns {string} - Directorio con ca.crt, tcp.crt y tcp.key
+ */
+function generateCerts() {
+  if (certsDir) return certsDir;
+
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'conformance-certs-'));
+  process.on('exit', () => fs.rmSync(dir, { recursive: true, force: true }));
+
+  const script = path.join(__dirname, '..', '..', '..', 'scripts', 'generate-tcp-certs.sh');
+  execFileSync('bash', [script, dir], {
+    env: { ...process.env, CERT_HOSTS: 'localhost,127.0.0.1' },
+    stdio: 'ignore'
+  });
+
+  certsDir = dir;
+  return certsDir;
+}
+
+// Transportes disponibles: cada uno con su creación y su preparación por caso
+const TARGETS = {
+  memory: {
+    // Un broker nuevo por caso para que no queden mensajes de casos anteriores
+    setup: async () => ({ broker: new MemoryBroker() }),
+    createTransport: ({ broker }) => {
+      const transport = new MemoryTransport();
+      transport.setConfig({ broker });
+      return transport;
+    },
+    teardown: async ({ broker }) => broker.reset()
+  },
+
+  tcp: {
+    // Un registro de servicios vacío por caso en un directorio temporal
+    setup: async () => ({ registryDir: fs.mkdtempSync(path.join(os.tmpdir(), 'conformance-tcp-')) }),
+    createTransport: ({ registryDir }) => {
+      const transport = new TCPTransport();
+      transport.setConfig({ registryDir, outboxDir: null, reconnectDelay: 50, maxReconnectDelay: 500 });
+      return transport;
+    },
+    teardown: async ({ registryDir }) => fs.rmSync(registryDir, { recursive: true, force: true })
+  },
+
+  'tcp-tls': {
+    setup: async () => ({
+      certsDir: generateCerts(),
+      registryDir: fs.mkdtempSync(path.join(os.tmpdir(), 'conformance-tcp-tls-'))
+    }),
+    // Los casos de tcpSecurityCases cambian `auth` para probar claves incorrectas
+    createTransport: ({ certsDir, registryDir }, options = {}) => {
+      const transport = new TCPTransport();
+      transport.setConfig({
+        registryDir,
+        outboxDir: null,
+        reconnectDelay: 50,
+        maxReconnectDelay: 500,
+        tls: {
+          cert: path.join(certsDir, 'tcp.crt'),
+          key: path.join(certsDir, 'tcp.key'),
+          ca: path.join(certsDir, 'ca.crt'),
+          requireClientCert: true
+        },
+        auth: { secret: AUTH_SECRET, token: null, tokens: {}, timeout: 1000 },
+        ...options
+      });
+      return transport;
+    },
+    teardown: async ({ registryDir }) => fs.rmSync(registryDir, { recursive: true, force: true }),
+    extraCases: tcpSecurityCases
+  },
+
+  routing: {
+    setup: async () => ({ broker: new MemoryBroker() }),
+    createTransport: ({ broker }) => {
+      const transport = new RoutingTransport(() => new MemoryTransport());
+      transport.setConfig({ defaultType: 'memory', routes: {}, transports: { memory: { broker } } });
+      return transport;
+    },
+    teardown: async ({ broker }) => broker.reset()
+  },
+
+  rabbitmq: {
+    createTransport: () => new RabbitMQTransport()
+  }
+};
+
+async function main() {
+  const args = process.argv.slice(2);
+  const verbose = args.includes('--verbose');
+  const names = args.filter(arg => !arg.startsWith('--'));
+  const selected = names.length > 0 ? names : ['memory', 'tcp', 'tcp-tls', 'routing'];
+
+  const unknown = selected.filter(name => !TARGETS[name]);
+  if (unknown.length > 0) {
+    console.error(`Transporte desconocido: ${unknown.join(', ')} (disponibles: ${Object.keys(TARGETS).join(', ')})`);
+    process.exit(2);
+  }
+
+  // El informe se escribe en stdout directamente para no ocultarlo con los logs
+  const print = (line) => process.stdout.write(`${line}\n`);
+  const logs = { log: console.log, warn: console.warn, error: console.error };
+  if (!verbose) {
+    console.log = console.warn = console.error = () => {};
+  }
+
+  let failed = 0;
+
+  for (const name of selected) {
+    print(`\nTransporte ${name}`);
+
+    const report = await runConformance({
+      name,
+      ...TARGETS[name],
+      onResult: (result) => {
+        print(`  ${result.ok ? '✓' : '✗'} ${result.name} (${result.duration} ms)`);
+        if (!result.ok) {
+          print(`      ${result.error.message.split('\n').join('\n      ')}`);
+        }
+      }
+    });
+
+    print(`  ${report.passed} correctos, ${report.failed} fallidos`);
+    failed += report.failed;
+  }
+
+  Object.assign(console, logs);
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+main().catch((error) => {
+  process.stderr.write(`Error ejecutando la suite de conformidad: ${error.stack}\n`);
+  process.exit(1);
+});
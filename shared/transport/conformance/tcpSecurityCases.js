@@ -0,0 +1,75 @@
+const assert = require('assert');
+
+/**
+ * Casos propios del transporte TCP con TLS y saludo de autenticación
+ * (target `tcp-tls` de run.js). El transporte de cada caso usa la clave
+ * correcta salvo que el caso pida otra configuración de `auth`.
+ */
+
+const MESSAGE = { type: 'CONFORMANCE_CHECK', data: { orderId: 'orden-auth-1' } };
+
+/**
+ * Comprueba que un publicador con la configuración de autenticación indicada
+ * no entrega su mensaje y lo conserva en el outbox para reintentarlo
+ * @param {Object} t - Contexto del caso
+ * @param {Object} auth - Configuración de autenticación del publicador
+ */
+async function assertRejectedPublisher(t, auth) {
+  const queue = t.queue('auth');
+  const consumer = await t.open('conformance-consumer');
+  const publisher = await t.open('conformance-publisher', { auth });
+  const received = [];
+
+  await consumer.subscribe(queue, (content, message) => {
+    received.push(content);
+    consumer.acknowledge(message);
+  });
+  await publisher.publish(queue, MESSAGE);
+
+  // Tiempo para varios intentos de conexión rechazados
+  await t.sleep(t.settleTime * 3);
+  assert.strictEqual(received.length, 0);
+  assert.strictEqual(publisher.outbox.size, 1);
+}
+
+module.exports = [
+  {
+    name: 'un publicador con un secreto incorrecto no entrega y conserva el mensaje en el outbox',
+    async run(t) {
+      await assertRejectedPublisher(t, { secret: 'secreto-incorrecto', token: null, tokens: {}, timeout: 1000 });
+    }
+  },
+
+  {
+    name: 'un publicador sin clave no entrega y conserva el mensaje en el outbox',
+    async run(t) {
+      await assertRejectedPublisher(t, { secret: null, token: null, tokens: {}, timeout: 1000 });
+    }
+  },
+
+  {
+    name: 'un token propio aceptado por el servidor entrega el mensaje',
+    async run(t) {
+      const queue = t.queue('auth-token');
+      const token = 'token-del-publicador';
+      // El servidor solo acepta el token propio del publicador
+      const consumer = await t.open('conformance-consumer', {
+        auth: { secret: null, token: null, tokens: { 'conformance-publisher': token }, timeout: 1000 }
+      });
+      const publisher = await t.open('conformance-publisher', {
+        auth: { secret: null, token, tokens: {}, timeout: 1000 }
+      });
+      const received = [];
+
+      await consumer.subscribe(queue, (content, message) => {
+        received.push(content);
+        consumer.acknowledge(message);
+      });
+      await publisher.publish(queue, MESSAGE);
+
+      await t.waitFor(() => received.length === 1, 'el mensaje del publicador autenticado');
+      assert.deepStrictEqual(received[0], MESSAGE);
+      await publisher.flush(t.timeout);
+    }
+  }
+];
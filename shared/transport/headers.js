@@ -0,0 +1,50 @@
+/**
+ * Cabeceras comunes que los transportes añaden a los mensajes reintentados
+ * o enviados a la cola de mensajes muertos
+ */
+
+/**
+ * Cabeceras de un mensaje que se vuelve a entregar tras un fallo
+ * @param {Object} headers - Cabeceras originales del mensaje
+ * @param {Object} options - { attempt, reason }
+ * @returns {Object} - Cabeceras para el reintento
+ */
+function retryHeaders(headers = {}, { attempt, reason }) {
+  return {
+    ...headers,
+    'x-retry-count': attempt,
+    'x-last-error': reason
+  };
+}
+
+/**
+ * Cabeceras de un mensaje enviado a la cola de mensajes muertos
+ * @param {Object} headers - Cabeceras originales del mensaje
+ * @param {string} queueName - Cola de la que se descartó el mensaje
+ * @param {Object} options - { attempts, reason }
+ * @returns {Object} - Cabeceras para la cola de mensajes muertos
+ */
+function deadLetterHeaders(headers = {}, queueName, { attempts, reason }) {
+  return {
+    ...headers,
+    'x-original-queue': queueName,
+    'x-death-reason': reason,
+    'x-attempts': attempts,
+    'x-failed-at': new Date().toISOString()
+  };
+}
+
+/**
+ * Nombre de la cola de mensajes muertos de una cola
+ * @param {string} queueName - Nombre de la cola
+ * @returns {string} - Nombre de su cola de mensajes muertos
+ */
+function deadLetterQueueName(queueName) {
+  return `${queueName}.dlq`;
+}
+
+module.exports = {
+  retryHeaders,
+  deadLetterHeaders,
+  deadLetterQueueName
+};
@@ -0,0 +1,163 @@
+const crypto = require('crypto');
+const fs = require('fs');
+
+/**
+ * Seguridad del transporte TCP: cifrado TLS y autenticación de servicios.
+ *
+ * - TLS (opcional): con certificado y clave, los servidores escuchan con
+ *   `tls` y los clientes verifican el certificado del servidor contra la CA.
+ *   Por defecto los servidores exigen también un certificado de cliente
+ *   firmado por la misma CA (autenticación mutua).
+ * - Autenticación (opcional): antes de aceptar ninguna trama, el servidor
+ *   envía un reto y el cliente demuestra que conoce la clave de su servicio
+ *   firmándolo con HMAC-SHA256. El servidor responde firmando a su vez el
+ *   reto del cliente, de modo que tampoco se puede suplantar a un servidor
+ *   anunciándolo en el registro. La clave nunca viaja por la red.
+ *
+ * La clave de un servicio es su token propio (TCP_AUTH_TOKENS en el servidor,
+ * TCP_AUTH_TOKEN en el cliente) o, si no tiene, el secreto compartido
+ * TCP_AUTH_SECRET.
+ */
+
+/**
+ * Lee la configuración TLS de las variables de entorno:
+ * - TCP_TLS_CERT y TCP_TLS_KEY: certificado y clave de esta instancia (PEM)
+ * - TCP_TLS_CA: CA con la que se verifican los certificados de los pares
+ * - TCP_TLS_REQUIRE_CLIENT_CERT: exigir certificado a los clientes (true por defecto)
+ * @returns {Object|null} - { cert, key, ca, requireClientCert } con rutas, o null sin TLS
+ */
+function tlsFromEnv() {
+  if (!process.env.TCP_TLS_CERT && !process.env.TCP_TLS_KEY) return null;
+
+  return {
+    cert: process.env.TCP_TLS_CERT || null,
+    key: process.env.TCP_TLS_KEY || null,
+    ca: process.env.TCP_TLS_CA || null,
+    requireClientCert: process.env.TCP_TLS_REQUIRE_CLIENT_CERT !== 'false'
+  };
+}
+
+/**
+ * Carga los archivos PEM de la configuración TLS
+ * @param {Object|null} config - Configuración { cert, key, ca, requireClientCert }
+ * @returns {Object|null} - Opciones para tls.createServer y tls.connect, o null sin TLS
+ */
+function loadTlsOptions(config) {
+  if (!config) return null;
+
+  if (!config.cert || !config.key) {
+    throw new Error('TLS requiere certificado y clave: defina TCP_TLS_CERT y TCP_TLS_KEY');
+  }
+  if (config.requireClientCert && !config.ca) {
+    throw new Error('La autenticación mutua requiere la CA de los clientes: defina TCP_TLS_CA');
+  }
+
+  return {
+    cert: fs.readFileSync(config.cert),
+    key: fs.readFileSync(config.key),
+    ca: config.ca ? fs.readFileSync(config.ca) : undefined,
+    requireClientCert: config.requireClientCert
+  };
+}
+
+/**
+ * Lee la configuración de autenticación de las variables de entorno:
+ * - TCP_AUTH_SECRET: secreto compartido por todos los servicios
+ * - TCP_AUTH_TOKEN: token propio de este servicio (como cliente)
+ * - TCP_AUTH_TOKENS: tokens aceptados por servicio (como servidor), por
+ *   ejemplo `orchestrator=abc,payment-service=def`
+ * - TCP_AUTH_TIMEOUT: ms para completar el saludo antes de cerrar la conexión
+ * @returns {Object} - { secret, token, tokens, timeout }
+ */
+function authFromEnv() {
+  const tokens = {};
+
+  for (const rule of (process.env.TCP_AUTH_TOKENS || '').split(',')) {
+    if (!rule.trim()) continue;
+
+    const [service, token] = rule.split('=').map(part => part.trim());
+    if (!service || !token) {
+      throw new Error(`Token de servicio inválido en TCP_AUTH_TOKENS: "${rule}" (use servicio=token)`);
+    }
+    tokens[service] = token;
+  }
+
+  return {
+    secret: process.env.TCP_AUTH_SECRET || null,
+    token: process.env.TCP_AUTH_TOKEN || null,
+    tokens,
+    timeout: parseInt(process.env.TCP_AUTH_TIMEOUT || '5000')
+  };
+}
+
+/**
+ * Indica si los servidores deben exigir el saludo de autenticación
+ * @param {Object} auth - Configuración { secret, tokens }
+ * @returns {boolean} - true si hay alguna clave con la que verificar clientes
+ */
+function requiresAuth(auth) {
+  return Boolean(auth && (auth.secret || Object.keys(auth.tokens || {}).length > 0));
+}
+
+/**
+ * Clave con la que un cliente firma el saludo
+ * @param {Object} auth - Configuración { secret, token }
+ * @returns {string|null} - Token propio, secreto compartido o null si no hay
+ */
+function clientKey(auth) {
+  return (auth && (auth.token || auth.secret)) || null;
+}
+
+/**
+ * Clave con la que un servidor verifica el saludo de un servicio
+ * @param {Object} auth - Configuración { secret, tokens }
+ * @param {string} service - Servicio que dice ser el cliente
+ * @returns {string|null} - Token del servicio, secreto compartido o null si no se acepta
+ */
+function serverKey(auth, service) {
+  return (auth.tokens || {})[service] || auth.secret || null;
+}
+
+/**
+ * Genera un reto aleatorio para el saludo
+ * @returns {string} - Nonce en hexadecimal
+ */
+function createNonce() {
+  return crypto.randomBytes(16).toString('hex');
+}
+
+/**
+ * Firma las partes de un saludo. La primera parte indica el rol (client o
+ * server) para que una firma no pueda reutilizarse en el sentido contrario.
+ * @param {string} key - Clave del servicio
+ * @param {Array<string>} parts - Partes a firmar
+ * @returns {string} - HMAC-SHA256 en hexadecimal
+ */
+function sign(key, parts) {
+  return crypto.createHmac('sha256', key).update(parts.join('\n')).digest('hex');
+}
+
+/**
+ * Comprueba una firma en tiempo constante
+ * @param {string} key - Clave del servicio
+ * @param {Array<string>} parts - Partes firmadas
+ * @param {string} signature - Firma recibida
+ * @returns {boolean} - true si la firma es válida
+ */
+function verify(key, parts, signature) {
+  const expected = Buffer.from(sign(key, parts), 'hex');
+  const received = Buffer.from(typeof signature === 'string' ? signature : '', 'hex');
+  return received.length === expected.length && crypto.timingSafeEqual(received, expected);
+}
+
+module.exports = {
+  tlsFromEnv,
+  loadTlsOptions,
+  authFromEnv,
+  requiresAuth,
+  clientKey,
+  serverKey,
+  createNonce,
+  sign,
+  verify
+};
@@ -0,0 +1,98 @@
+/**
+ * Temas (topics) de los eventos y patrones de suscripción al estilo AMQP.
+ *
+ * Un tema son palabras separadas por puntos (`order.created`). En los
+ * patrones, `*` sustituye exactamente a una palabra y `#` a cero o más
+ * (`order.*`, `order.#`, `#.failed`). Los transportes sin exchange de tipo
+ * topic usan estas funciones para emular el enrutamiento de RabbitMQ.
+ */
+
+/**
+ * Crea el error de un tema o patrón mal formado
+ * @param {string} message - Descripción del problema
+ * @returns {Error} - Error con código INVALID_TOPIC (no reintentable)
+ */
+function invalidTopic(message) {
+  const error = new Error(message);
+  error.code = 'INVALID_TOPIC';
+  error.retryable = false;
+  return error;
+}
+
+/**
+ * Comprueba que un tema de publicación es válido (sin comodines)
+ * @param {string} topic - Tema del evento, por ejemplo `order.created`
+ * @throws {Error} - Con código INVALID_TOPIC si el tema está mal formado
+ */
+function assertTopic(topic) {
+  if (typeof topic !== 'string' || topic.split('.').some(word => !word)) {
+    throw invalidTopic(`Tema inválido: "${topic}" (use palabras separadas por puntos)`);
+  }
+  if (/[*#]/.test(topic)) {
+    throw invalidTopic(`Tema inválido: "${topic}" (los comodines * y # solo se usan al suscribirse)`);
+  }
+}
+
+/**
+ * Comprueba que un patrón de suscripción es válido
+ * @param {string} pattern - Patrón, por ejemplo `order.*` o `#.failed`
+ * @throws {Error} - Con código INVALID_TOPIC si el patrón está mal formado
+ */
+function assertPattern(pattern) {
+  if (typeof pattern !== 'string' || pattern.split('.').some(word => !word)) {
+    throw invalidTopic(`Patrón inválido: "${pattern}" (use palabras separadas por puntos)`);
+  }
+  // Los comodines ocupan una palabra completa: `order.*` es válido, `order*` no
+  if (pattern.split('.').some(word => /[*#]/.test(word) && word.length > 1)) {
+    throw invalidTopic(`Patrón inválido: "${pattern}" (* y # deben ocupar una palabra completa)`);
+  }
+}
+
+/**
+ * Indica si un tema coincide con un patrón
+ * @param {string} pattern - Patrón de suscripción
+ * @param {string} topic - Tema del evento
+ * @returns {boolean} - true si el evento debe entregarse a la suscripción
+ */
+function matchesTopic(pattern, topic) {
+  const patternWords = pattern.split('.');
+  const topicWords = topic.split('.');
+
+  const matchFrom = (p, t) => {
+    if (p === patternWords.length) return t === topicWords.length;
+
+    if (patternWords[p] === '#') {
+      // `#` consume de cero a todas las palabras restantes
+      for (let skip = t; skip <= topicWords.length; skip++) {
+        if (matchFrom(p + 1, skip)) return true;
+      }
+      return false;
+    }
+
+    if (t === topicWords.length) return false;
+    return (patternWords[p] === '*' || patternWords[p] === topicWords[t]) && matchFrom(p + 1, t + 1);
+  };
+
+  return matchFrom(0, 0);
+}
+
+/**
+ * Nombre de la cola de un servicio para un patrón. Todas las instancias del
+ * servicio comparten la cola, así que cada evento se procesa una vez por
+ * servicio. Los comodines se sustituyen para que el nombre de la cola no
+ * actúe como patrón al enlazarla con su propio nombre.
+ * @param {string} serviceName - Nombre del servicio suscrito
+ * @param {string} pattern - Patrón de suscripción
+ * @returns {string} - Nombre de la cola, por ejemplo `audit-service.events.order.star`
+ */
+function topicQueueName(serviceName, pattern) {
+  const words = pattern.split('.').map(word => (word === '*' ? 'star' : word === '#' ? 'hash' : word));
+  return `${serviceName}.events.${words.join('.')}`;
+}
+
+module.exports = {
+  assertTopic,
+  assertPattern,
+  matchesTopic,
+  topicQueueName
+};